@@ -0,0 +1,75 @@
+// branches.js - Library branches: per-branch availability, transfer requests and the branches
+// each staff member may work at
+
+// The main library. Copies, holds and desks that don't name a branch use it.
+const DEFAULT_BRANCH_ID = Number(process.env.DEFAULT_BRANCH_ID) || 1;
+
+// An open branch, or null if there is no such branch or it has been closed
+const getActiveBranch = async (db, branchId) => {
+    const [branches] = await db.execute(
+        'SELECT * FROM branches WHERE branch_id = ? AND is_active = TRUE',
+        [branchId]
+    );
+    return branches[0] || null;
+};
+
+// Copies of each book by the branch they are at now, as a Map of book ID to
+// [{ branch_id, code, name, total_copies, available_copies }]. Branches without copies are left out.
+const branchAvailability = async (db, bookIds) => {
+    if (bookIds.length === 0) return new Map();
+
+    const [rows] = await db.execute(
+        `SELECT c.book_id, br.branch_id, br.code, br.name,
+                COUNT(CASE WHEN c.status NOT IN ('lost', 'withdrawn') THEN 1 END) as total_copies,
+                COUNT(CASE WHEN c.status = 'available' THEN 1 END) as available_copies
+         FROM book_copies c
+         JOIN branches br ON c.current_branch_id = br.branch_id
+         WHERE c.book_id IN (${bookIds.map(() => '?').join(', ')}) AND c.status NOT IN ('lost', 'withdrawn')
+         GROUP BY c.book_id, br.branch_id, br.code, br.name
+         ORDER BY br.branch_id`,
+        bookIds
+    );
+
+    const byBook = new Map();
+    for (const { book_id, ...branch } of rows) {
+        if (!byBook.has(book_id)) byBook.set(book_id, []);
+        byBook.get(book_id).push(branch);
+    }
+    return byBook;
+};
+
+// The branches a staff member may act at, or null if they aren't tied to any (they work everywhere)
+const getBranchScope = async (db, userId) => {
+    const [rows] = await db.execute(
+        'SELECT branch_id FROM staff_branches WHERE user_id = ? ORDER BY branch_id',
+        [userId]
+    );
+    return rows.length > 0 ? rows.map(row => row.branch_id) : null;
+};
+
+const inScope = (scope, branchId) => scope === null || scope.includes(Number(branchId));
+
+// SQL condition limiting a branch column to the scope; empty when unrestricted
+const scopeFilter = (scope, column) => (scope === null
+    ? { where: '', params: [] }
+    : { where: ` AND ${column} IN (${scope.map(() => '?').join(', ')})`, params: scope });
+
+// Ask for a copy to be sent to another branch. It stays where it is until shipped.
+const requestTransfer = async (db, { copyId, fromBranchId, toBranchId, reservationId = null, reason = null, requestedBy = null }) => {
+    const [result] = await db.execute(
+        `INSERT INTO copy_transfers (copy_id, from_branch_id, to_branch_id, reservation_id, reason, requested_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [copyId, fromBranchId, toBranchId, reservationId, reason, requestedBy]
+    );
+    return result.insertId;
+};
+
+module.exports = {
+    DEFAULT_BRANCH_ID,
+    getActiveBranch,
+    branchAvailability,
+    getBranchScope,
+    inScope,
+    scopeFilter,
+    requestTransfer
+};
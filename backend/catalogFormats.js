@@ -0,0 +1,511 @@
+// catalogFormats.js - Reading and writing catalog records as CSV, MARC21 (ISO 2709), MARCXML and JSON-LD
+
+const { isbnError } = require('./isbn');
+
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = '\x1f';
+
+// Most copies one book may be given in a single import or add
+const MAX_COPIES_PER_BOOK = 500;
+
+// ==================== CSV ====================
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines) into arrays of cells
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Accepted CSV headers for each book field, compared lower-cased with punctuation removed
+const CSV_COLUMNS = {
+    title: ['title'],
+    author: ['author', 'authors', 'creator'],
+    isbn: ['isbn', 'isbn13', 'isbn10'],
+    genre: ['genre', 'category', 'subject'],
+    itemType: ['itemtype', 'type'],
+    publicationYear: ['publicationyear', 'year', 'pubyear', 'published'],
+    publisher: ['publisher'],
+    description: ['description', 'summary'],
+    imageUrl: ['imageurl', 'image', 'cover', 'coverurl'],
+    copies: ['copies', 'totalcopies', 'quantity'],
+    barcodes: ['barcodes', 'barcode'],
+    shelfLocation: ['shelflocation', 'location', 'shelf']
+};
+
+const normaliseHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Turn parsed CSV rows (header first) into import entries
+const csvToBooks = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = {};
+    header.map(normaliseHeader).forEach((name, index) => {
+        for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+            if (aliases.includes(name) && columns[field] === undefined) {
+                columns[field] = index;
+            }
+        }
+    });
+
+    return rows.map((cells, index) => {
+        // Undo the ' our own export puts in front of formula-like cells, so exports import unchanged
+        const value = (field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim().replace(/^'(?=[=+\-@])/, ''));
+
+        const barcodes = value('barcodes').split(/[;|]/).map(code => code.trim()).filter(Boolean);
+        const shelfLocation = value('shelfLocation') || null;
+        let copies;
+        if (barcodes.length > 0) {
+            copies = barcodes.map(barcode => ({ barcode, shelfLocation }));
+        } else {
+            const count = value('copies') === '' ? 1 : Number(value('copies'));
+            copies = Number.isInteger(count) && count >= 0 && count <= MAX_COPIES_PER_BOOK
+                ? Array.from({ length: count }, () => ({ shelfLocation }))
+                : count;
+        }
+
+        return {
+            // Row numbers as a spreadsheet shows them, counting the header
+            row: index + 2,
+            book: {
+                title: value('title'),
+                author: value('author'),
+                isbn: value('isbn') || null,
+                genre: value('genre'),
+                itemType: value('itemType') || 'book',
+                publicationYear: value('publicationYear') === '' ? null : Number(value('publicationYear')),
+                publisher: value('publisher') || null,
+                description: value('description') || null,
+                imageUrl: value('imageUrl') || null,
+                copies
+            }
+        };
+    });
+};
+
+// ==================== MARC ====================
+
+// MARC records are held as { leader, fields: [{ tag, value }] for control fields
+// or [{ tag, ind1, ind2, subfields: [{ code, value }] }] for data fields }
+
+// Parse binary MARC21 (ISO 2709). Lengths and offsets are in bytes, so work on the Buffer.
+const parseMarc21 = (buffer) => {
+    const records = [];
+    let start = 0;
+
+    while (start < buffer.length) {
+        let end = buffer.indexOf(RECORD_TERMINATOR, start);
+        if (end === -1) end = buffer.length;
+
+        const raw = buffer.subarray(start, end);
+        start = end + 1;
+
+        if (raw.toString('latin1').trim() === '') continue;
+
+        try {
+            records.push(parseMarc21Record(raw));
+        } catch (error) {
+            records.push({ error: `Unreadable MARC record: ${error.message}` });
+        }
+    }
+
+    return records;
+};
+
+const parseMarc21Record = (raw) => {
+    if (raw.length < 24) {
+        throw new Error('record shorter than its leader');
+    }
+
+    const leader = raw.toString('latin1', 0, 24);
+    const baseAddress = Number(leader.slice(12, 17));
+    if (!Number.isInteger(baseAddress) || baseAddress > raw.length) {
+        throw new Error('invalid base address');
+    }
+
+    const directoryEnd = raw.indexOf(FIELD_TERMINATOR, 24);
+    const directory = raw.toString('latin1', 24, directoryEnd === -1 ? baseAddress - 1 : directoryEnd);
+    const fields = [];
+
+    for (let i = 0; i + 12 <= directory.length; i += 12) {
+        const tag = directory.slice(i, i + 3);
+        const length = Number(directory.slice(i + 3, i + 7));
+        const offset = Number(directory.slice(i + 7, i + 12));
+
+        // Field data without its trailing field terminator
+        const data = raw.toString('utf8', baseAddress + offset, baseAddress + offset + length - 1);
+
+        if (tag < '010') {
+            fields.push({ tag, value: data });
+        } else {
+            const [indicators, ...parts] = data.split(SUBFIELD_DELIMITER);
+            fields.push({
+                tag,
+                ind1: indicators[0] || ' ',
+                ind2: indicators[1] || ' ',
+                subfields: parts.filter(Boolean).map(part => ({ code: part[0], value: part.slice(1) }))
+            });
+        }
+    }
+
+    return { leader, fields };
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        if (code > MAX_CODE_POINT) {
+            throw new Error(`invalid character reference ${match}`);
+        }
+        return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+});
+
+const parseMarcXmlRecord = (body) => {
+    const leaderMatch = body.match(/<(?:\w+:)?leader>([\s\S]*?)<\/(?:\w+:)?leader>/);
+    const fields = [];
+
+    const fieldPattern = /<(?:\w+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?\1>/g;
+    let field;
+    while ((field = fieldPattern.exec(body)) !== null) {
+        const attributes = field[2];
+        const attribute = (name) => {
+            const found = attributes.match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`));
+            return found ? found[1] : ' ';
+        };
+
+        if (field[1] === 'controlfield') {
+            fields.push({ tag: attribute('tag'), value: decodeXml(field[3]) });
+        } else {
+            const subfields = [];
+            const subfieldPattern = /<(?:\w+:)?subfield\b[^>]*code\s*=\s*"([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?subfield>/g;
+            let subfield;
+            while ((subfield = subfieldPattern.exec(field[3])) !== null) {
+                subfields.push({ code: subfield[1], value: decodeXml(subfield[2]) });
+            }
+            fields.push({ tag: attribute('tag'), ind1: attribute('ind1'), ind2: attribute('ind2'), subfields });
+        }
+    }
+
+    return { leader: leaderMatch ? decodeXml(leaderMatch[1]) : null, fields };
+};
+
+// Parse MARCXML (MARC 21 slim schema, with or without a namespace prefix)
+const parseMarcXml = (text) => {
+    const records = [];
+    const recordPattern = /<(?:\w+:)?record\b[^>]*>([\s\S]*?)<\/(?:\w+:)?record>/g;
+    let match;
+
+    while ((match = recordPattern.exec(text)) !== null) {
+        try {
+            records.push(parseMarcXmlRecord(match[1]));
+        } catch (error) {
+            records.push({ error: `Unreadable MARCXML record: ${error.message}` });
+        }
+    }
+
+    return records;
+};
+
+
+
+// First value of a subfield across the given tags, in tag order
+const subfield = (record, tags, code) => {
+    for (const tag of tags) {
+        for (const field of record.fields) {
+            if (field.tag === tag && field.subfields) {
+                const found = field.subfields.find(sub => sub.code === code);
+                if (found && found.value.trim()) return found.value.trim();
+            }
+        }
+    }
+    return null;
+};
+
+// Strip ISBD punctuation left at the end of MARC subfields (" /", " :", ",", ".")
+const trimPunctuation = (value) => (value ? value.replace(/[\s/:;,.=]+$/, '').trim() : value);
+
+// Map a MARC bibliographic record onto book fields. Holdings in 852 fields become copies
+// ($p barcode, $h/$j shelf location); without any, one copy is created.
+const marcToBook = (record) => {
+    const title = [subfield(record, ['245'], 'a'), subfield(record, ['245'], 'b')]
+        .filter(Boolean)
+        .map(trimPunctuation)
+        .join(': ');
+
+    const isbnField = subfield(record, ['020'], 'a');
+    const control008 = record.fields.find(field => field.tag === '008');
+    const imprintYear = (subfield(record, ['264', '260'], 'c') || '').match(/\d{4}/);
+    const fixedYear = control008 && control008.value.slice(7, 11).match(/^\d{4}$/);
+
+    const copies = record.fields
+        .filter(field => field.tag === '852' && field.subfields)
+        .map(field => {
+            const find = (code) => (field.subfields.find(sub => sub.code === code) || {}).value || null;
+            return { barcode: find('p'), shelfLocation: find('h') || find('j') };
+        });
+
+    return {
+        title: title || '',
+        author: trimPunctuation(subfield(record, ['100', '110', '111'], 'a') || subfield(record, ['245'], 'c')) || '',
+        isbn: isbnField ? isbnField.split(/\s/)[0] : null,
+        genre: trimPunctuation(subfield(record, ['655', '650'], 'a')) || 'General',
+        itemType: 'book',
+        publicationYear: imprintYear ? Number(imprintYear[0]) : fixedYear ? Number(fixedYear[0]) : null,
+        publisher: trimPunctuation(subfield(record, ['264', '260'], 'b')),
+        description: subfield(record, ['520'], 'a'),
+        imageUrl: null,
+        copies: copies.length > 0 ? copies : [{}]
+    };
+};
+
+// ==================== IMPORT ====================
+
+// Guess the format from the file name, then from the content
+const detectFormat = (filename, buffer) => {
+    const name = (filename || '').toLowerCase();
+    if (name.endsWith('.csv')) return 'csv';
+    if (name.endsWith('.xml') || name.endsWith('.marcxml')) return 'marcxml';
+    if (name.endsWith('.mrc') || name.endsWith('.marc')) return 'marc';
+
+    const head = buffer.toString('utf8', 0, 200).replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('<')) return 'marcxml';
+    if (/^\d{5}[a-z ]{3}/.test(head) && buffer.includes(RECORD_TERMINATOR)) return 'marc';
+    return 'csv';
+};
+
+// Read an uploaded catalog file into entries of { row, book } (or { row, errors } for unreadable records)
+const readCatalogFile = (buffer, format) => {
+    if (format === 'csv') {
+        return csvToBooks(buffer.toString('utf8'));
+    }
+
+    const records = format === 'marc' ? parseMarc21(buffer) : parseMarcXml(buffer.toString('utf8'));
+    return records.map((record, index) => (
+        record.error
+            ? { row: index + 1, errors: [record.error] }
+            : { row: index + 1, book: marcToBook(record) }
+    ));
+};
+
+// Check an imported book against the books table's constraints
+const validateImportedBook = (book) => {
+    const errors = [];
+    const maxYear = new Date().getFullYear() + 1;
+
+    if (!book.title) errors.push('Title is required');
+    else if (book.title.length > 255) errors.push('Title is longer than 255 characters');
+
+    if (!book.author) errors.push('Author is required');
+    else if (book.author.length > 100) errors.push('Author is longer than 100 characters');
+
+    if (!book.genre) errors.push('Genre is required');
+    else if (book.genre.length > 50) errors.push('Genre is longer than 50 characters');
+
+    if (book.isbn && isbnError(book.isbn)) errors.push(isbnError(book.isbn));
+    if (book.publisher && book.publisher.length > 100) errors.push('Publisher is longer than 100 characters');
+
+    if (book.publicationYear !== null && (!Number.isInteger(book.publicationYear) || book.publicationYear < 0 || book.publicationYear > maxYear)) {
+        errors.push('Publication year is not a valid year');
+    }
+
+    // A count too large to expand arrives as the number itself
+    const copyCount = Array.isArray(book.copies) ? book.copies.length : book.copies;
+    if (!Number.isInteger(copyCount) || copyCount < 0) errors.push('Copies must be a non-negative whole number');
+    else if (copyCount > MAX_COPIES_PER_BOOK) errors.push(`Copies must be at most ${MAX_COPIES_PER_BOOK}`);
+
+    return errors;
+};
+
+// ==================== EXPORT ====================
+
+// Export rows are books with total_copies, available_copies, avg_rating, review_count and
+// `copies`: one "barcode<TAB>shelf location" line per held copy
+
+const parseHeldCopies = (copies) => (copies ? copies.split('\n') : []).map(line => {
+    const [barcode, shelfLocation] = line.split('\t');
+    return { barcode, shelfLocation: shelfLocation || null };
+});
+
+const roundRating = (rating) => (rating === null || rating === undefined ? null : Math.round(Number(rating) * 100) / 100);
+
+// Spreadsheets run a cell starting with one of these as a formula; a leading ' keeps it text.
+// Plain numbers such as negative amounts are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Column names match the import headers, so an export can be imported again
+const CSV_EXPORT_COLUMNS = [
+    'book_id', 'title', 'author', 'isbn', 'isbn13', 'genre', 'item_type', 'publication_year', 'publisher',
+    'description', 'image_url', 'total_copies', 'available_copies', 'avg_rating', 'review_count', 'barcodes'
+];
+
+const bookToCsv = (book) => CSV_EXPORT_COLUMNS.map(column => {
+    if (column === 'barcodes') return csvCell(parseHeldCopies(book.copies).map(copy => copy.barcode).join(';'));
+    if (column === 'avg_rating') return csvCell(roundRating(book.avg_rating));
+    return csvCell(book[column]);
+}).join(',') + '\r\n';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const xmlDataField = (tag, ind1, ind2, subfields) => {
+    const present = subfields.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (present.length === 0) return '';
+
+    const body = present.map(([code, value]) => `<subfield code="${code}">${escapeXml(value)}</subfield>`).join('');
+    return `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">${body}</datafield>\n`;
+};
+
+// MARCXML record. Holdings go in 852 ($h shelf location, $p barcode) as the importer reads them;
+// circulation figures go in local field 999 ($a total copies, $b available, $c average rating, $d reviews).
+const bookToMarcXml = (book) => {
+    const year = book.publication_year ? String(book.publication_year) : null;
+
+    return '  <record>\n'
+        + '    <leader>00000nam a2200000 i 4500</leader>\n'
+        + `    <controlfield tag="001">${book.book_id}</controlfield>\n`
+        + xmlDataField('020', ' ', ' ', [['a', book.isbn]])
+        + xmlDataField('100', '1', ' ', [['a', book.author]])
+        + xmlDataField('245', '1', '0', [['a', book.title]])
+        + xmlDataField('264', ' ', '1', [['b', book.publisher], ['c', year]])
+        + xmlDataField('520', ' ', ' ', [['a', book.description]])
+        + xmlDataField('655', ' ', '4', [['a', book.genre]])
+        + xmlDataField('856', '4', '2', [['3', book.image_url ? 'Cover image' : null], ['u', book.image_url]])
+        + parseHeldCopies(book.copies).map(copy => xmlDataField('852', ' ', ' ', [['h', copy.shelfLocation], ['p', copy.barcode]])).join('')
+        + xmlDataField('999', ' ', ' ', [
+            ['a', book.total_copies],
+            ['b', book.available_copies],
+            ['c', roundRating(book.avg_rating)],
+            ['d', book.review_count]
+        ])
+        + '  </record>\n';
+};
+
+// schema.org Book node for the JSON-LD @graph
+const bookToJsonLd = (book) => {
+    const node = {
+        '@type': 'Book',
+        identifier: String(book.book_id),
+        name: book.title,
+        author: { '@type': 'Person', name: book.author },
+        genre: book.genre
+    };
+
+    if (book.isbn13) node.isbn = book.isbn13;
+    if (book.publisher) node.publisher = { '@type': 'Organization', name: book.publisher };
+    if (book.publication_year) node.datePublished = String(book.publication_year);
+    if (book.description) node.description = book.description;
+    if (book.image_url) node.image = book.image_url;
+
+    if (Number(book.review_count) > 0) {
+        node.aggregateRating = {
+            '@type': 'AggregateRating',
+            ratingValue: roundRating(book.avg_rating),
+            reviewCount: Number(book.review_count),
+            bestRating: 5,
+            worstRating: 1
+        };
+    }
+
+    node.additionalProperty = [
+        { '@type': 'PropertyValue', name: 'totalCopies', value: Number(book.total_copies) },
+        { '@type': 'PropertyValue', name: 'availableCopies', value: Number(book.available_copies) }
+    ];
+
+    return node;
+};
+
+// Export formats written as header, one chunk per book, footer so the catalog can be streamed
+const CATALOG_EXPORTS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        header: () => CSV_EXPORT_COLUMNS.join(',') + '\r\n',
+        record: (book) => bookToCsv(book),
+        footer: () => ''
+    },
+    marcxml: {
+        contentType: 'application/marcxml+xml; charset=utf-8',
+        extension: 'xml',
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n',
+        record: (book) => bookToMarcXml(book),
+        footer: () => '</collection>\n'
+    },
+    jsonld: {
+        contentType: 'application/ld+json; charset=utf-8',
+        extension: 'jsonld',
+        header: () => '{"@context":"https://schema.org","@graph":[\n',
+        record: (book, index) => (index > 0 ? ',\n' : '') + JSON.stringify(bookToJsonLd(book)),
+        footer: () => '\n]}\n'
+    }
+};
+
+module.exports = {
+    MAX_COPIES_PER_BOOK,
+    parseCsv,
+    parseMarc21,
+    parseMarcXml,
+    marcToBook,
+    detectFormat,
+    readCatalogFile,
+    validateImportedBook,
+    csvCell,
+    CATALOG_EXPORTS
+};
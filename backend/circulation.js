@@ -0,0 +1,723 @@
+// circulation.js - Loan rules and circulation jobs shared by the API and scripts
+const { formatDate, notify, generateDueReminders, deliverPendingEmails } = require('./notifications');
+const { DEFAULT_BRANCH_ID, getActiveBranch, requestTransfer } = require('./branches');
+
+// Loan rules used when no circulation_policies row matches. graceDays is how long past due
+// a loan can go before fines apply, and also the window in which it can still be renewed.
+const DEFAULT_POLICY = {
+    policyId: null,
+    loanPeriodDays: 14,
+    maxLoans: 5,
+    maxRenewals: 2,
+    finePerDay: 10, // ₹ per day overdue
+    fineCap: null,
+    graceDays: 0,
+    holdPickupDays: 7
+};
+
+// Outstanding fines (₹) above which a patron may not borrow
+const FINE_BLOCK_THRESHOLD = Number(process.env.FINE_BLOCK_THRESHOLD || 100);
+
+// Days a hold may wait for a copy (pending, or with its copy in transit) before it expires
+const RESERVATION_EXPIRY_DAYS = Number(process.env.RESERVATION_EXPIRY_DAYS || 90);
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Whole days a loan is past its due date as of the given day (0 if not overdue)
+const daysOverdue = (dueDate, asOf = new Date()) => {
+    const due = new Date(dueDate);
+    due.setHours(0, 0, 0, 0);
+    const today = new Date(asOf);
+    today.setHours(0, 0, 0, 0);
+    return Math.max(Math.round((today - due) / DAY_MS), 0);
+};
+
+// Fine owed on a loan under its policy as of the given day. Nothing is charged within the
+// grace period; past it, every overdue day counts, up to the policy's cap.
+const calculateFine = (dueDate, policy, asOf = new Date()) => {
+    const days = daysOverdue(dueDate, asOf);
+    if (days <= policy.graceDays) return 0;
+
+    const fine = days * policy.finePerDay;
+    return policy.fineCap === null ? fine : Math.min(fine, policy.fineCap);
+};
+
+const toPolicy = (row) => ({
+    policyId: row.policy_id,
+    loanPeriodDays: row.loan_period_days,
+    maxLoans: row.max_loans,
+    maxRenewals: row.max_renewals,
+    finePerDay: Number(row.fine_per_day),
+    fineCap: row.fine_cap === null ? null : Number(row.fine_cap),
+    graceDays: row.grace_days,
+    holdPickupDays: row.hold_pickup_days
+});
+
+// Most specific policy for a user type and book: genre + item type, then item type, then genre, then the user type default.
+// Read on every call so policy edits take effect immediately.
+const resolvePolicy = async (db, userType, book) => {
+    const [policies] = await db.execute(
+        `SELECT * FROM circulation_policies 
+         WHERE user_type = ? 
+           AND (genre IS NULL OR genre = ?) 
+           AND (item_type IS NULL OR item_type = ?) 
+         ORDER BY (genre IS NOT NULL) + (item_type IS NOT NULL) DESC, item_type IS NOT NULL DESC, policy_id ASC 
+         LIMIT 1`,
+        [userType, book.genre || null, book.item_type || null]
+    );
+
+    return policies.length > 0 ? toPolicy(policies[0]) : { ...DEFAULT_POLICY };
+};
+
+// Policy governing a given patron borrowing a given book
+const getLoanPolicy = async (db, userId, bookId) => {
+    const [rows] = await db.execute(
+        `SELECT u.user_type, b.genre, b.item_type 
+         FROM users u, books b 
+         WHERE u.user_id = ? AND b.book_id = ?`,
+        [userId, bookId]
+    );
+
+    if (rows.length === 0) return { ...DEFAULT_POLICY };
+    return resolvePolicy(db, rows[0].user_type, rows[0]);
+};
+
+// A patron's fine position: the ledger totals plus fines still accruing on overdue loans
+const getFineBalance = async (db, userId) => {
+    const [ledger] = await db.execute(
+        `SELECT 
+            COALESCE(SUM(CASE WHEN transaction_type = 'charge' THEN amount END), 0) as charged,
+            COALESCE(-SUM(CASE WHEN transaction_type = 'payment' THEN amount END), 0) as paid,
+            COALESCE(-SUM(CASE WHEN transaction_type = 'waiver' THEN amount END), 0) as waived,
+            COALESCE(SUM(CASE WHEN transaction_type = 'adjustment' THEN amount END), 0) as adjusted,
+            COALESCE(SUM(amount), 0) as balance
+         FROM fine_transactions 
+         WHERE user_id = ?`,
+        [userId]
+    );
+
+    const [accruing] = await db.execute(
+        'SELECT COALESCE(SUM(fine_amount), 0) as amount FROM borrowing_records WHERE user_id = ? AND status = "overdue"',
+        [userId]
+    );
+
+    const balance = Number(ledger[0].balance);
+    const accruingAmount = Number(accruing[0].amount);
+
+    return {
+        charged: Number(ledger[0].charged),
+        paid: Number(ledger[0].paid),
+        waived: Number(ledger[0].waived),
+        adjusted: Number(ledger[0].adjusted),
+        balance,
+        accruing: accruingAmount,
+        outstanding: balance + accruingAmount
+    };
+};
+
+// Make a hold ready for pickup with a copy that is at its pickup branch, and tell the patron
+const readyHold = async (connection, copy, hold) => {
+    const policy = await getLoanPolicy(connection, hold.user_id, copy.book_id);
+    const pickupDeadline = new Date();
+    pickupDeadline.setDate(pickupDeadline.getDate() + policy.holdPickupDays);
+
+    await connection.execute(
+        'UPDATE reservations SET status = "ready", copy_id = ?, ready_date = NOW(), expiry_date = ? WHERE reservation_id = ?',
+        [copy.copy_id, pickupDeadline, hold.reservation_id]
+    );
+
+    await connection.execute(
+        'UPDATE book_copies SET status = "on_hold" WHERE copy_id = ?',
+        [copy.copy_id]
+    );
+
+    const [books] = await connection.execute('SELECT title FROM books WHERE book_id = ?', [copy.book_id]);
+    const [branches] = await connection.execute('SELECT name FROM branches WHERE branch_id = ?', [hold.pickup_branch_id]);
+    const deadline = formatDate(pickupDeadline);
+    await notify(connection, hold.user_id, 'reservation_ready', {
+        title: `"${books[0].title}" is ready for pickup`,
+        body: `The book you reserved, "${books[0].title}", is waiting for you at the ${branches[0].name} desk. Please collect it by ${deadline}.`,
+        dedupeKey: `reservation_ready:${hold.reservation_id}:${copy.copy_id}`
+    });
+
+    return { ...hold, status: 'ready', copy_id: copy.copy_id, expiry_date: pickupDeadline };
+};
+
+// Give a copy to a hold. A copy already at the pickup branch is ready straight away; one elsewhere
+// is kept off the shelf for the hold and a transfer to the pickup branch is requested.
+const assignCopyToHold = async (connection, copy, hold) => {
+    if (copy.current_branch_id === hold.pickup_branch_id) {
+        return readyHold(connection, copy, hold);
+    }
+
+    await connection.execute(
+        'UPDATE reservations SET status = "in_transit", copy_id = ? WHERE reservation_id = ?',
+        [copy.copy_id, hold.reservation_id]
+    );
+
+    await connection.execute(
+        'UPDATE book_copies SET status = "on_hold" WHERE copy_id = ?',
+        [copy.copy_id]
+    );
+
+    const transferId = await requestTransfer(connection, {
+        copyId: copy.copy_id,
+        fromBranchId: copy.current_branch_id,
+        toBranchId: hold.pickup_branch_id,
+        reservationId: hold.reservation_id,
+        reason: 'Reserved for pickup'
+    });
+
+    return { ...hold, status: 'in_transit', copy_id: copy.copy_id, transferId };
+};
+
+// Hand a copy that has come back to the next pending hold on its book, or put it back on the shelf.
+// Holds are filled in the order they were placed, whichever branch they are to be collected from.
+// Returns the hold the copy is now ready for or travelling to, if any.
+const releaseCopy = async (connection, copy) => {
+    const [queue] = await connection.execute(
+        `SELECT * FROM reservations 
+         WHERE book_id = ? AND status = 'pending' 
+         ORDER BY reservation_id ASC 
+         LIMIT 1 FOR UPDATE`,
+        [copy.book_id]
+    );
+
+    if (queue.length === 0) {
+        await connection.execute(
+            'UPDATE book_copies SET status = "available" WHERE copy_id = ?',
+            [copy.copy_id]
+        );
+        return null;
+    }
+
+    const [copies] = await connection.execute(
+        'SELECT copy_id, book_id, current_branch_id FROM book_copies WHERE copy_id = ?',
+        [copy.copy_id]
+    );
+
+    return assignCopyToHold(connection, copies[0], queue[0]);
+};
+
+// Free the copy a closed hold had been given (the hold was cancelled, or filled with another copy).
+// A copy still waiting to be shipped to the pickup branch is freed where it is; one already on
+// its way is dealt with when it arrives.
+const releaseHoldCopy = async (connection, hold) => {
+    if (!hold.copy_id) return null;
+
+    if (hold.status === 'in_transit') {
+        const [result] = await connection.execute(
+            'UPDATE copy_transfers SET status = "cancelled" WHERE reservation_id = ? AND status = "requested"',
+            [hold.reservation_id]
+        );
+        if (result.affectedRows === 0) return null;
+    } else if (hold.status !== 'ready') {
+        return null;
+    }
+
+    return releaseCopy(connection, { copy_id: hold.copy_id, book_id: hold.book_id });
+};
+
+// Lend a copy to a patron inside the caller's transaction. The copy is either named by barcode or
+// picked from the title (the patron's own held copy first, then the open shelf). Pass branchId to
+// lend only from that branch. A librarian can pass an overrideReason to lend past the fine block
+// and loan limit; the reason is kept on the record.
+// Returns { status, error } when the loan is refused, with overridable set if an override would allow it.
+const checkoutCopy = async (connection, { userId, bookId, barcode, branchId = null, librarianId = null, notes = null, overrideReason = null }) => {
+    const subject = librarianId ? 'The patron has' : 'You have';
+    const overridden = [];
+
+    // Patrons with too much unpaid fine cannot take out new loans
+    const fines = await getFineBalance(connection, userId);
+    if (fines.outstanding > FINE_BLOCK_THRESHOLD) {
+        if (!overrideReason) {
+            return {
+                status: 403,
+                error: `Outstanding fines of ₹${fines.outstanding} exceed the ₹${FINE_BLOCK_THRESHOLD} limit. Please clear your fines before borrowing.`,
+                outstandingFines: fines.outstanding,
+                overridable: true
+            };
+        }
+        overridden.push('fine_limit');
+    }
+
+    let copy;
+    if (barcode) {
+        const [copies] = await connection.execute(
+            'SELECT * FROM book_copies WHERE barcode = ? FOR UPDATE',
+            [barcode]
+        );
+
+        if (copies.length === 0) {
+            return { status: 404, error: 'Copy not found' };
+        }
+
+        if (branchId && copies[0].current_branch_id !== Number(branchId)) {
+            return { status: 400, error: 'This copy is at another branch' };
+        }
+
+        // A copy on the hold shelf can only go to the patron it is held for
+        if (copies[0].status === 'on_hold') {
+            const [holds] = await connection.execute(
+                'SELECT reservation_id FROM reservations WHERE copy_id = ? AND user_id = ? AND status = "ready"',
+                [copies[0].copy_id, userId]
+            );
+
+            if (holds.length === 0) {
+                return { status: 400, error: 'This copy is on hold for another patron' };
+            }
+        } else if (copies[0].status !== 'available') {
+            return { status: 400, error: 'This copy is not available' };
+        }
+
+        copy = copies[0];
+    } else {
+        const [books] = await connection.execute(
+            'SELECT book_id FROM books WHERE book_id = ?',
+            [bookId]
+        );
+
+        if (books.length === 0) {
+            return { status: 404, error: 'Book not found' };
+        }
+
+        const atBranch = branchId ? ' AND c.current_branch_id = ?' : '';
+        const branchParams = branchId ? [branchId] : [];
+
+        // Prefer the copy waiting on the patron's own hold, then any copy on the open shelf
+        const [heldCopies] = await connection.execute(
+            `SELECT c.* FROM reservations r 
+             JOIN book_copies c ON r.copy_id = c.copy_id 
+             WHERE r.user_id = ? AND r.book_id = ? AND r.status = 'ready'${atBranch} 
+             FOR UPDATE`,
+            [userId, bookId, ...branchParams]
+        );
+
+        let copies = heldCopies;
+        if (copies.length === 0) {
+            [copies] = await connection.execute(
+                `SELECT c.* FROM book_copies c WHERE c.book_id = ? AND c.status = "available"${atBranch} ORDER BY c.copy_id LIMIT 1 FOR UPDATE`,
+                [bookId, ...branchParams]
+            );
+        }
+
+        if (copies.length === 0) {
+            return { status: 400, error: branchId ? 'Book is not available at this branch' : 'Book is not available' };
+        }
+
+        copy = copies[0];
+    }
+
+    // Check if user already borrowed this book
+    const [existing] = await connection.execute(
+        'SELECT * FROM borrowing_records WHERE user_id = ? AND book_id = ? AND status IN ("borrowed", "overdue")',
+        [userId, copy.book_id]
+    );
+
+    if (existing.length > 0) {
+        return { status: 400, error: `${subject} already borrowed this book` };
+    }
+
+    // Loan period and loan limit come from the circulation policy for this patron and book
+    const policy = await getLoanPolicy(connection, userId, copy.book_id);
+
+    const [activeLoans] = await connection.execute(
+        'SELECT COUNT(*) as count FROM borrowing_records WHERE user_id = ? AND status IN ("borrowed", "overdue")',
+        [userId]
+    );
+
+    if (activeLoans[0].count >= policy.maxLoans) {
+        if (!overrideReason) {
+            return { status: 400, error: `${subject} reached the limit of ${policy.maxLoans} books on loan`, overridable: true };
+        }
+        overridden.push('loan_limit');
+    }
+
+    // Create borrowing record
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + policy.loanPeriodDays);
+
+    const [result] = await connection.execute(
+        'INSERT INTO borrowing_records (user_id, book_id, copy_id, branch_id, due_date, librarian_id, notes, override_reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+            userId,
+            copy.book_id,
+            copy.copy_id,
+            copy.current_branch_id,
+            dueDate,
+            librarianId,
+            notes,
+            overridden.length > 0 ? `${overridden.join(', ')}: ${overrideReason}` : null
+        ]
+    );
+
+    // Mark the copy as out
+    await connection.execute(
+        'UPDATE book_copies SET status = "on_loan" WHERE copy_id = ?',
+        [copy.copy_id]
+    );
+
+    // This loan fulfils the patron's own hold on the title; a different copy held for them goes to the next in line
+    const [holds] = await connection.execute(
+        'SELECT * FROM reservations WHERE user_id = ? AND book_id = ? AND status IN ("pending", "in_transit", "ready") FOR UPDATE',
+        [userId, copy.book_id]
+    );
+
+    for (const hold of holds) {
+        await connection.execute(
+            'UPDATE reservations SET status = "fulfilled" WHERE reservation_id = ?',
+            [hold.reservation_id]
+        );
+
+        if (hold.copy_id !== copy.copy_id) {
+            await releaseHoldCopy(connection, hold);
+        }
+    }
+
+    return { recordId: result.insertId, copy, dueDate, policy, overridden };
+};
+
+// Place a hold on a book with no copy on the shelf at the pickup branch, inside the caller's
+// transaction. If another branch has a copy on the shelf it is sent over; otherwise the hold joins
+// the back of the queue. Returns { reservationId, status, queuePosition }, with queuePosition null
+// for a copy already on its way, or { status, error } when the hold is refused.
+const placeReservation = async (connection, userId, bookId, pickupBranchId = DEFAULT_BRANCH_ID) => {
+    const [books] = await connection.execute(
+        'SELECT book_id FROM books WHERE book_id = ?',
+        [bookId]
+    );
+
+    if (books.length === 0) {
+        return { status: 404, error: 'Book not found' };
+    }
+
+    const branch = await getActiveBranch(connection, pickupBranchId);
+
+    if (!branch) {
+        return { status: 400, error: 'Pickup branch not found' };
+    }
+
+    const [onShelf] = await connection.execute(
+        'SELECT COUNT(*) as count FROM book_copies WHERE book_id = ? AND current_branch_id = ? AND status = "available"',
+        [bookId, branch.branch_id]
+    );
+
+    if (onShelf[0].count > 0) {
+        return { status: 400, error: `Book is available at ${branch.name}. Please borrow directly.` };
+    }
+
+    const [existing] = await connection.execute(
+        'SELECT reservation_id FROM reservations WHERE user_id = ? AND book_id = ? AND status IN ("pending", "in_transit", "ready")',
+        [userId, bookId]
+    );
+
+    if (existing.length > 0) {
+        return { status: 400, error: 'You already have an active reservation for this book' };
+    }
+
+    const [borrowed] = await connection.execute(
+        'SELECT record_id FROM borrowing_records WHERE user_id = ? AND book_id = ? AND status IN ("borrowed", "overdue")',
+        [userId, bookId]
+    );
+
+    if (borrowed.length > 0) {
+        return { status: 400, error: 'You have already borrowed this book' };
+    }
+
+    const [result] = await connection.execute(
+        'INSERT INTO reservations (user_id, book_id, pickup_branch_id) VALUES (?, ?, ?)',
+        [userId, bookId, branch.branch_id]
+    );
+
+    const [spare] = await connection.execute(
+        'SELECT copy_id, book_id, current_branch_id FROM book_copies WHERE book_id = ? AND status = "available" ORDER BY copy_id LIMIT 1 FOR UPDATE',
+        [bookId]
+    );
+
+    if (spare.length > 0) {
+        await assignCopyToHold(connection, spare[0], {
+            reservation_id: result.insertId,
+            user_id: userId,
+            book_id: Number(bookId),
+            pickup_branch_id: branch.branch_id
+        });
+        return { reservationId: result.insertId, status: 'in_transit', queuePosition: null };
+    }
+
+    const [queue] = await connection.execute(
+        'SELECT COUNT(*) as position FROM reservations WHERE book_id = ? AND status = "pending" AND reservation_id <= ?',
+        [bookId, result.insertId]
+    );
+
+    return { reservationId: result.insertId, status: 'pending', queuePosition: queue[0].position };
+};
+
+// Charge an overdue fine on a loan to the patron's ledger and tell them. action says what ended
+// the overdue period ('returning', 'renewing').
+const postOverdueFine = async (connection, record, fine, overdueDays, { librarianId = null, action }) => {
+    const [charge] = await connection.execute(
+        'INSERT INTO fine_transactions (user_id, record_id, transaction_type, amount, reason, librarian_id) VALUES (?, ?, "charge", ?, ?, ?)',
+        [record.user_id, record.record_id, fine, `Overdue fine: ${overdueDays} day(s)`, librarianId]
+    );
+    await notify(connection, record.user_id, 'fine_posted', {
+        title: `A fine of ₹${fine} was added to your account`,
+        body: `A fine of ₹${fine} was charged for ${action} a book ${overdueDays} day(s) late.`,
+        dedupeKey: `fine:${charge.insertId}`
+    });
+    return charge.insertId;
+};
+
+// Close an active loan inside the caller's transaction: settle the final fine, post it to the
+// ledger and pass the copy to the hold queue or back to the shelf. branchId is where the copy was
+// handed in, if not the branch it was at; it is shelved there.
+const checkinLoan = async (connection, record, { librarianId = null, notes = null, branchId = null } = {}) => {
+    // Final fine, whether or not the sweeper has already flagged the loan overdue
+    const policy = await getLoanPolicy(connection, record.user_id, record.book_id);
+    const fine = calculateFine(record.due_date, policy);
+    const overdueDays = daysOverdue(record.due_date);
+
+    const [copies] = await connection.execute(
+        'SELECT current_branch_id FROM book_copies WHERE copy_id = ?',
+        [record.copy_id]
+    );
+    const returnBranchId = branchId ? Number(branchId) : copies[0].current_branch_id;
+
+    if (returnBranchId !== copies[0].current_branch_id) {
+        await connection.execute(
+            'UPDATE book_copies SET current_branch_id = ? WHERE copy_id = ?',
+            [returnBranchId, record.copy_id]
+        );
+    }
+
+    // Update borrowing record
+    await connection.execute(
+        `UPDATE borrowing_records 
+         SET return_date = NOW(), status = "returned", fine_amount = ?, return_librarian_id = ?, return_branch_id = ?, 
+             notes = CASE WHEN ? IS NULL THEN notes ELSE CONCAT_WS('\n', notes, ?) END 
+         WHERE record_id = ?`,
+        [fine, librarianId, returnBranchId, notes, notes, record.record_id]
+    );
+
+    // Post the fine to the patron's ledger
+    if (fine > 0) {
+        await postOverdueFine(connection, record, fine, overdueDays, { librarianId, action: 'returning' });
+    }
+
+    // Fill the next hold in the queue, or put the copy back on the shelf
+    const hold = await releaseCopy(connection, { copy_id: record.copy_id, book_id: record.book_id });
+
+    return { fine, daysOverdue: overdueDays, hold };
+};
+
+// Send a requested transfer on its way. A copy going to fill a hold waits on the hold shelf for it;
+// any other copy must be on the open shelf at the sending branch.
+// Returns { transferId }, or { status, error } if the copy can't be sent.
+const shipTransfer = async (connection, transfer, { shippedBy = null } = {}) => {
+    if (transfer.status !== 'requested') {
+        return { status: 400, error: `This transfer is already ${transfer.status.replace('_', ' ')}` };
+    }
+
+    const [copies] = await connection.execute(
+        'SELECT * FROM book_copies WHERE copy_id = ? FOR UPDATE',
+        [transfer.copy_id]
+    );
+
+    if (copies[0].status !== (transfer.reservation_id ? 'on_hold' : 'available') || copies[0].current_branch_id !== transfer.from_branch_id) {
+        return { status: 400, error: 'The copy is not on the shelf at the sending branch. Cancel the transfer instead.' };
+    }
+
+    await connection.execute(
+        'UPDATE book_copies SET status = "in_transit" WHERE copy_id = ?',
+        [transfer.copy_id]
+    );
+
+    await connection.execute(
+        'UPDATE copy_transfers SET status = "in_transit", shipped_by = ?, shipped_at = NOW() WHERE transfer_id = ?',
+        [shippedBy, transfer.transfer_id]
+    );
+
+    return { transferId: transfer.transfer_id };
+};
+
+// Book a copy in at the end of a transfer. It fills the hold it was sent for if that is still
+// waiting, otherwise it goes to the hold queue or onto the shelf at its new branch.
+// Returns { hold } with the hold it was given to, if any, or { status, error }.
+const receiveTransfer = async (connection, transfer, { receivedBy = null } = {}) => {
+    if (transfer.status !== 'in_transit') {
+        return { status: 400, error: 'Only transfers in transit can be received' };
+    }
+
+    await connection.execute(
+        'UPDATE copy_transfers SET status = "received", received_by = ?, received_at = NOW() WHERE transfer_id = ?',
+        [receivedBy, transfer.transfer_id]
+    );
+
+    await connection.execute(
+        'UPDATE book_copies SET current_branch_id = ? WHERE copy_id = ?',
+        [transfer.to_branch_id, transfer.copy_id]
+    );
+
+    const [copies] = await connection.execute(
+        'SELECT copy_id, book_id, current_branch_id FROM book_copies WHERE copy_id = ?',
+        [transfer.copy_id]
+    );
+
+    if (transfer.reservation_id) {
+        const [holds] = await connection.execute(
+            'SELECT * FROM reservations WHERE reservation_id = ? AND status = "in_transit" AND copy_id = ? FOR UPDATE',
+            [transfer.reservation_id, transfer.copy_id]
+        );
+
+        if (holds.length > 0) {
+            return { hold: await assignCopyToHold(connection, copies[0], holds[0]) };
+        }
+    }
+
+    return { hold: await releaseCopy(connection, copies[0]) };
+};
+
+// Expire ready holds whose pickup deadline has passed and roll their copies to the next patron
+const expireUncollectedHolds = async (pool) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [holds] = await connection.execute(
+            `SELECT * FROM reservations 
+             WHERE status = 'ready' AND expiry_date < CURDATE() 
+             ORDER BY reservation_id ASC 
+             FOR UPDATE`
+        );
+
+        for (const hold of holds) {
+            await connection.execute(
+                'UPDATE reservations SET status = "expired" WHERE reservation_id = ?',
+                [hold.reservation_id]
+            );
+
+            if (hold.copy_id) {
+                await releaseCopy(connection, { copy_id: hold.copy_id, book_id: hold.book_id });
+            }
+        }
+
+        await connection.commit();
+        return holds.length;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Expire holds that have waited longer than RESERVATION_EXPIRY_DAYS without becoming ready.
+// A copy still waiting to be shipped is freed; one already on its way is freed when it arrives.
+const expireStaleReservations = async (pool) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [holds] = await connection.execute(
+            `SELECT * FROM reservations 
+             WHERE status IN ('pending', 'in_transit') AND reservation_date < DATE_SUB(NOW(), INTERVAL ? DAY) 
+             ORDER BY reservation_id ASC 
+             FOR UPDATE`,
+            [RESERVATION_EXPIRY_DAYS]
+        );
+
+        for (const hold of holds) {
+            await connection.execute(
+                'UPDATE reservations SET status = "expired" WHERE reservation_id = ?',
+                [hold.reservation_id]
+            );
+            await releaseHoldCopy(connection, hold);
+        }
+
+        await connection.commit();
+        return holds.length;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Flag active loans whose due date has passed
+const markOverdueLoans = async (pool) => {
+    const [result] = await pool.execute(
+        `UPDATE borrowing_records SET status = 'overdue' 
+         WHERE status = 'borrowed' AND due_date < CURDATE()`
+    );
+    return result.affectedRows;
+};
+
+// Bring the running fine on every overdue loan up to date. The fine is recomputed from the
+// due date under the loan's policy rather than incremented, so repeated runs change nothing.
+const accrueOverdueFines = async (pool) => {
+    const [loans] = await pool.execute(
+        `SELECT br.record_id, br.due_date, br.fine_amount, u.user_type, b.genre, b.item_type 
+         FROM borrowing_records br 
+         JOIN users u ON br.user_id = u.user_id 
+         JOIN books b ON br.book_id = b.book_id 
+         WHERE br.status = 'overdue'`
+    );
+
+    const policies = new Map();
+    let updated = 0;
+
+    for (const loan of loans) {
+        const key = `${loan.user_type}|${loan.genre}|${loan.item_type}`;
+        if (!policies.has(key)) {
+            policies.set(key, await resolvePolicy(pool, loan.user_type, loan));
+        }
+
+        const fine = calculateFine(loan.due_date, policies.get(key));
+        if (fine !== Number(loan.fine_amount)) {
+            await pool.execute(
+                'UPDATE borrowing_records SET fine_amount = ? WHERE record_id = ? AND status = "overdue"',
+                [fine, loan.record_id]
+            );
+            updated++;
+        }
+    }
+
+    return updated;
+};
+
+// One pass of the overdue sweeper; safe to run as often as needed.
+// Due reminders are created after loans are flagged, and everything waiting is then emailed.
+const runOverdueSweep = async (pool) => {
+    const markedOverdue = await markOverdueLoans(pool);
+    const finesUpdated = await accrueOverdueFines(pool);
+    const holdsExpired = await expireUncollectedHolds(pool);
+    const reservationsExpired = await expireStaleReservations(pool);
+    const remindersCreated = await generateDueReminders(pool);
+    const emails = await deliverPendingEmails(pool);
+
+    return { markedOverdue, finesUpdated, holdsExpired, reservationsExpired, remindersCreated, emailsSent: emails.sent };
+};
+
+module.exports = {
+    DEFAULT_POLICY,
+    FINE_BLOCK_THRESHOLD,
+    RESERVATION_EXPIRY_DAYS,
+    daysOverdue,
+    calculateFine,
+    resolvePolicy,
+    getLoanPolicy,
+    getFineBalance,
+    postOverdueFine,
+    releaseCopy,
+    releaseHoldCopy,
+    checkoutCopy,
+    placeReservation,
+    checkinLoan,
+    shipTransfer,
+    receiveTransfer,
+    expireUncollectedHolds,
+    expireStaleReservations,
+    markOverdueLoans,
+    accrueOverdueFines,
+    runOverdueSweep
+};
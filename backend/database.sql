@@ -10,13 +10,61 @@ CREATE TABLE users (
     password_hash VARCHAR(255) NOT NULL,
     full_name VARCHAR(100) NOT NULL,
     user_type ENUM('student', 'librarian') NOT NULL,
+    card_number VARCHAR(20) UNIQUE,
     phone VARCHAR(15),
     address TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP NULL,
-    status ENUM('active', 'inactive', 'suspended') DEFAULT 'active',
+    email_verified_at TIMESTAMP NULL,
+    status ENUM('pending', 'active', 'inactive', 'suspended') DEFAULT 'active',
+    failed_login_attempts INT DEFAULT 0,
+    last_failed_login_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
     INDEX idx_email (email),
-    INDEX idx_username (username)
+    INDEX idx_username (username),
+    INDEX idx_card_number (card_number)
+);
+
+-- User Roles Table (staff roles; the permissions each grants are defined in permissions.js)
+CREATE TABLE user_roles (
+    user_id INT NOT NULL,
+    role VARCHAR(30) NOT NULL,
+    granted_by INT,
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- User Sessions Table (one per login; tokens are stored hashed)
+CREATE TABLE user_sessions (
+    session_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+    previous_token_hash CHAR(64),
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_reason VARCHAR(30),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_user (user_id),
+    INDEX idx_previous_token (previous_token_hash)
+);
+
+-- Password Resets Table (single-use, expiring; tokens are stored hashed)
+CREATE TABLE password_resets (
+    reset_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
 );
 
 -- Books Table
@@ -24,12 +72,12 @@ CREATE TABLE books (
     book_id INT PRIMARY KEY AUTO_INCREMENT,
     title VARCHAR(255) NOT NULL,
     author VARCHAR(100) NOT NULL,
-    isbn VARCHAR(20) UNIQUE,
+    isbn VARCHAR(20),
+    isbn13 CHAR(13) UNIQUE,
     genre VARCHAR(50) NOT NULL,
+    item_type VARCHAR(30) NOT NULL DEFAULT 'book',
     publication_year INT,
     publisher VARCHAR(100),
-    total_copies INT DEFAULT 1,
-    available_copies INT DEFAULT 1,
     description TEXT,
     image_url VARCHAR(500),
     added_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -37,7 +85,99 @@ CREATE TABLE books (
     INDEX idx_title (title),
     INDEX idx_author (author),
     INDEX idx_genre (genre),
-    INDEX idx_isbn (isbn)
+    INDEX idx_isbn (isbn),
+    FULLTEXT INDEX ft_title (title),
+    FULLTEXT INDEX ft_author (author),
+    FULLTEXT INDEX ft_search (title, author, description, publisher)
+);
+
+-- Branches Table (the main library and the department reading rooms; branch 1 is the main library)
+CREATE TABLE branches (
+    branch_id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    address VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Staff Branches Table (where each staff member may work; staff with no rows work at every branch)
+CREATE TABLE staff_branches (
+    user_id INT NOT NULL,
+    branch_id INT NOT NULL,
+    PRIMARY KEY (user_id, branch_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (branch_id) REFERENCES branches(branch_id) ON DELETE CASCADE
+);
+
+-- Book Copies Table (one row per physical item; availability is derived from here)
+-- home_branch_id is the branch that owns the copy, current_branch_id where it is now
+CREATE TABLE book_copies (
+    copy_id INT PRIMARY KEY AUTO_INCREMENT,
+    book_id INT NOT NULL,
+    barcode VARCHAR(50) UNIQUE NOT NULL,
+    accession_number VARCHAR(50) UNIQUE,
+    shelf_location VARCHAR(100),
+    item_condition ENUM('new', 'good', 'fair', 'poor', 'damaged') DEFAULT 'good',
+    status ENUM('available', 'on_loan', 'on_hold', 'in_transit', 'in_repair', 'lost', 'withdrawn') DEFAULT 'available',
+    home_branch_id INT NOT NULL DEFAULT 1,
+    current_branch_id INT NOT NULL DEFAULT 1,
+    notes TEXT,
+    acquired_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (home_branch_id) REFERENCES branches(branch_id),
+    FOREIGN KEY (current_branch_id) REFERENCES branches(branch_id),
+    INDEX idx_book_id (book_id),
+    INDEX idx_barcode (barcode),
+    INDEX idx_status (status),
+    INDEX idx_book_branch (book_id, current_branch_id, status)
+);
+
+-- Copy Transfers Table (moving a copy between branches: requested, then in_transit once shipped,
+-- then received at the destination; reservation_id is set when the copy is going to fill a hold)
+CREATE TABLE copy_transfers (
+    transfer_id INT PRIMARY KEY AUTO_INCREMENT,
+    copy_id INT NOT NULL,
+    from_branch_id INT NOT NULL,
+    to_branch_id INT NOT NULL,
+    reservation_id INT NULL,
+    status ENUM('requested', 'in_transit', 'received', 'cancelled') DEFAULT 'requested',
+    reason VARCHAR(255),
+    requested_by INT NULL,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    shipped_by INT NULL,
+    shipped_at TIMESTAMP NULL,
+    received_by INT NULL,
+    received_at TIMESTAMP NULL,
+    FOREIGN KEY (copy_id) REFERENCES book_copies(copy_id) ON DELETE CASCADE,
+    FOREIGN KEY (from_branch_id) REFERENCES branches(branch_id),
+    FOREIGN KEY (to_branch_id) REFERENCES branches(branch_id),
+    FOREIGN KEY (requested_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (shipped_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX idx_copy_id (copy_id),
+    INDEX idx_status (status),
+    INDEX idx_reservation_id (reservation_id)
+);
+
+-- Circulation Policies Table (loan rules per user type, optionally narrowed to a genre and/or item type;
+-- the most specific matching row applies, NULL genre/item_type match anything)
+CREATE TABLE circulation_policies (
+    policy_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_type ENUM('student', 'librarian') NOT NULL,
+    genre VARCHAR(50) NULL,
+    item_type VARCHAR(30) NULL,
+    loan_period_days INT NOT NULL DEFAULT 14,
+    max_loans INT NOT NULL DEFAULT 5,
+    max_renewals INT NOT NULL DEFAULT 2,
+    fine_per_day DECIMAL(10, 2) NOT NULL DEFAULT 10.00,
+    fine_cap DECIMAL(10, 2) NULL,
+    grace_days INT NOT NULL DEFAULT 0,
+    hold_pickup_days INT NOT NULL DEFAULT 7,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_user_type (user_type)
 );
 
 -- Borrowing Records Table
@@ -45,91 +185,336 @@ CREATE TABLE borrowing_records (
     record_id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     book_id INT NOT NULL,
+    copy_id INT NOT NULL,
     borrow_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     due_date DATE NOT NULL,
     return_date TIMESTAMP NULL,
     status ENUM('borrowed', 'returned', 'overdue') DEFAULT 'borrowed',
     fine_amount DECIMAL(10, 2) DEFAULT 0.00,
+    renewal_count INT DEFAULT 0,
     librarian_id INT,
+    return_librarian_id INT,
+    override_reason VARCHAR(255),
     notes TEXT,
+    branch_id INT NULL,
+    return_branch_id INT NULL,
     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
     FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (copy_id) REFERENCES book_copies(copy_id) ON DELETE CASCADE,
     FOREIGN KEY (librarian_id) REFERENCES users(user_id),
+    FOREIGN KEY (return_librarian_id) REFERENCES users(user_id),
+    FOREIGN KEY (branch_id) REFERENCES branches(branch_id),
+    FOREIGN KEY (return_branch_id) REFERENCES branches(branch_id),
     INDEX idx_user_id (user_id),
     INDEX idx_book_id (book_id),
+    INDEX idx_copy_id (copy_id),
     INDEX idx_status (status),
     INDEX idx_borrow_date (borrow_date)
 );
 
--- Reservations Table (for books that are currently borrowed)
+-- Loan Renewals Table (history of due date extensions per borrowing record)
+CREATE TABLE loan_renewals (
+    renewal_id INT PRIMARY KEY AUTO_INCREMENT,
+    record_id INT NOT NULL,
+    renewed_by INT NOT NULL,
+    renewal_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    previous_due_date DATE NOT NULL,
+    new_due_date DATE NOT NULL,
+    FOREIGN KEY (record_id) REFERENCES borrowing_records(record_id) ON DELETE CASCADE,
+    FOREIGN KEY (renewed_by) REFERENCES users(user_id),
+    INDEX idx_record_id (record_id)
+);
+
+-- Fine Transactions Table (ledger; charges and positive adjustments add to what a patron owes,
+-- payments, waivers and negative adjustments are stored as negative amounts)
+CREATE TABLE fine_transactions (
+    transaction_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    record_id INT NULL,
+    transaction_type ENUM('charge', 'payment', 'waiver', 'adjustment') NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    payment_method ENUM('cash', 'card', 'upi', 'other') NULL,
+    reason VARCHAR(255),
+    librarian_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (record_id) REFERENCES borrowing_records(record_id) ON DELETE SET NULL,
+    FOREIGN KEY (librarian_id) REFERENCES users(user_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_type (transaction_type),
+    INDEX idx_created_at (created_at)
+);
+
+-- Reservations Table (FIFO hold queue per book; a returned copy is assigned to the oldest pending hold)
+-- A copy assigned from another branch is in_transit until it reaches the pickup branch.
+-- expiry_date is the pickup deadline once the hold is ready
 CREATE TABLE reservations (
     reservation_id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     book_id INT NOT NULL,
+    copy_id INT NULL,
+    pickup_branch_id INT NOT NULL DEFAULT 1,
     reservation_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    status ENUM('pending', 'fulfilled', 'cancelled') DEFAULT 'pending',
+    status ENUM('pending', 'in_transit', 'ready', 'fulfilled', 'cancelled', 'expired') DEFAULT 'pending',
+    ready_date TIMESTAMP NULL,
     expiry_date DATE,
     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
     FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (copy_id) REFERENCES book_copies(copy_id) ON DELETE SET NULL,
+    FOREIGN KEY (pickup_branch_id) REFERENCES branches(branch_id),
     INDEX idx_user_id (user_id),
     INDEX idx_book_id (book_id),
     INDEX idx_status (status)
 );
 
 -- Reviews and Ratings Table
+-- Only published reviews are shown or counted in ratings. 'held' reviews wait for a moderator
+-- (they matched a banned word); 'hidden' ones were taken down, with the reason kept.
 CREATE TABLE reviews (
     review_id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     book_id INT NOT NULL,
     rating INT CHECK (rating BETWEEN 1 AND 5),
     review_text TEXT,
+    username_only BOOLEAN DEFAULT FALSE,
+    status ENUM('published', 'held', 'hidden') DEFAULT 'published',
+    moderation_reason VARCHAR(255),
+    moderated_by INT,
+    moderated_at TIMESTAMP NULL,
     review_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
     FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (moderated_by) REFERENCES users(user_id) ON DELETE SET NULL,
     UNIQUE KEY unique_user_book_review (user_id, book_id),
-    INDEX idx_book_id (book_id)
+    INDEX idx_book_id (book_id),
+    INDEX idx_status (status)
+);
+
+-- Review Flags Table (readers reporting a review; open until a moderator acts on the review)
+CREATE TABLE review_flags (
+    flag_id INT PRIMARY KEY AUTO_INCREMENT,
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP NULL,
+    resolved_by INT,
+    FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (resolved_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_review_flagger (review_id, user_id),
+    INDEX idx_open_flags (review_id, resolved_at)
+);
+
+-- Review Votes Table (one helpful / not helpful vote per reader per review)
+CREATE TABLE review_votes (
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    helpful BOOLEAN NOT NULL,
+    voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, user_id),
+    FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Banned Words Table (reviews containing any of these are held for moderation)
+CREATE TABLE banned_words (
+    word VARCHAR(100) PRIMARY KEY,
+    added_by INT,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (added_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Reading Lists Table (each user's Wishlist and Read lists plus custom shelves; see readingLists.js)
+-- share_token makes a list readable by anyone with the link; staff lists can be published on the home page
+CREATE TABLE reading_lists (
+    list_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    kind ENUM('wishlist', 'read', 'custom') DEFAULT 'custom',
+    description TEXT,
+    share_token CHAR(32) UNIQUE,
+    published_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_list_name (user_id, name),
+    INDEX idx_published (published_at)
+);
+
+-- Reading List Items Table (position orders the entries within a list, starting at 1)
+CREATE TABLE reading_list_items (
+    list_id INT NOT NULL,
+    book_id INT NOT NULL,
+    position INT NOT NULL,
+    note VARCHAR(255),
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, book_id),
+    FOREIGN KEY (list_id) REFERENCES reading_lists(list_id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    INDEX idx_list_position (list_id, position)
+);
+
+-- Notifications Table (per-user inbox; email_status tracks delivery by email, see notifications.js)
+-- dedupe_key stops scheduled reminders for the same event being created twice
+CREATE TABLE notifications (
+    notification_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    type VARCHAR(30) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT,
+    dedupe_key VARCHAR(100),
+    in_app BOOLEAN DEFAULT TRUE,
+    email_status ENUM('pending', 'sending', 'sent', 'failed', 'skipped') DEFAULT 'skipped',
+    email_claim CHAR(32) NULL,
+    email_claimed_at TIMESTAMP NULL,
+    email_attempts INT DEFAULT 0,
+    emailed_at TIMESTAMP NULL,
+    read_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_dedupe (user_id, dedupe_key),
+    INDEX idx_user_inbox (user_id, in_app, read_at),
+    INDEX idx_email_status (email_status)
+);
+
+-- Notification Preferences Table (only types a user has changed; the rest use the defaults)
+CREATE TABLE notification_preferences (
+    user_id INT NOT NULL,
+    type VARCHAR(30) NOT NULL,
+    in_app BOOLEAN NOT NULL,
+    email BOOLEAN NOT NULL,
+    PRIMARY KEY (user_id, type),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Audit Log Table (append-only trail of staff actions; changes holds { field: { from, to } }).
+-- The actor's username is copied in so entries stay readable if the account is renamed or removed.
+CREATE TABLE audit_log (
+    audit_id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    actor_id INT,
+    actor_username VARCHAR(50),
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(30),
+    target_id VARCHAR(50),
+    changes JSON,
+    details JSON,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_created_at (created_at),
+    INDEX idx_actor (actor_id),
+    INDEX idx_action (action),
+    INDEX idx_target (target_type, target_id)
 );
 
+-- Entries can be added but never changed or removed
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
 -- Insert Sample Users
-INSERT INTO users (username, email, password_hash, full_name, user_type, phone, address) VALUES
-('student1', 'student1@readify.com', '$2b$10$qwertyuiopasdfghjklzxc', 'John Doe', 'student', '9876543210', 'Kapurthala, Punjab'),
-('student2', 'student2@readify.com', '$2b$10$qwertyuiopasdfghjklzxc', 'Jane Smith', 'student', '9876543211', 'Jalandhar, Punjab'),
-('librarian1', 'librarian@readify.com', '$2b$10$qwertyuiopasdfghjklzxc', 'Admin User', 'librarian', '9876543212', 'Kapurthala, Punjab');
+INSERT INTO users (username, email, password_hash, full_name, user_type, card_number, phone, address) VALUES
+('student1', 'student1@readify.com', '$2b$10$qwertyuiopasdfghjklzxc', 'John Doe', 'student', 'RDF-C0000001', '9876543210', 'Kapurthala, Punjab'),
+('student2', 'student2@readify.com', '$2b$10$qwertyuiopasdfghjklzxc', 'Jane Smith', 'student', 'RDF-C0000002', '9876543211', 'Jalandhar, Punjab'),
+('librarian1', 'librarian@readify.com', '$2b$10$qwertyuiopasdfghjklzxc', 'Admin User', 'librarian', 'RDF-C0000003', '9876543212', 'Kapurthala, Punjab');
+
+-- Insert Branches
+INSERT INTO branches (code, name, address) VALUES
+('MAIN', 'Main Library', 'Central Campus, Ground Floor'),
+('SCI', 'Science Reading Room', 'Science Block, Level 2'),
+('HUM', 'Humanities Reading Room', 'Arts Building, Level 1');
+
+-- Insert Staff Roles
+INSERT INTO user_roles (user_id, role) VALUES
+(3, 'superadmin');
 
 -- Insert Sample Books
-INSERT INTO books (title, author, isbn, genre, publication_year, publisher, total_copies, available_copies, description, image_url) VALUES
-('The Great Gatsby', 'F. Scott Fitzgerald', '978-0-7432-7356-5', 'Fiction', 1925, 'Scribner', 3, 3, 'A classic American novel set in the Jazz Age', 'https://images.unsplash.com/photo-1543002588-bfa74002ed7e?w=400&h=600&fit=crop'),
-('To Kill a Mockingbird', 'Harper Lee', '978-0-06-112008-4', 'Fiction', 1960, 'J.B. Lippincott & Co.', 2, 2, 'A gripping tale of racial injustice and childhood innocence', 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=400&h=600&fit=crop'),
-('1984', 'George Orwell', '978-0-452-28423-4', 'Fiction', 1949, 'Secker & Warburg', 4, 3, 'A dystopian social science fiction novel', 'https://images.unsplash.com/photo-1512820790803-83ca734da794?w=400&h=600&fit=crop'),
-('A Brief History of Time', 'Stephen Hawking', '978-0-553-38016-3', 'Science', 1988, 'Bantam Books', 2, 2, 'Exploring the universe from the Big Bang to black holes', 'https://images.unsplash.com/photo-1516339901601-2e1b62dc0c45?w=400&h=600&fit=crop'),
-('Sapiens', 'Yuval Noah Harari', '978-0-06-231609-7', 'History', 2011, 'Harper', 3, 3, 'A brief history of humankind', 'https://images.unsplash.com/photo-1461360370896-922624d12aa1?w=400&h=600&fit=crop'),
-('Clean Code', 'Robert C. Martin', '978-0-13-235088-4', 'Technology', 2008, 'Prentice Hall', 2, 1, 'A handbook of agile software craftsmanship', 'https://images.unsplash.com/photo-1515879218367-8466d910aaa4?w=400&h=600&fit=crop'),
-('Harry Potter and the Sorcerer''s Stone', 'J.K. Rowling', '978-0-439-70818-8', 'Fantasy', 1997, 'Scholastic', 5, 5, 'The magical beginning of Harry Potter''s journey', 'https://images.unsplash.com/photo-1621351183012-e2f9972dd9bf?w=400&h=600&fit=crop'),
-('The Hobbit', 'J.R.R. Tolkien', '978-0-547-92822-7', 'Fantasy', 1937, 'Allen & Unwin', 3, 3, 'An unexpected journey to reclaim a lost kingdom', 'https://images.unsplash.com/photo-1614544048536-0d28caf77f41?w=400&h=600&fit=crop'),
-('Steve Jobs', 'Walter Isaacson', '978-1-4516-4853-9', 'Biography', 2011, 'Simon & Schuster', 2, 1, 'The exclusive biography of Steve Jobs', 'https://images.unsplash.com/photo-1519682337058-a94d519337bc?w=400&h=600&fit=crop'),
-('The Catcher in the Rye', 'J.D. Salinger', '978-0-316-76948-0', 'Fiction', 1951, 'Little, Brown', 2, 2, 'A story of teenage rebellion and alienation', 'https://images.unsplash.com/photo-1553729459-efe14ef6055d?w=400&h=600&fit=crop'),
-('Pride and Prejudice', 'Jane Austen', '978-0-14-143951-8', 'Fiction', 1813, 'T. Egerton', 3, 3, 'A romantic novel of manners', 'https://images.unsplash.com/photo-1524578271613-d550eacf6090?w=400&h=600&fit=crop'),
-('The Da Vinci Code', 'Dan Brown', '978-0-385-50420-1', 'Fiction', 2003, 'Doubleday', 2, 1, 'A mystery thriller novel', 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=400&h=600&fit=crop');
+INSERT INTO books (title, author, isbn, isbn13, genre, publication_year, publisher, description, image_url) VALUES
+('The Great Gatsby', 'F. Scott Fitzgerald', '978-0-7432-7356-5', '9780743273565', 'Fiction', 1925, 'Scribner', 'A classic American novel set in the Jazz Age', 'https://images.unsplash.com/photo-1543002588-bfa74002ed7e?w=400&h=600&fit=crop'),
+('To Kill a Mockingbird', 'Harper Lee', '978-0-06-112008-4', '9780061120084', 'Fiction', 1960, 'J.B. Lippincott & Co.', 'A gripping tale of racial injustice and childhood innocence', 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=400&h=600&fit=crop'),
+('1984', 'George Orwell', '978-0-452-28423-4', '9780452284234', 'Fiction', 1949, 'Secker & Warburg', 'A dystopian social science fiction novel', 'https://images.unsplash.com/photo-1512820790803-83ca734da794?w=400&h=600&fit=crop'),
+('A Brief History of Time', 'Stephen Hawking', '978-0-553-38016-3', '9780553380163', 'Science', 1988, 'Bantam Books', 'Exploring the universe from the Big Bang to black holes', 'https://images.unsplash.com/photo-1516339901601-2e1b62dc0c45?w=400&h=600&fit=crop'),
+('Sapiens', 'Yuval Noah Harari', '978-0-06-231609-7', '9780062316097', 'History', 2011, 'Harper', 'A brief history of humankind', 'https://images.unsplash.com/photo-1461360370896-922624d12aa1?w=400&h=600&fit=crop'),
+('Clean Code', 'Robert C. Martin', '978-0-13-235088-4', '9780132350884', 'Technology', 2008, 'Prentice Hall', 'A handbook of agile software craftsmanship', 'https://images.unsplash.com/photo-1515879218367-8466d910aaa4?w=400&h=600&fit=crop'),
+('Harry Potter and the Sorcerer''s Stone', 'J.K. Rowling', '978-0-439-70818-0', '9780439708180', 'Fantasy', 1997, 'Scholastic', 'The magical beginning of Harry Potter''s journey', 'https://images.unsplash.com/photo-1621351183012-e2f9972dd9bf?w=400&h=600&fit=crop'),
+('The Hobbit', 'J.R.R. Tolkien', '978-0-547-92822-7', '9780547928227', 'Fantasy', 1937, 'Allen & Unwin', 'An unexpected journey to reclaim a lost kingdom', 'https://images.unsplash.com/photo-1614544048536-0d28caf77f41?w=400&h=600&fit=crop'),
+('Steve Jobs', 'Walter Isaacson', '978-1-4516-4853-9', '9781451648539', 'Biography', 2011, 'Simon & Schuster', 'The exclusive biography of Steve Jobs', 'https://images.unsplash.com/photo-1519682337058-a94d519337bc?w=400&h=600&fit=crop'),
+('The Catcher in the Rye', 'J.D. Salinger', '978-0-316-76948-8', '9780316769488', 'Fiction', 1951, 'Little, Brown', 'A story of teenage rebellion and alienation', 'https://images.unsplash.com/photo-1553729459-efe14ef6055d?w=400&h=600&fit=crop'),
+('Pride and Prejudice', 'Jane Austen', '978-0-14-143951-8', '9780141439518', 'Fiction', 1813, 'T. Egerton', 'A romantic novel of manners', 'https://images.unsplash.com/photo-1524578271613-d550eacf6090?w=400&h=600&fit=crop'),
+('The Da Vinci Code', 'Dan Brown', '978-0-385-50420-1', '9780385504201', 'Fiction', 2003, 'Doubleday', 'A mystery thriller novel', 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=400&h=600&fit=crop');
 
--- Insert Sample Borrowing Records
-INSERT INTO borrowing_records (user_id, book_id, borrow_date, due_date, status, librarian_id) VALUES
-(1, 3, NOW() - INTERVAL 5 DAY, DATE_ADD(CURDATE(), INTERVAL 9 DAY), 'borrowed', 3),
-(1, 6, NOW() - INTERVAL 10 DAY, DATE_ADD(CURDATE(), INTERVAL 4 DAY), 'borrowed', 3),
-(2, 9, NOW() - INTERVAL 15 DAY, CURDATE() - INTERVAL 1 DAY, 'overdue', 3),
-(2, 12, NOW() - INTERVAL 20 DAY, NOW() - INTERVAL 6 DAY, 'returned', 3);
+-- Insert Default Circulation Policies
+INSERT INTO circulation_policies (user_type, genre, item_type, loan_period_days, max_loans, max_renewals, fine_per_day, fine_cap, grace_days, hold_pickup_days) VALUES
+('student', NULL, NULL, 14, 5, 2, 10.00, 500.00, 2, 7),
+('student', NULL, 'reference', 3, 1, 0, 20.00, 500.00, 0, 2),
+('librarian', NULL, NULL, 28, 10, 3, 0.00, NULL, 7, 7);
+
+-- Insert Sample Copies (barcode format RDF-<book id>-<copy number>)
+INSERT INTO book_copies (book_id, barcode, accession_number, shelf_location, item_condition, status) VALUES
+(1, 'RDF-00001-001', 'ACC-0001', 'FIC-A1', 'good', 'available'),
+(1, 'RDF-00001-002', 'ACC-0002', 'FIC-A1', 'good', 'available'),
+(1, 'RDF-00001-003', 'ACC-0003', 'FIC-A1', 'good', 'available'),
+(2, 'RDF-00002-001', 'ACC-0004', 'FIC-A2', 'good', 'available'),
+(2, 'RDF-00002-002', 'ACC-0005', 'FIC-A2', 'good', 'available'),
+(3, 'RDF-00003-001', 'ACC-0006', 'FIC-A3', 'good', 'on_loan'),
+(3, 'RDF-00003-002', 'ACC-0007', 'FIC-A3', 'good', 'available'),
+(3, 'RDF-00003-003', 'ACC-0008', 'FIC-A3', 'good', 'available'),
+(3, 'RDF-00003-004', 'ACC-0009', 'FIC-A3', 'good', 'available'),
+(4, 'RDF-00004-001', 'ACC-0010', 'SCI-B4', 'good', 'available'),
+(4, 'RDF-00004-002', 'ACC-0011', 'SCI-B4', 'good', 'available'),
+(5, 'RDF-00005-001', 'ACC-0012', 'HIS-C5', 'good', 'available'),
+(5, 'RDF-00005-002', 'ACC-0013', 'HIS-C5', 'good', 'available'),
+(5, 'RDF-00005-003', 'ACC-0014', 'HIS-C5', 'good', 'available'),
+(6, 'RDF-00006-001', 'ACC-0015', 'TEC-D6', 'good', 'on_loan'),
+(6, 'RDF-00006-002', 'ACC-0016', 'TEC-D6', 'good', 'available'),
+(7, 'RDF-00007-001', 'ACC-0017', 'FAN-E7', 'good', 'available'),
+(7, 'RDF-00007-002', 'ACC-0018', 'FAN-E7', 'good', 'available'),
+(7, 'RDF-00007-003', 'ACC-0019', 'FAN-E7', 'good', 'available'),
+(7, 'RDF-00007-004', 'ACC-0020', 'FAN-E7', 'good', 'available'),
+(7, 'RDF-00007-005', 'ACC-0021', 'FAN-E7', 'good', 'available'),
+(8, 'RDF-00008-001', 'ACC-0022', 'FAN-E8', 'good', 'available'),
+(8, 'RDF-00008-002', 'ACC-0023', 'FAN-E8', 'good', 'available'),
+(8, 'RDF-00008-003', 'ACC-0024', 'FAN-E8', 'good', 'available'),
+(9, 'RDF-00009-001', 'ACC-0025', 'BIO-F9', 'good', 'on_loan'),
+(9, 'RDF-00009-002', 'ACC-0026', 'BIO-F9', 'good', 'available'),
+(10, 'RDF-00010-001', 'ACC-0027', 'FIC-A10', 'good', 'available'),
+(10, 'RDF-00010-002', 'ACC-0028', 'FIC-A10', 'good', 'available'),
+(11, 'RDF-00011-001', 'ACC-0029', 'FIC-A11', 'good', 'available'),
+(11, 'RDF-00011-002', 'ACC-0030', 'FIC-A11', 'good', 'available'),
+(11, 'RDF-00011-003', 'ACC-0031', 'FIC-A11', 'good', 'available'),
+(12, 'RDF-00012-001', 'ACC-0032', 'FIC-A12', 'good', 'available'),
+(12, 'RDF-00012-002', 'ACC-0033', 'FIC-A12', 'good', 'in_repair');
 
--- Update available copies based on borrowing records
-UPDATE books SET available_copies = available_copies - 1 WHERE book_id IN (3, 6, 9);
+-- Insert Sample Borrowing Records
+INSERT INTO borrowing_records (user_id, book_id, copy_id, branch_id, return_branch_id, borrow_date, due_date, status, librarian_id) VALUES
+(1, 3, 6, 1, NULL, NOW() - INTERVAL 5 DAY, DATE_ADD(CURDATE(), INTERVAL 9 DAY), 'borrowed', 3),
+(1, 6, 15, 1, NULL, NOW() - INTERVAL 10 DAY, DATE_ADD(CURDATE(), INTERVAL 4 DAY), 'borrowed', 3),
+(2, 9, 25, 1, NULL, NOW() - INTERVAL 15 DAY, CURDATE() - INTERVAL 1 DAY, 'overdue', 3),
+(2, 12, 32, 1, 1, NOW() - INTERVAL 20 DAY, NOW() - INTERVAL 6 DAY, 'returned', 3);
 
 -- Create Views for Better Query Performance
 
+-- View: Copy Counts per Book (lost and withdrawn copies are not part of the holdings)
+CREATE VIEW book_copy_counts AS
+SELECT 
+    book_id,
+    COUNT(CASE WHEN status NOT IN ('lost', 'withdrawn') THEN 1 END) as total_copies,
+    COUNT(CASE WHEN status = 'available' THEN 1 END) as available_copies
+FROM book_copies
+GROUP BY book_id;
+
 -- View: Available Books
 CREATE VIEW available_books AS
 SELECT b.*, 
-       (SELECT AVG(rating) FROM reviews WHERE book_id = b.book_id) as avg_rating,
-       (SELECT COUNT(*) FROM reviews WHERE book_id = b.book_id) as review_count
+       cc.total_copies,
+       cc.available_copies,
+       (SELECT AVG(rating) FROM reviews WHERE book_id = b.book_id AND status = 'published') as avg_rating,
+       (SELECT COUNT(*) FROM reviews WHERE book_id = b.book_id AND status = 'published') as review_count
 FROM books b
-WHERE b.available_copies > 0;
+JOIN book_copy_counts cc ON b.book_id = cc.book_id
+WHERE cc.available_copies > 0;
 
 -- View: User Borrowing Summary
 CREATE VIEW user_borrowing_summary AS
@@ -153,7 +538,7 @@ SELECT
     AVG(r.rating) as avg_rating
 FROM books b
 LEFT JOIN borrowing_records br ON b.book_id = br.book_id
-LEFT JOIN reviews r ON b.book_id = r.book_id
+LEFT JOIN reviews r ON b.book_id = r.book_id AND r.status = 'published'
 GROUP BY b.book_id
 ORDER BY borrow_count DESC
 LIMIT 20;
\ No newline at end of file
@@ -0,0 +1,61 @@
+// downloads.js - Streaming a query's rows to the client as a file download
+//
+// The rows are read from MySQL as a stream and serialised one at a time, so an export of the
+// whole catalog or audit log never sits in memory.
+
+const { once } = require('events');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Stream the rows of sql into an attachment named fileName. format has contentType,
+// header(), record(row, index) and footer(); prepare(connection) runs before the query.
+// Errors are answered here: a 500 with errorMessage if nothing was sent yet, otherwise
+// the response is simply cut off.
+const streamDownload = async (pool, res, { sql, params = [], format, fileName, prepare, errorMessage, logLabel }) => {
+    const connection = await pool.getConnection();
+    try {
+        if (prepare) await prepare(connection);
+
+        const rows = connection.connection.query(sql, params).stream();
+
+        let index = 0;
+        const serialise = new Transform({
+            writableObjectMode: true,
+            transform(row, encoding, callback) {
+                callback(null, (index === 0 ? format.header() : '') + format.record(row, index++));
+            },
+            flush(callback) {
+                callback(null, (index === 0 ? format.header() : '') + format.footer());
+            }
+        });
+
+        // The response is only attached once the first chunk is ready, so a query that fails
+        // up front can still be answered with a 500 instead of a dropped connection
+        const body = new PassThrough();
+        const serialised = pipeline(rows, serialise, body);
+        await Promise.race([once(body, 'readable'), serialised]);
+
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        await pipeline(body, res);
+        await serialised;
+        connection.release();
+    } catch (error) {
+        // A stream cut short leaves unread rows on the connection, so drop it rather than reuse it
+        connection.destroy();
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+        console.error(`${logLabel} error:`, error);
+        // Once the body has started, the only way to signal the failure is to cut the response off
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            res.status(500).json({ error: errorMessage });
+        }
+    }
+};
+
+module.exports = {
+    streamDownload
+};
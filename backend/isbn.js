@@ -0,0 +1,78 @@
+// isbn.js - ISBN checksum validation and ISBN-10/13 conversion
+
+// Strip hyphens, spaces and an "ISBN"/"ISBN-13:" style prefix, e.g. "ISBN 0-7432-7356-7" -> "0743273567"
+const normaliseIsbn = (value) => String(value)
+    .toUpperCase()
+    .replace(/^\s*ISBN(?:-1[03])?:?/, '')
+    .replace(/[\s-]/g, '');
+
+const isbn10CheckDigit = (digits) => {
+    const sum = [...digits.slice(0, 9)].reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (digits) => {
+    const sum = [...digits.slice(0, 12)].reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn10 = (value) => {
+    const isbn = normaliseIsbn(value);
+    return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+};
+
+const isValidIsbn13 = (value) => {
+    const isbn = normaliseIsbn(value);
+    return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+};
+
+const isbn10To13 = (value) => {
+    const stem = `978${normaliseIsbn(value).slice(0, 9)}`;
+    return stem + isbn13CheckDigit(stem);
+};
+
+// Only 978-prefixed ISBN-13s have an ISBN-10 form
+const isbn13To10 = (value) => {
+    const isbn = normaliseIsbn(value);
+    if (!isbn.startsWith('978')) return null;
+    const stem = isbn.slice(3, 12);
+    return stem + isbn10CheckDigit(stem);
+};
+
+// Canonical ISBN-13 for any valid ISBN-10 or ISBN-13, or null if the value isn't one
+const toIsbn13 = (value) => {
+    if (value === null || value === undefined) return null;
+    if (isValidIsbn13(value)) return normaliseIsbn(value);
+    if (isValidIsbn10(value)) return isbn10To13(value);
+    return null;
+};
+
+// Validate a submitted ISBN, explaining what is wrong with it
+const isbnError = (value) => {
+    const isbn = normaliseIsbn(value);
+
+    if (!/^(\d{9}[\dX]|\d{13})$/.test(isbn)) {
+        return 'ISBN must have 10 or 13 digits (hyphens and spaces are ignored)';
+    }
+    if (isbn.length === 13 && !/^97[89]/.test(isbn)) {
+        return 'ISBN-13 must start with 978 or 979';
+    }
+    if (!toIsbn13(isbn)) {
+        return `ISBN check digit is wrong; expected ${isbn.length === 10 ? isbn10CheckDigit(isbn) : isbn13CheckDigit(isbn)}`;
+    }
+    if (String(value).trim().length > 20) {
+        return 'ISBN is longer than 20 characters';
+    }
+    return null;
+};
+
+module.exports = {
+    normaliseIsbn,
+    isValidIsbn10,
+    isValidIsbn13,
+    isbn10To13,
+    isbn13To10,
+    toIsbn13,
+    isbnError
+};
@@ -0,0 +1,80 @@
+// mailer.js - Outgoing mail through SMTP, or an outbox (files or console) for local testing
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Readify Library <no-reply@readify.com>';
+
+// Where the frontend is served; links in emails point here
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/$/, '');
+
+// Transports by name; MAIL_TRANSPORT picks one (smtp, file or console). Each has send(message).
+const TRANSPORTS = {
+    smtp: () => {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+        return { send: (message) => transporter.sendMail(message) };
+    },
+
+    // Each message is written as an .eml file that any mail client can open
+    file: () => {
+        const dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'readify-outbox');
+        return {
+            send: async (message) => {
+                await fs.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`);
+                const eml = [
+                    `From: ${message.from}`,
+                    `To: ${message.to}`,
+                    `Subject: ${message.subject}`,
+                    `Date: ${new Date().toUTCString()}`,
+                    'Content-Type: text/plain; charset=utf-8',
+                    '',
+                    message.text
+                ].join('\r\n');
+                await fs.writeFile(file, eml);
+                console.log(`📧 Mail to ${message.to} written to ${file}`);
+            }
+        };
+    },
+
+    console: () => ({
+        send: async (message) => {
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    })
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+        }
+        transport = TRANSPORTS[name]();
+    }
+    return transport;
+};
+
+// Replace the transport, e.g. with one that records messages
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+const sendMail = async ({ to, subject, text }) => getTransport().send({ from: MAIL_FROM, to, subject, text });
+
+module.exports = {
+    FRONTEND_URL,
+    sendMail,
+    setTransport
+};
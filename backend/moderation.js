@@ -0,0 +1,73 @@
+// moderation.js - Review moderation: banned-word holds, reader flags and the moderator queue
+
+const MAX_BANNED_WORD_LENGTH = 100;
+const MAX_REASON_LENGTH = 255;
+
+const normalizeWord = (word) => String(word || '').trim().toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Banned words (or phrases) that appear in the text as whole words, ignoring case
+const findBannedWords = async (db, text) => {
+    if (!text) return [];
+
+    const [rows] = await db.execute('SELECT word FROM banned_words ORDER BY word');
+
+    return rows
+        .map(row => row.word)
+        .filter(word => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=[^\\p{L}\\p{N}]|$)`, 'iu').test(text));
+};
+
+// Status and reason for a review being posted or edited. Banned words hold it for a moderator, and
+// so does editing a review a moderator has taken down, so it can't reappear on its own.
+const reviewStatusFor = (bannedWords, existing) => {
+    if (bannedWords.length > 0) {
+        return { status: 'held', reason: `Contains banned words: ${bannedWords.join(', ')}` };
+    }
+
+    if (existing && existing.status !== 'published' && existing.moderated_by !== null) {
+        return { status: 'held', reason: 'Edited after being taken down by a moderator' };
+    }
+
+    return { status: 'published', reason: existing && existing.status === 'published' ? existing.moderation_reason : null };
+};
+
+// Close every open flag on a review once a moderator has acted on it
+const resolveFlags = async (db, reviewId, moderatorId) => {
+    const [result] = await db.execute(
+        'UPDATE review_flags SET resolved_at = NOW(), resolved_by = ? WHERE review_id = ? AND resolved_at IS NULL',
+        [moderatorId, reviewId]
+    );
+    return result.affectedRows;
+};
+
+// Open flags on each of these reviews, as a Map of review ID to [{ username, reason, created_at }]
+const openFlagsFor = async (db, reviewIds) => {
+    if (reviewIds.length === 0) return new Map();
+
+    const [rows] = await db.execute(
+        `SELECT f.review_id, f.reason, f.created_at, u.username
+         FROM review_flags f
+         JOIN users u ON f.user_id = u.user_id
+         WHERE f.review_id IN (${reviewIds.map(() => '?').join(', ')}) AND f.resolved_at IS NULL
+         ORDER BY f.created_at ASC`,
+        reviewIds
+    );
+
+    const flags = new Map();
+    for (const { review_id, ...flag } of rows) {
+        if (!flags.has(review_id)) flags.set(review_id, []);
+        flags.get(review_id).push(flag);
+    }
+    return flags;
+};
+
+module.exports = {
+    MAX_BANNED_WORD_LENGTH,
+    MAX_REASON_LENGTH,
+    normalizeWord,
+    findBannedWords,
+    reviewStatusFor,
+    resolveFlags,
+    openFlagsFor
+};
@@ -0,0 +1,188 @@
+// notifications.js - Patron notifications: an in-app inbox plus email, per-type preferences
+//
+// notify() stores a notification in the caller's transaction. Emails are not sent there: the row
+// is marked email_status 'pending' and deliverPendingEmails() sends it after the change is
+// committed, so a rolled-back change never emails anyone.
+const crypto = require('crypto');
+const { FRONTEND_URL, sendMail } = require('./mailer');
+
+// Loans due within this many days get a reminder
+const DUE_SOON_DAYS = 3;
+
+// Failed emails are retried on later deliveries up to this many times
+const MAX_EMAIL_ATTEMPTS = 5;
+
+// An email claimed by a delivery that never finished (the process died) is retried after this long
+const EMAIL_CLAIM_MINUTES = 10;
+
+// Each type can be switched on or off per channel; these are the defaults for users without a preference
+const NOTIFICATION_TYPES = {
+    due_soon: { label: `Loan due within ${DUE_SOON_DAYS} days`, inApp: true, email: true },
+    due_today: { label: 'Loan due today', inApp: true, email: true },
+    overdue: { label: 'Loan overdue', inApp: true, email: true },
+    reservation_ready: { label: 'Reserved book ready for pickup', inApp: true, email: true },
+    fine_posted: { label: 'Fine added to your account', inApp: true, email: true },
+    account_status: { label: 'Account status changed', inApp: true, email: true },
+    review_moderated: { label: 'Your review was taken down', inApp: true, email: true }
+};
+
+const CHANNELS = ['inApp', 'email'];
+
+// A user's channel settings for every type, defaults filled in
+const getPreferences = async (db, userId) => {
+    const [rows] = await db.execute(
+        'SELECT type, in_app, email FROM notification_preferences WHERE user_id = ?',
+        [userId]
+    );
+    const saved = new Map(rows.map(row => [row.type, row]));
+
+    return Object.entries(NOTIFICATION_TYPES).map(([type, defaults]) => ({
+        type,
+        label: defaults.label,
+        inApp: saved.has(type) ? Boolean(saved.get(type).in_app) : defaults.inApp,
+        email: saved.has(type) ? Boolean(saved.get(type).email) : defaults.email
+    }));
+};
+
+// Create a notification for a user, honouring their preferences. A dedupeKey makes repeated calls
+// for the same event (e.g. each run of the reminder job) create it only once.
+// Returns the notification ID, or null if the user has switched this type off or it already exists.
+const notify = async (db, userId, type, { title, body, dedupeKey = null }) => {
+    const preference = (await getPreferences(db, userId)).find(pref => pref.type === type);
+    if (!preference.inApp && !preference.email) {
+        return null;
+    }
+
+    const [result] = await db.execute(
+        `INSERT IGNORE INTO notifications (user_id, type, title, body, dedupe_key, in_app, email_status)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, type, title, body, dedupeKey, preference.inApp, preference.email ? 'pending' : 'skipped']
+    );
+
+    return result.affectedRows > 0 ? result.insertId : null;
+};
+
+// YYYY-MM-DD from the local date parts. DATE columns arrive as local midnight, so going through
+// UTC would give the day before on servers east of UTC.
+const formatDate = (date) => {
+    const day = new Date(date);
+    return [
+        day.getFullYear(),
+        String(day.getMonth() + 1).padStart(2, '0'),
+        String(day.getDate()).padStart(2, '0')
+    ].join('-');
+};
+
+// Due-soon, due-today and overdue notices for active loans. Keyed on the due date, so each is
+// sent once per loan, and again if a renewal moves the due date.
+const generateDueReminders = async (pool) => {
+    const [loans] = await pool.execute(
+        `SELECT br.record_id, br.user_id, br.due_date, DATEDIFF(br.due_date, CURDATE()) as days_left, b.title
+         FROM borrowing_records br
+         JOIN books b ON br.book_id = b.book_id
+         WHERE br.status IN ('borrowed', 'overdue') AND br.due_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)`,
+        [DUE_SOON_DAYS]
+    );
+
+    let created = 0;
+    for (const loan of loans) {
+        const due = formatDate(loan.due_date);
+        let notice;
+
+        if (loan.days_left > 0) {
+            notice = {
+                type: 'due_soon',
+                title: `"${loan.title}" is due in ${loan.days_left} day(s)`,
+                body: `Please return or renew "${loan.title}" by ${due}.`
+            };
+        } else if (loan.days_left === 0) {
+            notice = {
+                type: 'due_today',
+                title: `"${loan.title}" is due today`,
+                body: `"${loan.title}" is due back today (${due}). Return or renew it to avoid a fine.`
+            };
+        } else {
+            notice = {
+                type: 'overdue',
+                title: `"${loan.title}" is overdue`,
+                body: `"${loan.title}" was due on ${due}. Fines may apply until it is returned.`
+            };
+        }
+
+        const id = await notify(pool, loan.user_id, notice.type, {
+            title: notice.title,
+            body: notice.body,
+            dedupeKey: `${notice.type}:${loan.record_id}:${due}`
+        });
+        if (id) created++;
+    }
+
+    return created;
+};
+
+// Email every notification waiting for it. Rows are claimed before sending, so deliveries that
+// overlap (the server's timer, the overdue sweep, npm run sweep) never send the same email twice.
+// Returns how many were sent and how many failed.
+const deliverPendingEmails = async (pool) => {
+    const claim = crypto.randomBytes(16).toString('hex');
+
+    await pool.execute(
+        `UPDATE notifications
+         SET email_status = 'sending', email_claim = ?, email_claimed_at = NOW()
+         WHERE email_status = 'pending'
+            OR (email_status = 'sending' AND email_claimed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+         ORDER BY notification_id ASC
+         LIMIT 100`,
+        [claim, EMAIL_CLAIM_MINUTES]
+    );
+
+    const [pending] = await pool.execute(
+        `SELECT n.notification_id, n.title, n.body, n.email_attempts, u.email, u.full_name
+         FROM notifications n
+         JOIN users u ON n.user_id = u.user_id
+         WHERE n.email_claim = ? AND n.email_status = 'sending'
+         ORDER BY n.notification_id ASC`,
+        [claim]
+    );
+
+    let sent = 0;
+    let failed = 0;
+    for (const notification of pending) {
+        try {
+            await sendMail({
+                to: notification.email,
+                subject: `Readify: ${notification.title}`,
+                text: `Hello ${notification.full_name},\n\n${notification.body}\n\n`
+                    + `See your notifications at ${FRONTEND_URL}/index.html\n\n`
+                    + 'You can choose which emails you receive in your notification preferences.'
+            });
+            await pool.execute(
+                "UPDATE notifications SET email_status = 'sent', email_claim = NULL, emailed_at = NOW(), email_attempts = email_attempts + 1 WHERE notification_id = ?",
+                [notification.notification_id]
+            );
+            sent++;
+        } catch (error) {
+            console.error(`Notification ${notification.notification_id} email error:`, error.message);
+            await pool.execute(
+                `UPDATE notifications
+                 SET email_status = IF(email_attempts + 1 >= ?, 'failed', 'pending'), email_claim = NULL, email_attempts = email_attempts + 1
+                 WHERE notification_id = ?`,
+                [MAX_EMAIL_ATTEMPTS, notification.notification_id]
+            );
+            failed++;
+        }
+    }
+
+    return { sent, failed };
+};
+
+module.exports = {
+    DUE_SOON_DAYS,
+    NOTIFICATION_TYPES,
+    CHANNELS,
+    formatDate,
+    getPreferences,
+    notify,
+    generateDueReminders,
+    deliverPendingEmails
+};
@@ -0,0 +1,105 @@
+// pagination.js - Paging, sorting, field selection and date filters shared by the list endpoints
+//
+// List endpoints take ?page=&limit= (default 1 and 50, limit at most 100), ?sort= with
+// comma-separated keys from the endpoint's whitelist ("-key" for descending) and ?fields= to
+// return only some columns. The body stays a JSON array; the total row count goes in the
+// X-Total-Count header and first/prev/next/last page URLs in the Link header.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse paging and sorting parameters. sortable maps each sort key to its SQL column.
+// Returns { page, limit, offset, orderBy, fields } or { error }.
+const parseListQuery = (query, { sortable, defaultSort }) => {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive whole number' };
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+
+    const order = [];
+    for (const key of String(query.sort || defaultSort).split(',').map(part => part.trim()).filter(Boolean)) {
+        const descending = key.startsWith('-');
+        const column = sortable[descending ? key.slice(1) : key];
+        if (!column) {
+            return { error: `sort must use: ${Object.keys(sortable).join(', ')} (prefix with - for descending)` };
+        }
+        order.push(`${column} ${descending ? 'DESC' : 'ASC'}`);
+    }
+
+    const fields = query.fields ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean) : null;
+
+    return {
+        page,
+        limit,
+        offset: (page - 1) * limit,
+        orderBy: `ORDER BY ${order.join(', ')}`,
+        fields
+    };
+};
+
+// Inclusive ?from=YYYY-MM-DD&to=YYYY-MM-DD filter on a date or timestamp column.
+// Returns { where, params } or { error }.
+const dateRange = (query, column, fromKey = 'from', toKey = 'to') => {
+    let where = '';
+    const params = [];
+
+    for (const key of [fromKey, toKey]) {
+        if (query[key] !== undefined && (!DATE_PATTERN.test(query[key]) || isNaN(new Date(query[key])))) {
+            return { error: `${key} must be a date in YYYY-MM-DD format` };
+        }
+    }
+
+    if (query[fromKey]) {
+        where += ` AND ${column} >= ?`;
+        params.push(query[fromKey]);
+    }
+
+    if (query[toKey]) {
+        where += ` AND ${column} < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(query[toKey]);
+    }
+
+    return { where, params };
+};
+
+const pageUrl = (req, page, limit) => {
+    const params = new URLSearchParams(req.query);
+    params.set('page', page);
+    params.set('limit', limit);
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${params}`;
+};
+
+// Send one page of rows with the X-Total-Count and Link headers, keeping only the requested fields
+const sendPage = (req, res, rows, total, { page, limit, fields }) => {
+    const lastPage = Math.max(Math.ceil(total / limit), 1);
+    const links = [`<${pageUrl(req, 1, limit)}>; rel="first"`];
+
+    if (page > 1) links.push(`<${pageUrl(req, Math.min(page - 1, lastPage), limit)}>; rel="prev"`);
+    if (page < lastPage) links.push(`<${pageUrl(req, page + 1, limit)}>; rel="next"`);
+    links.push(`<${pageUrl(req, lastPage, limit)}>; rel="last"`);
+
+    res.set('X-Total-Count', String(total));
+    res.set('Link', links.join(', '));
+
+    if (!fields) {
+        return res.json(rows);
+    }
+
+    res.json(rows.map(row => Object.fromEntries(fields.filter(field => field in row).map(field => [field, row[field]]))));
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseListQuery,
+    dateRange,
+    sendPage
+};
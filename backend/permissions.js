@@ -0,0 +1,52 @@
+// permissions.js - Staff roles and the permissions they grant
+
+// What each permission allows
+const PERMISSIONS = {
+    'catalog.manage': 'Add, edit, import and export books and copies',
+    'circulation.manage': 'Check items in and out at the desk and manage loans and holds for patrons',
+    'fines.manage': 'Record fine payments, waivers and adjustments',
+    'policies.manage': 'Edit circulation policies',
+    'users.manage': 'View and create accounts, change their status and assign roles',
+    'reports.view': 'View the dashboard and reports',
+    'audit.view': 'View and export the audit log of staff actions',
+    'reviews.moderate': 'Work the review moderation queue, hide, restore or delete reviews and edit banned words',
+    'branches.manage': 'Add, edit and close library branches'
+};
+
+// Roles are fixed bundles of permissions; users hold any number of them (user_roles)
+const ROLES = {
+    catalog_editor: ['catalog.manage'],
+    circulation_desk: ['circulation.manage', 'fines.manage'],
+    user_admin: ['users.manage'],
+    reports_viewer: ['reports.view'],
+    auditor: ['audit.view', 'reports.view'],
+    review_moderator: ['reviews.moderate'],
+    librarian: ['catalog.manage', 'circulation.manage', 'fines.manage', 'policies.manage', 'reports.view', 'reviews.moderate'],
+    superadmin: Object.keys(PERMISSIONS)
+};
+
+// User types patrons may register as themselves; staff accounts are created by a user admin
+const PATRON_TYPES = ['student'];
+
+const resolvePermissions = (roles) => [...new Set(roles.flatMap(role => ROLES[role] || []))].sort();
+
+// A role can only be granted or removed by someone who already holds all of its permissions,
+// so nobody can give themselves or others more access than they have
+const canGrantRole = (permissions, role) => ROLES[role].every(permission => permissions.includes(permission));
+
+const getUserRoles = async (db, userId) => {
+    const [rows] = await db.execute(
+        'SELECT role FROM user_roles WHERE user_id = ? ORDER BY role',
+        [userId]
+    );
+    return rows.map(row => row.role).filter(role => ROLES[role]);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    PATRON_TYPES,
+    resolvePermissions,
+    canGrantRole,
+    getUserRoles
+};
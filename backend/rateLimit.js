@@ -0,0 +1,128 @@
+// rateLimit.js - Request rate limits and login throttling over a pluggable counter store
+//
+// A store keeps hit counters that expire after a window. Its methods are async so a shared
+// store (e.g. Redis) can replace the in-memory default when running several servers:
+//   hit(key, windowMs)  count one hit; returns { count, resetAt, lastHitAt }
+//   get(key)            the current counter, or null if there is none or it expired
+//   reset(key)          drop the counter
+
+// Counters in this process's memory; they are lost on restart and not shared between servers
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    const sweep = (now) => {
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    };
+
+    return {
+        hit: async (key, windowMs) => {
+            const now = Date.now();
+            if (counters.size >= 10000) sweep(now);
+
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs, lastHitAt: now };
+                counters.set(key, counter);
+            }
+            counter.count++;
+            counter.lastHitAt = now;
+            return { ...counter };
+        },
+
+        get: async (key) => {
+            const counter = counters.get(key);
+            if (!counter || counter.resetAt <= Date.now()) return null;
+            return { ...counter };
+        },
+
+        reset: async (key) => {
+            counters.delete(key);
+        }
+    };
+};
+
+let store = createMemoryStore();
+
+// Replace the store, e.g. with one shared between servers
+const setStore = (custom) => {
+    store = custom;
+};
+
+const retryAfterSeconds = (until) => Math.max(Math.ceil((until - Date.now()) / 1000), 1);
+
+// Middleware allowing max requests per window for each key (the client IP by default).
+// Over the limit it answers 429 with a Retry-After header.
+const rateLimit = ({ name, max, windowMs, key = (req) => req.ip, message = 'Too many requests, please try again later' }) =>
+    async (req, res, next) => {
+        try {
+            const counter = await store.hit(`${name}:${key(req)}`, windowMs);
+            if (counter.count > max) {
+                const retryAfter = retryAfterSeconds(counter.resetAt);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: message, code: 'RATE_LIMITED', retryAfter });
+            }
+            next();
+        } catch (error) {
+            console.error('Rate limit error:', error);
+            res.status(500).json({ error: 'Failed to check rate limit' });
+        }
+    };
+
+// Login failures are counted per IP and per submitted username. Past the free attempts each
+// further failure doubles the wait before the next attempt, up to maxDelayMs. Counters are
+// forgotten LOGIN_WINDOW_MS after the first failure.
+const LOGIN_THROTTLES = {
+    ip: { freeAttempts: 10, baseDelayMs: 1000, maxDelayMs: 5 * 60 * 1000 },
+    account: { freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5 * 60 * 1000 }
+};
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const loginKeys = (ip, username) => ({
+    ip: `login:ip:${ip}`,
+    account: `login:account:${String(username).trim().toLowerCase()}`
+});
+
+const backoffDelay = (failures, { freeAttempts, baseDelayMs, maxDelayMs }) =>
+    failures <= freeAttempts ? 0 : Math.min(baseDelayMs * 2 ** (failures - freeAttempts - 1), maxDelayMs);
+
+// When the next login attempt for this IP and username is allowed; returns a timestamp
+// in the future while throttled, otherwise 0
+const loginRetryAt = async (ip, username) => {
+    const keys = loginKeys(ip, username);
+    let retryAt = 0;
+
+    for (const scope of Object.keys(keys)) {
+        const counter = await store.get(keys[scope]);
+        if (counter) {
+            retryAt = Math.max(retryAt, counter.lastHitAt + backoffDelay(counter.count, LOGIN_THROTTLES[scope]));
+        }
+    }
+
+    return retryAt > Date.now() ? retryAt : 0;
+};
+
+const recordLoginFailure = async (ip, username) => {
+    const keys = loginKeys(ip, username);
+    await store.hit(keys.ip, LOGIN_WINDOW_MS);
+    await store.hit(keys.account, LOGIN_WINDOW_MS);
+};
+
+// A successful login or an unlock clears the counters for the account's username and email.
+// IP counters are kept so signing in to one account doesn't reset the budget for guessing others.
+const clearLoginFailures = async (...identifiers) => {
+    for (const identifier of identifiers) {
+        await store.reset(loginKeys(null, identifier).account);
+    }
+};
+
+module.exports = {
+    createMemoryStore,
+    setStore,
+    retryAfterSeconds,
+    rateLimit,
+    loginRetryAt,
+    recordLoginFailure,
+    clearLoginFailures
+};
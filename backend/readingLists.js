@@ -0,0 +1,124 @@
+// readingLists.js - Personal reading lists and shelves, shared links and published staff lists
+const crypto = require('crypto');
+
+// Every user has these two lists. They are created on first use and can't be renamed or deleted.
+const DEFAULT_LISTS = [
+    { kind: 'wishlist', name: 'Wishlist' },
+    { kind: 'read', name: 'Read' }
+];
+
+const MAX_LIST_NAME_LENGTH = 100;
+
+const ensureDefaultLists = async (db, userId) => {
+    const [existing] = await db.execute(
+        "SELECT kind FROM reading_lists WHERE user_id = ? AND kind != 'custom'",
+        [userId]
+    );
+    const kinds = existing.map(list => list.kind);
+
+    for (const list of DEFAULT_LISTS.filter(list => !kinds.includes(list.kind))) {
+        await db.execute(
+            'INSERT IGNORE INTO reading_lists (user_id, name, kind) VALUES (?, ?, ?)',
+            [userId, list.name, list.kind]
+        );
+    }
+};
+
+// Unguessable token for a list's share link
+const createShareToken = () => crypto.randomBytes(16).toString('hex');
+
+// Where an entry stands for the viewer: they have it out, it's waiting for them, they're in the
+// queue, it's on the shelf, every copy is out, or the library holds no copies at all
+const availabilityOf = (entry) => {
+    if (entry.on_loan_to_viewer) return 'borrowed';
+    if (entry.hold_status === 'ready') return 'ready_for_pickup';
+    if (entry.hold_status === 'pending' || entry.hold_status === 'in_transit') return 'reserved';
+    if (entry.available_copies > 0) return 'available';
+    if (entry.total_copies > 0) return 'unavailable';
+    return 'not_held';
+};
+
+// A list's entries in order with their availability. viewerId personalises the status
+// (borrowed, on hold); 0 shows only whether copies are on the shelf.
+const getListEntries = async (db, listId, viewerId = 0) => {
+    const [entries] = await db.execute(
+        `SELECT li.book_id, li.position, li.note, li.added_at, b.title, b.author, b.genre, b.image_url,
+                COALESCE(cc.total_copies, 0) as total_copies, COALESCE(cc.available_copies, 0) as available_copies,
+                (SELECT r.status FROM reservations r
+                 WHERE r.book_id = li.book_id AND r.user_id = ? AND r.status IN ('pending', 'in_transit', 'ready')
+                 LIMIT 1) as hold_status,
+                EXISTS (SELECT 1 FROM borrowing_records br
+                        WHERE br.book_id = li.book_id AND br.user_id = ? AND br.status IN ('borrowed', 'overdue')) as on_loan_to_viewer
+         FROM reading_list_items li
+         JOIN books b ON li.book_id = b.book_id
+         LEFT JOIN book_copy_counts cc ON li.book_id = cc.book_id
+         WHERE li.list_id = ?
+         ORDER BY li.position ASC`,
+        [viewerId, viewerId, listId]
+    );
+
+    return entries.map(entry => {
+        const { hold_status, on_loan_to_viewer, ...rest } = entry;
+        return { ...rest, availability: availabilityOf(entry) };
+    });
+};
+
+// Append a book to the end of a list. Returns false if it was already on the list.
+const addListItem = async (db, listId, bookId, note = null) => {
+    const [result] = await db.execute(
+        `INSERT IGNORE INTO reading_list_items (list_id, book_id, position, note)
+         SELECT ?, ?, COALESCE(MAX(position), 0) + 1, ? FROM reading_list_items WHERE list_id = ?`,
+        [listId, bookId, note, listId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Remove a book and close the gap it leaves. Returns false if it wasn't on the list.
+const removeListItem = async (db, listId, bookId) => {
+    const [items] = await db.execute(
+        'SELECT position FROM reading_list_items WHERE list_id = ? AND book_id = ?',
+        [listId, bookId]
+    );
+
+    if (items.length === 0) {
+        return false;
+    }
+
+    await db.execute('DELETE FROM reading_list_items WHERE list_id = ? AND book_id = ?', [listId, bookId]);
+    await db.execute(
+        'UPDATE reading_list_items SET position = position - 1 WHERE list_id = ? AND position > ?',
+        [listId, items[0].position]
+    );
+    return true;
+};
+
+// Put a list's entries in the given order; bookIds must name every entry exactly once.
+// Returns an error message, or null once reordered.
+const reorderListItems = async (db, listId, bookIds) => {
+    const [items] = await db.execute('SELECT book_id FROM reading_list_items WHERE list_id = ?', [listId]);
+    const current = items.map(item => item.book_id);
+    const wanted = bookIds.map(Number);
+
+    if (wanted.length !== current.length || new Set(wanted).size !== wanted.length || !wanted.every(id => current.includes(id))) {
+        return 'bookIds must list every book on the list exactly once';
+    }
+
+    for (const [index, bookId] of wanted.entries()) {
+        await db.execute(
+            'UPDATE reading_list_items SET position = ? WHERE list_id = ? AND book_id = ?',
+            [index + 1, listId, bookId]
+        );
+    }
+    return null;
+};
+
+module.exports = {
+    DEFAULT_LISTS,
+    MAX_LIST_NAME_LENGTH,
+    ensureDefaultLists,
+    createShareToken,
+    getListEntries,
+    addListItem,
+    removeListItem,
+    reorderListItems
+};
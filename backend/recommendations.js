@@ -0,0 +1,290 @@
+// recommendations.js - Personalised suggestions and similar titles from borrowing and review history
+//
+// A patron's borrowed and reviewed books are the seeds. Each seed counts for more the higher the
+// patron rated it (a low rating counts against similar books). Candidates score from:
+//   - co-borrowing: other patrons who borrowed a seed also borrowed the candidate, normalised so
+//     books everyone borrows don't dominate
+//   - author and genre affinity: the share of the patron's seeds by the same author or in the genre
+// and the total is scaled by the candidate's own average rating. Patrons with no history, or too
+// few suggestions, get popular titles instead.
+
+// How much each signal counts towards a candidate's score
+const WEIGHTS = {
+    coBorrowed: 1,
+    author: 0.6,
+    genre: 0.3
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Weight of a seed: 1 for a 5-star review down to -1 for 1 star; borrowed but not reviewed counts as liked
+const seedWeight = (rating) => (rating === null || rating === undefined ? 0.5 : (Number(rating) - 3) / 2);
+
+// Average rating pulled towards 3 stars while a book has few reviews, mapped to a 0.85-1.25 multiplier
+const ratingFactor = (avgRating, reviewCount) => {
+    const count = Number(reviewCount) || 0;
+    const smoothed = (Number(avgRating || 0) * count + 3 * 2) / (count + 2);
+    return 0.75 + smoothed / 10;
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Book details for a list of IDs, returned in the same order
+const loadBooks = async (db, bookIds) => {
+    if (bookIds.length === 0) return [];
+
+    const [books] = await db.execute(
+        `SELECT b.book_id, b.title, b.author, b.genre, b.item_type, b.publication_year, b.image_url,
+                COALESCE(cc.available_copies, 0) as available_copies, rs.avg_rating, COALESCE(rs.review_count, 0) as review_count
+         FROM books b
+         LEFT JOIN book_copy_counts cc ON b.book_id = cc.book_id
+         LEFT JOIN (SELECT book_id, AVG(rating) as avg_rating, COUNT(*) as review_count FROM reviews WHERE status = 'published' GROUP BY book_id) rs
+            ON b.book_id = rs.book_id
+         WHERE b.book_id IN (${placeholders(bookIds)})`,
+        bookIds
+    );
+
+    const byId = new Map(books.map(book => [book.book_id, book]));
+    return bookIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+// Most borrowed titles, best rated first among equals; the cold-start fallback
+const popularBooks = async (db, { limit = DEFAULT_LIMIT, excludeIds = [] } = {}) => {
+    const where = excludeIds.length > 0 ? `WHERE b.book_id NOT IN (${placeholders(excludeIds)})` : '';
+
+    const [rows] = await db.execute(
+        `SELECT b.book_id
+         FROM books b
+         LEFT JOIN (SELECT book_id, COUNT(*) as borrow_count FROM borrowing_records GROUP BY book_id) bc ON b.book_id = bc.book_id
+         LEFT JOIN (SELECT book_id, AVG(rating) as avg_rating FROM reviews WHERE status = 'published' GROUP BY book_id) rs ON b.book_id = rs.book_id
+         ${where}
+         ORDER BY COALESCE(bc.borrow_count, 0) DESC, COALESCE(rs.avg_rating, 0) DESC, b.book_id ASC
+         LIMIT ${Number(limit)}`,
+        excludeIds
+    );
+
+    return rows.map(row => row.book_id);
+};
+
+// How many patrons have borrowed each of these books
+const borrowerCounts = async (db, bookIds) => {
+    if (bookIds.length === 0) return new Map();
+
+    const [rows] = await db.execute(
+        `SELECT book_id, COUNT(DISTINCT user_id) as borrowers
+         FROM borrowing_records
+         WHERE book_id IN (${placeholders(bookIds)})
+         GROUP BY book_id`,
+        bookIds
+    );
+    return new Map(rows.map(row => [row.book_id, row.borrowers]));
+};
+
+// For each seed, the other books borrowed by patrons who borrowed it (excluding excludeUserId),
+// as [{ seed_id, book_id, together }] where together is the number of such patrons
+const coBorrowed = async (db, seedIds, excludeUserId = 0) => {
+    if (seedIds.length === 0) return [];
+
+    const [rows] = await db.execute(
+        `SELECT seed.book_id as seed_id, other.book_id, COUNT(DISTINCT other.user_id) as together
+         FROM borrowing_records seed
+         JOIN borrowing_records other ON other.user_id = seed.user_id AND other.book_id != seed.book_id
+         WHERE seed.book_id IN (${placeholders(seedIds)}) AND seed.user_id != ?
+         GROUP BY seed.book_id, other.book_id`,
+        [...seedIds, excludeUserId]
+    );
+    return rows;
+};
+
+// Keeps each candidate's score and the signal that contributed most to it, which becomes its reason
+const createScoreboard = () => {
+    const scores = new Map();
+
+    return {
+        add: (bookId, points, reason) => {
+            const entry = scores.get(bookId) || { score: 0, best: 0, reason: null };
+            entry.score += points;
+            if (points > entry.best) {
+                entry.best = points;
+                entry.reason = reason;
+            }
+            scores.set(bookId, entry);
+        },
+        entries: () => scores
+    };
+};
+
+// Candidate books by the given authors or in the given genres
+const booksByAuthorOrGenre = async (db, authors, genres) => {
+    const conditions = [];
+    const params = [];
+
+    if (authors.length > 0) {
+        conditions.push(`b.author IN (${placeholders(authors)})`);
+        params.push(...authors);
+    }
+    if (genres.length > 0) {
+        conditions.push(`b.genre IN (${placeholders(genres)})`);
+        params.push(...genres);
+    }
+    if (conditions.length === 0) return [];
+
+    const [rows] = await db.execute(
+        `SELECT b.book_id, b.author, b.genre FROM books b WHERE ${conditions.join(' OR ')}`,
+        params
+    );
+    return rows;
+};
+
+// Ratings of the candidate books, as a Map of book ID to { avg_rating, review_count }
+const bookRatings = async (db, bookIds) => {
+    if (bookIds.length === 0) return new Map();
+
+    const [rows] = await db.execute(
+        `SELECT book_id, AVG(rating) as avg_rating, COUNT(*) as review_count
+         FROM reviews
+         WHERE book_id IN (${placeholders(bookIds)}) AND status = 'published'
+         GROUP BY book_id`,
+        bookIds
+    );
+    return new Map(rows.map(row => [row.book_id, row]));
+};
+
+// Rank a scoreboard: scale by rating, drop what isn't recommended and return the top IDs with reasons
+const rank = async (db, scoreboard, excludeIds, limit) => {
+    const candidates = [...scoreboard.entries()].filter(([bookId]) => !excludeIds.has(bookId));
+    const ratings = await bookRatings(db, candidates.map(([bookId]) => bookId));
+
+    return candidates
+        .map(([bookId, entry]) => {
+            const rating = ratings.get(bookId) || {};
+            return { bookId, score: entry.score * ratingFactor(rating.avg_rating, rating.review_count), reason: entry.reason };
+        })
+        .filter(candidate => candidate.score > 0 && candidate.reason)
+        .sort((a, b) => b.score - a.score || a.bookId - b.bookId)
+        .slice(0, limit);
+};
+
+// Attach book details to ranked IDs, rounding scores for display
+const withBooks = async (db, ranked) => {
+    const books = await loadBooks(db, ranked.map(candidate => candidate.bookId));
+    const byId = new Map(ranked.map(candidate => [candidate.bookId, candidate]));
+
+    return books.map(book => ({
+        ...book,
+        score: Math.round(byId.get(book.book_id).score * 1000) / 1000,
+        reason: byId.get(book.book_id).reason
+    }));
+};
+
+// Suggestions for a patron. Returns { basedOn, coldStart, recommendations }.
+const recommendForUser = async (db, userId, { limit = DEFAULT_LIMIT } = {}) => {
+    const [history] = await db.execute(
+        `SELECT b.book_id, b.title, b.author, b.genre, r.rating
+         FROM books b
+         LEFT JOIN reviews r ON r.book_id = b.book_id AND r.user_id = ?
+         WHERE r.user_id IS NOT NULL
+            OR EXISTS (SELECT 1 FROM borrowing_records br WHERE br.book_id = b.book_id AND br.user_id = ?)`,
+        [userId, userId]
+    );
+
+    // Books already read, or waiting on a hold, are never suggested
+    const [held] = await db.execute(
+        "SELECT book_id FROM reservations WHERE user_id = ? AND status IN ('pending', 'in_transit', 'ready')",
+        [userId]
+    );
+    const excludeIds = new Set([...history.map(book => book.book_id), ...held.map(hold => hold.book_id)]);
+
+    const seeds = new Map(history.map(book => [book.book_id, { ...book, weight: seedWeight(book.rating) }]));
+    const scoreboard = createScoreboard();
+
+    // Co-borrowing
+    const pairs = await coBorrowed(db, [...seeds.keys()], userId);
+    const borrowers = await borrowerCounts(db, [...new Set([...seeds.keys(), ...pairs.map(pair => pair.book_id)])]);
+
+    for (const pair of pairs) {
+        const seed = seeds.get(pair.seed_id);
+        const similarity = pair.together / Math.sqrt((borrowers.get(pair.seed_id) || 1) * (borrowers.get(pair.book_id) || 1));
+        scoreboard.add(pair.book_id, WEIGHTS.coBorrowed * seed.weight * similarity, `Because you borrowed "${seed.title}"`);
+    }
+
+    // Author and genre affinity: the weighted share of the patron's seeds by each author and in each genre
+    const totalWeight = [...seeds.values()].reduce((sum, seed) => sum + Math.abs(seed.weight), 0) || 1;
+    const authorAffinity = new Map();
+    const genreAffinity = new Map();
+
+    for (const seed of seeds.values()) {
+        if (seed.author) authorAffinity.set(seed.author, (authorAffinity.get(seed.author) || 0) + seed.weight / totalWeight);
+        if (seed.genre) genreAffinity.set(seed.genre, (genreAffinity.get(seed.genre) || 0) + seed.weight / totalWeight);
+    }
+
+    const likedAuthors = [...authorAffinity].filter(([, affinity]) => affinity > 0).map(([author]) => author);
+    const likedGenres = [...genreAffinity].filter(([, affinity]) => affinity > 0).map(([genre]) => genre);
+
+    for (const book of await booksByAuthorOrGenre(db, likedAuthors, likedGenres)) {
+        if (authorAffinity.get(book.author) > 0) {
+            scoreboard.add(book.book_id, WEIGHTS.author * authorAffinity.get(book.author), `Because you've read books by ${book.author}`);
+        }
+        if (genreAffinity.get(book.genre) > 0) {
+            scoreboard.add(book.book_id, WEIGHTS.genre * genreAffinity.get(book.genre), `Because you like ${book.genre}`);
+        }
+    }
+
+    const ranked = await rank(db, scoreboard, excludeIds, limit);
+
+    // Top up with popular titles when history says too little
+    if (ranked.length < limit) {
+        const fallback = await popularBooks(db, {
+            limit: limit - ranked.length,
+            excludeIds: [...excludeIds, ...ranked.map(candidate => candidate.bookId)]
+        });
+        ranked.push(...fallback.map(bookId => ({ bookId, score: 0, reason: 'Popular with other readers' })));
+    }
+
+    return {
+        basedOn: seeds.size,
+        coldStart: seeds.size === 0,
+        recommendations: await withBooks(db, ranked)
+    };
+};
+
+// Titles similar to a book: co-borrowed with it, by the same author or in the same genre,
+// topped up with popular titles
+const similarBooks = async (db, book, { limit = DEFAULT_LIMIT } = {}) => {
+    const scoreboard = createScoreboard();
+
+    const pairs = await coBorrowed(db, [book.book_id]);
+    const borrowers = await borrowerCounts(db, [book.book_id, ...pairs.map(pair => pair.book_id)]);
+
+    for (const pair of pairs) {
+        const similarity = pair.together / Math.sqrt((borrowers.get(book.book_id) || 1) * (borrowers.get(pair.book_id) || 1));
+        scoreboard.add(pair.book_id, WEIGHTS.coBorrowed * similarity, 'Readers who borrowed this also borrowed it');
+    }
+
+    for (const other of await booksByAuthorOrGenre(db, book.author ? [book.author] : [], book.genre ? [book.genre] : [])) {
+        if (other.author === book.author) scoreboard.add(other.book_id, WEIGHTS.author, `Also by ${book.author}`);
+        if (other.genre === book.genre) scoreboard.add(other.book_id, WEIGHTS.genre, `Also in ${book.genre}`);
+    }
+
+    const ranked = await rank(db, scoreboard, new Set([book.book_id]), limit);
+
+    if (ranked.length < limit) {
+        const fallback = await popularBooks(db, {
+            limit: limit - ranked.length,
+            excludeIds: [book.book_id, ...ranked.map(candidate => candidate.bookId)]
+        });
+        ranked.push(...fallback.map(bookId => ({ bookId, score: 0, reason: 'Popular with other readers' })));
+    }
+
+    return withBooks(db, ranked);
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    popularBooks,
+    loadBooks,
+    recommendForUser,
+    similarBooks
+};
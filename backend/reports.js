@@ -0,0 +1,312 @@
+// reports.js - Circulation analytics for staff: each report is a list of flat rows, so it can be
+// returned as JSON or written out as CSV
+//
+// Every report takes the same options: from/to dates (inclusive, either may be left open), the
+// interval for reports broken down over time, and limit for the "top" reports.
+const { csvCell } = require('./catalogFormats');
+const { dateRange } = require('./pagination');
+
+// How reports broken down over time label their periods: 2024-03-15, 2024-W11 (ISO week) or 2024-03
+const INTERVALS = {
+    day: '%Y-%m-%d',
+    week: '%x-W%v',
+    month: '%Y-%m'
+};
+
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+
+const percent = (part, whole) => (Number(whole) > 0 ? Math.round((Number(part) / Number(whole)) * 1000) / 10 : 0);
+
+const money = (amount) => Math.round(Number(amount) * 100) / 100;
+
+// The first `limit` rows of each period; rows arrive sorted by period, best first within each
+const topPerPeriod = (rows, limit) => {
+    const ranks = new Map();
+    const top = [];
+
+    for (const row of rows) {
+        const rank = (ranks.get(row.period) || 0) + 1;
+        ranks.set(row.period, rank);
+        if (rank <= limit) top.push({ period: row.period, rank, ...row });
+    }
+
+    return top;
+};
+
+const REPORTS = {
+    circulation: {
+        title: 'Loans and returns',
+        description: 'Loans issued and items returned in each period',
+        columns: ['period', 'loans', 'returns'],
+        run: async (db, options) => {
+            const format = INTERVALS[options.interval];
+            const loans = dateRange(options, 'borrow_date');
+            const returns = dateRange(options, 'return_date');
+
+            const [rows] = await db.execute(
+                `SELECT period, CAST(SUM(loans) AS UNSIGNED) as loans, CAST(SUM(returns) AS UNSIGNED) as returns
+                 FROM (
+                    SELECT DATE_FORMAT(borrow_date, '${format}') as period, COUNT(*) as loans, 0 as returns
+                    FROM borrowing_records
+                    WHERE 1=1${loans.where}
+                    GROUP BY period
+                    UNION ALL
+                    SELECT DATE_FORMAT(return_date, '${format}') as period, 0 as loans, COUNT(*) as returns
+                    FROM borrowing_records
+                    WHERE return_date IS NOT NULL${returns.where}
+                    GROUP BY period
+                 ) activity
+                 GROUP BY period
+                 ORDER BY period ASC`,
+                [...loans.params, ...returns.params]
+            );
+            return rows;
+        }
+    },
+
+    'top-titles': {
+        title: 'Top titles',
+        description: 'Most borrowed titles in each period',
+        columns: ['period', 'rank', 'book_id', 'title', 'author', 'loans'],
+        run: async (db, options) => {
+            const loans = dateRange(options, 'br.borrow_date');
+
+            const [rows] = await db.execute(
+                `SELECT DATE_FORMAT(br.borrow_date, '${INTERVALS[options.interval]}') as period, b.book_id, b.title, b.author,
+                        COUNT(*) as loans
+                 FROM borrowing_records br
+                 JOIN books b ON br.book_id = b.book_id
+                 WHERE 1=1${loans.where}
+                 GROUP BY period, b.book_id, b.title, b.author
+                 ORDER BY period ASC, loans DESC, b.title ASC`,
+                loans.params
+            );
+            return topPerPeriod(rows, options.limit);
+        }
+    },
+
+    'top-authors': {
+        title: 'Top authors',
+        description: 'Most borrowed authors in each period, with how many of their titles were borrowed',
+        columns: ['period', 'rank', 'author', 'loans', 'titles'],
+        run: async (db, options) => {
+            const loans = dateRange(options, 'br.borrow_date');
+
+            const [rows] = await db.execute(
+                `SELECT DATE_FORMAT(br.borrow_date, '${INTERVALS[options.interval]}') as period, b.author,
+                        COUNT(*) as loans, COUNT(DISTINCT b.book_id) as titles
+                 FROM borrowing_records br
+                 JOIN books b ON br.book_id = b.book_id
+                 WHERE 1=1${loans.where}
+                 GROUP BY period, b.author
+                 ORDER BY period ASC, loans DESC, b.author ASC`,
+                loans.params
+            );
+            return topPerPeriod(rows, options.limit);
+        }
+    },
+
+    'genre-utilisation': {
+        title: 'Genre utilisation',
+        description: 'Share of loans per genre against its share of current holdings',
+        columns: ['genre', 'titles', 'copies', 'loans', 'loans_per_copy', 'share_of_loans', 'share_of_holdings'],
+        run: async (db, options) => {
+            const loans = dateRange(options, 'br.borrow_date');
+
+            const [rows] = await db.execute(
+                `SELECT b.genre, COUNT(DISTINCT b.book_id) as titles,
+                        CAST(COALESCE(SUM(cc.total_copies), 0) AS UNSIGNED) as copies,
+                        CAST(COALESCE(SUM(bl.loans), 0) AS UNSIGNED) as loans
+                 FROM books b
+                 LEFT JOIN book_copy_counts cc ON b.book_id = cc.book_id
+                 LEFT JOIN (
+                    SELECT br.book_id, COUNT(*) as loans
+                    FROM borrowing_records br
+                    WHERE 1=1${loans.where}
+                    GROUP BY br.book_id
+                 ) bl ON b.book_id = bl.book_id
+                 GROUP BY b.genre
+                 ORDER BY loans DESC, b.genre ASC`,
+                loans.params
+            );
+
+            const totalLoans = rows.reduce((sum, row) => sum + Number(row.loans), 0);
+            const totalCopies = rows.reduce((sum, row) => sum + Number(row.copies), 0);
+
+            return rows.map(row => ({
+                ...row,
+                loans_per_copy: row.copies > 0 ? Math.round((row.loans / row.copies) * 100) / 100 : 0,
+                share_of_loans: percent(row.loans, totalLoans),
+                share_of_holdings: percent(row.copies, totalCopies)
+            }));
+        }
+    },
+
+    'never-borrowed': {
+        title: 'Never borrowed',
+        description: 'Titles with copies on hand but no loans in the period, oldest additions first (weeding candidates). '
+            + 'Titles added after the period began are left out.',
+        columns: ['book_id', 'title', 'author', 'genre', 'publication_year', 'added_date', 'copies', 'last_borrowed'],
+        run: async (db, options) => {
+            const loans = dateRange(options, 'br.borrow_date');
+            const params = [...loans.params];
+            let addedBefore = '';
+
+            if (options.from) {
+                addedBefore = ' AND b.added_date < ?';
+                params.push(options.from);
+            }
+
+            const [rows] = await db.execute(
+                `SELECT b.book_id, b.title, b.author, b.genre, b.publication_year, b.added_date, cc.total_copies as copies,
+                        (SELECT MAX(borrow_date) FROM borrowing_records WHERE book_id = b.book_id) as last_borrowed
+                 FROM books b
+                 JOIN book_copy_counts cc ON b.book_id = cc.book_id
+                 WHERE cc.total_copies > 0
+                   AND NOT EXISTS (SELECT 1 FROM borrowing_records br WHERE br.book_id = b.book_id${loans.where})${addedBefore}
+                 ORDER BY b.added_date ASC, b.title ASC`,
+                params
+            );
+            return rows;
+        }
+    },
+
+    'loan-duration': {
+        title: 'Average loan duration',
+        description: 'Average days items were out, for loans returned in the period, overall and by genre',
+        columns: ['genre', 'returned_loans', 'average_days', 'returned_late'],
+        run: async (db, options) => {
+            const returns = dateRange(options, 'br.return_date');
+            const select = `COUNT(*) as returned_loans,
+                            ROUND(COALESCE(AVG(TIMESTAMPDIFF(HOUR, br.borrow_date, br.return_date)), 0) / 24, 1) as average_days,
+                            COUNT(CASE WHEN DATE(br.return_date) > br.due_date THEN 1 END) as returned_late`;
+            const from = `FROM borrowing_records br
+                          JOIN books b ON br.book_id = b.book_id
+                          WHERE br.return_date IS NOT NULL${returns.where}`;
+
+            const [[overall]] = await db.execute(`SELECT 'All genres' as genre, ${select} ${from}`, returns.params);
+            const [byGenre] = await db.execute(
+                `SELECT b.genre, ${select} ${from} GROUP BY b.genre ORDER BY returned_loans DESC, b.genre ASC`,
+                returns.params
+            );
+
+            return [overall, ...byGenre].map(row => ({ ...row, average_days: Number(row.average_days) }));
+        }
+    },
+
+    'overdue-by-user-type': {
+        title: 'Overdue rates by user type',
+        description: 'Of the loans issued in the period, how many were returned late or are still out past their due date',
+        columns: ['user_type', 'loans', 'overdue_loans', 'overdue_rate'],
+        run: async (db, options) => {
+            const loans = dateRange(options, 'br.borrow_date');
+
+            const [rows] = await db.execute(
+                `SELECT u.user_type, COUNT(*) as loans,
+                        COUNT(CASE WHEN (br.return_date IS NOT NULL AND DATE(br.return_date) > br.due_date)
+                                     OR (br.return_date IS NULL AND br.due_date < CURDATE()) THEN 1 END) as overdue_loans
+                 FROM borrowing_records br
+                 JOIN users u ON br.user_id = u.user_id
+                 WHERE 1=1${loans.where}
+                 GROUP BY u.user_type
+                 ORDER BY u.user_type ASC`,
+                loans.params
+            );
+
+            return rows.map(row => ({ ...row, overdue_rate: percent(row.overdue_loans, row.loans) }));
+        }
+    },
+
+    fines: {
+        title: 'Fine collection',
+        description: 'Fines charged, paid, waived and adjusted in each period',
+        columns: ['period', 'charged', 'paid', 'waived', 'adjusted', 'payments'],
+        run: async (db, options) => {
+            const posted = dateRange(options, 'created_at');
+
+            const [rows] = await db.execute(
+                `SELECT DATE_FORMAT(created_at, '${INTERVALS[options.interval]}') as period,
+                        COALESCE(SUM(CASE WHEN transaction_type = 'charge' THEN amount END), 0) as charged,
+                        COALESCE(-SUM(CASE WHEN transaction_type = 'payment' THEN amount END), 0) as paid,
+                        COALESCE(-SUM(CASE WHEN transaction_type = 'waiver' THEN amount END), 0) as waived,
+                        COALESCE(SUM(CASE WHEN transaction_type = 'adjustment' THEN amount END), 0) as adjusted,
+                        COUNT(CASE WHEN transaction_type = 'payment' THEN 1 END) as payments
+                 FROM fine_transactions
+                 WHERE 1=1${posted.where}
+                 GROUP BY period
+                 ORDER BY period ASC`,
+                posted.params
+            );
+
+            return rows.map(row => ({
+                ...row,
+                charged: money(row.charged),
+                paid: money(row.paid),
+                waived: money(row.waived),
+                adjusted: money(row.adjusted)
+            }));
+        }
+    }
+};
+
+// Check report options from a query string (from, to, interval, limit).
+// Returns { from, to, interval, limit } or { error }.
+const parseReportOptions = (query) => {
+    const range = dateRange(query, 'from');
+    if (range.error) {
+        return range;
+    }
+
+    if (query.from && query.to && query.from > query.to) {
+        return { error: 'from must not be after to' };
+    }
+
+    const interval = query.interval || 'month';
+    if (typeof interval !== 'string' || !Object.hasOwn(INTERVALS, interval)) {
+        return { error: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_TOP_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_TOP_LIMIT}` };
+    }
+
+    return { from: query.from, to: query.to, interval, limit };
+};
+
+const isReport = (name) => typeof name === 'string' && Object.hasOwn(REPORTS, name);
+
+const runReport = (db, name, options) => REPORTS[name].run(db, options);
+
+// Every report for the same options, keyed by report name
+const runAllReports = async (db, options) => {
+    const results = {};
+    for (const name of Object.keys(REPORTS)) {
+        results[name] = await runReport(db, name, options);
+    }
+    return results;
+};
+
+const reportToCsv = (name, rows) => {
+    const { columns } = REPORTS[name];
+    return [columns.join(','), ...rows.map(row => columns.map(column => {
+        const value = row[column];
+        return csvCell(value instanceof Date ? value.toISOString().slice(0, 10) : value);
+    }).join(','))].join('\r\n') + '\r\n';
+};
+
+// File name for a downloaded report, e.g. top-titles_2024-03-01_2024-03-31.csv
+const reportFileName = (name, { from, to }, extension) =>
+    `${[name, from || 'start', to || new Date().toISOString().slice(0, 10)].join('_')}.${extension}`;
+
+module.exports = {
+    INTERVALS,
+    REPORTS,
+    isReport,
+    parseReportOptions,
+    runReport,
+    runAllReports,
+    reportToCsv,
+    reportFileName
+};
@@ -0,0 +1,49 @@
+// scripts/monthlyReport.js - Write a month's circulation reports to disk (npm run report [-- YYYY-MM])
+//
+// Defaults to last month, so it can be scheduled from cron on the 1st. Each report is written as
+// CSV, plus all of them in one JSON file, to REPORTS_DIR/<YYYY-MM>.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const pool = require('../db');
+const { REPORTS, parseReportOptions, runAllReports, reportToCsv } = require('../reports');
+
+const lastMonth = () => {
+    const date = new Date();
+    date.setDate(1);
+    date.setMonth(date.getMonth() - 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const generate = async (month) => {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        throw new Error(`Month must be given as YYYY-MM, not "${month}"`);
+    }
+
+    const [year, monthNumber] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    const options = parseReportOptions({ from: `${month}-01`, to: `${month}-${lastDay}`, interval: 'week' });
+
+    const dir = path.join(process.env.REPORTS_DIR || path.join(os.tmpdir(), 'readify-reports'), month);
+    await fs.mkdir(dir, { recursive: true });
+
+    const results = await runAllReports(pool, options);
+    for (const [name, rows] of Object.entries(results)) {
+        await fs.writeFile(path.join(dir, `${name}.csv`), reportToCsv(name, rows));
+        console.log(`📄 ${REPORTS[name].title}: ${rows.length} row(s)`);
+    }
+
+    await fs.writeFile(
+        path.join(dir, 'reports.json'),
+        JSON.stringify({ from: options.from, to: options.to, interval: options.interval, reports: results }, null, 2)
+    );
+    return dir;
+};
+
+generate(process.argv[2] || lastMonth())
+    .then(dir => console.log(`✅ Reports written to ${dir}`))
+    .catch(err => {
+        console.error('❌ Report generation failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,17 @@
+// scripts/overdueSweep.js - Run one pass of the overdue sweeper (npm run sweep)
+const pool = require('../db');
+const { runOverdueSweep } = require('../circulation');
+
+runOverdueSweep(pool)
+    .then(summary => {
+        console.log(`✅ Marked ${summary.markedOverdue} loan(s) overdue`);
+        console.log(`💰 Updated fines on ${summary.finesUpdated} loan(s)`);
+        console.log(`⏰ Expired ${summary.holdsExpired} uncollected hold(s)`);
+        console.log(`⏰ Expired ${summary.reservationsExpired} reservation(s) left waiting for a copy`);
+        console.log(`🔔 Created ${summary.remindersCreated} due reminder(s), emailed ${summary.emailsSent} notification(s)`);
+    })
+    .catch(err => {
+        console.error('❌ Overdue sweep failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,306 @@
+// search.js - Full-text catalog search with relevance ranking, facets and paging
+
+const { normaliseIsbn, toIsbn13 } = require('./isbn');
+
+// InnoDB skips words shorter than innodb_ft_min_token_size (3 by default)
+const MIN_WORD_LENGTH = 3;
+const MAX_PAGE_SIZE = 100;
+const PUBLISHER_FACET_LIMIT = 20;
+const SUGGESTION_LIMIT = 5;
+
+// Longest query accepted, and how many unknown words of it spelling correction looks at;
+// each correction scans the whole vocabulary, so both keep a search from stalling the server
+const MAX_QUERY_LENGTH = 200;
+const MAX_CORRECTED_WORDS = 5;
+
+// Title and author words used for spelling correction, reloaded after this long
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Full-text columns (each list must match a FULLTEXT index on books) and their relevance boost.
+// The combined index makes every book searchable by description and publisher too.
+const SEARCH_FIELDS = {
+    all: [['b.title', 3], ['b.author', 2], ['b.title, b.author, b.description, b.publisher', 1]],
+    title: [['b.title', 1]],
+    author: [['b.author', 1]]
+};
+
+// Score added for an exact ISBN hit in an "all" search
+const ISBN_MATCH_BOOST = 100;
+
+// Turn what the user typed into a MySQL boolean-mode query: "quoted phrases" stay phrases,
+// words ending in * match as prefixes, and every term must be present.
+const toBooleanQuery = (text) => {
+    const terms = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1] !== undefined) {
+            const phrase = match[1].replace(/[+\-<>()~*"@]/g, ' ').trim().replace(/\s+/g, ' ');
+            if (phrase) terms.push(`+"${phrase}"`);
+            continue;
+        }
+
+        const prefix = match[2].endsWith('*');
+        const words = match[2].replace(/[+\-<>()~*"@]/g, ' ').split(/\s+/).filter(Boolean);
+        words.forEach((word, index) => {
+            const isPrefix = prefix && index === words.length - 1;
+            if (isPrefix || word.length >= MIN_WORD_LENGTH) {
+                terms.push(`+${word}${isPrefix ? '*' : ''}`);
+            }
+        });
+    }
+
+    return terms.join(' ');
+};
+
+// WHERE clause for the facet filters a search can be narrowed by
+const facetFilters = ({ genre, publisher, decade, available }) => {
+    let where = '';
+    const params = [];
+
+    if (genre) {
+        where += ' AND b.genre = ?';
+        params.push(genre);
+    }
+
+    if (publisher) {
+        where += ' AND b.publisher = ?';
+        params.push(publisher);
+    }
+
+    if (decade !== undefined) {
+        where += ' AND b.publication_year BETWEEN ? AND ?';
+        params.push(decade, decade + 9);
+    }
+
+    if (available === true) {
+        where += ' AND COALESCE(cc.available_copies, 0) > 0';
+    } else if (available === false) {
+        where += ' AND COALESCE(cc.available_copies, 0) = 0';
+    }
+
+    return { where, params };
+};
+
+const emptyFacets = () => ({ genre: [], decade: [], availability: { available: 0, unavailable: 0 }, publisher: [] });
+
+// Search the catalog. Returns one page of books ordered by relevance (score), the total
+// number of hits and facet counts over all of them.
+const searchCatalog = async (db, { q, type = 'all', page = 1, size = 20, filters = {} }) => {
+    let match;
+    let score = '0';
+    const matchParams = [];
+    const scoreParams = [];
+
+    if (type === 'isbn') {
+        // A complete ISBN in either form matches exactly; otherwise match a run of its digits
+        const isbn13 = toIsbn13(q);
+        match = isbn13 ? 'b.isbn13 = ?' : 'b.isbn13 LIKE ?';
+        matchParams.push(isbn13 || `%${normaliseIsbn(q)}%`);
+    } else {
+        const query = toBooleanQuery(q);
+        // Searching everything also finds a book by its complete ISBN, ahead of any text match
+        const isbn13 = type === 'all' ? toIsbn13(q) : null;
+        if (!query && !isbn13) {
+            return { total: 0, results: [], facets: emptyFacets() };
+        }
+
+        const conditions = [];
+        const scores = [];
+
+        if (query) {
+            const fields = SEARCH_FIELDS[type];
+            const [columns] = fields[fields.length - 1];
+            conditions.push(`MATCH(${columns}) AGAINST (? IN BOOLEAN MODE)`);
+            matchParams.push(query);
+            fields.forEach(([fieldColumns, boost]) => {
+                scores.push(`${boost} * MATCH(${fieldColumns}) AGAINST (? IN BOOLEAN MODE)`);
+                scoreParams.push(query);
+            });
+        }
+
+        if (isbn13) {
+            conditions.push('b.isbn13 = ?');
+            matchParams.push(isbn13);
+            scores.push(`${ISBN_MATCH_BOOST} * (b.isbn13 = ?)`);
+            scoreParams.push(isbn13);
+        }
+
+        match = conditions.length > 1 ? `(${conditions.join(' OR ')})` : conditions[0];
+        score = scores.join(' + ');
+    }
+
+    const filter = facetFilters(filters);
+    const from = `
+        FROM books b
+        LEFT JOIN book_copy_counts cc ON b.book_id = cc.book_id
+        WHERE ${match}${filter.where}`;
+    const params = [...matchParams, ...filter.params];
+
+    const [results] = await db.query(
+        `SELECT b.*, COALESCE(cc.total_copies, 0) as total_copies, COALESCE(cc.available_copies, 0) as available_copies,
+                ROUND(${score}, 4) as score
+         ${from}
+         ORDER BY score DESC, b.title ASC
+         LIMIT ? OFFSET ?`,
+        [...scoreParams, ...params, size, (page - 1) * size]
+    );
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) as total ${from}`, params);
+
+    const [genres] = await db.query(
+        `SELECT b.genre as value, COUNT(*) as count ${from} GROUP BY b.genre ORDER BY count DESC, value ASC`,
+        params
+    );
+
+    const [decades] = await db.query(
+        `SELECT FLOOR(b.publication_year / 10) * 10 as value, COUNT(*) as count
+         ${from} AND b.publication_year IS NOT NULL
+         GROUP BY value
+         ORDER BY value DESC`,
+        params
+    );
+
+    const [[availability]] = await db.query(
+        `SELECT COALESCE(SUM(COALESCE(cc.available_copies, 0) > 0), 0) as available,
+                COALESCE(SUM(COALESCE(cc.available_copies, 0) = 0), 0) as unavailable
+         ${from}`,
+        params
+    );
+
+    const [publishers] = await db.query(
+        `SELECT b.publisher as value, COUNT(*) as count
+         ${from} AND b.publisher IS NOT NULL
+         GROUP BY b.publisher
+         ORDER BY count DESC, value ASC
+         LIMIT ${PUBLISHER_FACET_LIMIT}`,
+        params
+    );
+
+    return {
+        total: Number(total),
+        results,
+        facets: {
+            genre: genres,
+            decade: decades.map(row => ({ value: Number(row.value), count: row.count })),
+            availability: { available: Number(availability.available), unavailable: Number(availability.unavailable) },
+            publisher: publishers
+        }
+    };
+};
+
+// ==================== SUGGESTIONS ====================
+
+// Title and author completions for what has been typed so far; the last word matches as a prefix
+const suggest = async (db, text) => {
+    const words = text.replace(/[+\-<>()~*"@]/g, ' ').split(/\s+/).filter(Boolean);
+    if (words.length === 0) return { titles: [], authors: [] };
+
+    const query = words.map((word, index) => (index === words.length - 1 ? `+${word}*` : `+${word}`)).join(' ');
+
+    const [titles] = await db.query(
+        `SELECT book_id, title, author
+         FROM books
+         WHERE MATCH(title) AGAINST (? IN BOOLEAN MODE)
+         ORDER BY MATCH(title) AGAINST (? IN BOOLEAN MODE) DESC, title ASC
+         LIMIT ${SUGGESTION_LIMIT}`,
+        [query, query]
+    );
+
+    const [authors] = await db.query(
+        `SELECT author, COUNT(*) as book_count
+         FROM books
+         WHERE MATCH(author) AGAINST (? IN BOOLEAN MODE)
+         GROUP BY author
+         ORDER BY book_count DESC, author ASC
+         LIMIT ${SUGGESTION_LIMIT}`,
+        [query]
+    );
+
+    return { titles, authors };
+};
+
+// Edit distance counting adjacent transpositions as one edit, so "tolkein" is one away from "tolkien"
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+};
+
+const toWords = (text) => (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).filter(word => word.length >= MIN_WORD_LENGTH);
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+// Word -> number of occurrences across all titles and authors
+const loadVocabulary = async (db) => {
+    if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL_MS) return vocabulary;
+
+    const [books] = await db.query('SELECT title, author FROM books');
+    const words = new Map();
+    for (const book of books) {
+        for (const word of [...toWords(book.title), ...toWords(book.author)]) {
+            words.set(word, (words.get(word) || 0) + 1);
+        }
+    }
+
+    vocabulary = words;
+    vocabularyLoadedAt = Date.now();
+    return vocabulary;
+};
+
+// Respell each unknown word of a query as the closest catalog word (one edit for short words,
+// two for longer ones; ties go to the more common word). Only the first MAX_CORRECTED_WORDS
+// unknown words are tried. Returns null if nothing changed.
+const correctSpelling = async (db, text) => {
+    const words = await loadVocabulary(db);
+    let changed = false;
+    let attempts = 0;
+
+    const corrected = text.replace(/[\p{L}\p{N}']+/gu, (word) => {
+        const lower = word.toLowerCase();
+        if (lower.length < MIN_WORD_LENGTH || words.has(lower)) return word;
+        if (++attempts > MAX_CORRECTED_WORDS) return word;
+
+        const maxDistance = lower.length <= 4 ? 1 : 2;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        for (const [candidate, count] of words) {
+            if (Math.abs(candidate.length - lower.length) > maxDistance) continue;
+            const distance = editDistance(lower, candidate);
+            if (distance < bestDistance || (distance === bestDistance && count > words.get(best))) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        if (!best) return word;
+        changed = true;
+        return word[0] === word[0].toLowerCase() ? best : best[0].toUpperCase() + best.slice(1);
+    });
+
+    return changed ? corrected : null;
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    MAX_QUERY_LENGTH,
+    SEARCH_FIELDS,
+    toBooleanQuery,
+    searchCatalog,
+    suggest,
+    editDistance,
+    correctSpelling
+};
@@ -1,33 +1,113 @@
 // server.js - Main Express Server
 const express = require('express');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const multer = require('multer');
 const dotenv = require('dotenv');
+const pool = require('./db');
+const {
+    FINE_BLOCK_THRESHOLD,
+    daysOverdue,
+    calculateFine,
+    resolvePolicy,
+    getLoanPolicy,
+    getFineBalance,
+    postOverdueFine,
+    releaseCopy,
+    releaseHoldCopy,
+    checkoutCopy,
+    placeReservation,
+    checkinLoan,
+    shipTransfer,
+    receiveTransfer,
+    runOverdueSweep
+} = require('./circulation');
+const {
+    DEFAULT_BRANCH_ID,
+    getActiveBranch,
+    branchAvailability,
+    getBranchScope,
+    inScope,
+    scopeFilter,
+    requestTransfer
+} = require('./branches');
+const { MAX_COPIES_PER_BOOK, detectFormat, readCatalogFile, validateImportedBook, CATALOG_EXPORTS } = require('./catalogFormats');
+const { isbn13To10, toIsbn13, isbnError } = require('./isbn');
+const { MAX_PAGE_SIZE, MAX_QUERY_LENGTH, SEARCH_FIELDS, searchCatalog, suggest, correctSpelling } = require('./search');
+const { parseListQuery, dateRange, sendPage } = require('./pagination');
+const {
+    ACCESS_TOKEN_TTL,
+    assertJwtSecret,
+    hashToken,
+    generateToken,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    authenticate,
+    signLinkToken,
+    verifyLinkToken
+} = require('./sessions');
+const { PERMISSIONS, ROLES, PATRON_TYPES, canGrantRole, resolvePermissions, getUserRoles } = require('./permissions');
+const { FRONTEND_URL, sendMail } = require('./mailer');
+const { retryAfterSeconds, rateLimit, loginRetryAt, recordLoginFailure, clearLoginFailures } = require('./rateLimit');
+const { snapshot, recordAudit, parseJsonColumn, AUDIT_CSV } = require('./audit');
+const { streamDownload } = require('./downloads');
+const { NOTIFICATION_TYPES, CHANNELS, formatDate, getPreferences, notify, deliverPendingEmails } = require('./notifications');
+const { DEFAULT_LIMIT: RECOMMENDATION_LIMIT, MAX_LIMIT: MAX_RECOMMENDATIONS, recommendForUser, similarBooks } = require('./recommendations');
+const {
+    DEFAULT_LISTS,
+    MAX_LIST_NAME_LENGTH,
+    ensureDefaultLists,
+    createShareToken,
+    getListEntries,
+    addListItem,
+    removeListItem,
+    reorderListItems
+} = require('./readingLists');
+const { REPORTS, isReport, parseReportOptions, runReport, runAllReports, reportToCsv, reportFileName } = require('./reports');
+const {
+    MAX_BANNED_WORD_LENGTH,
+    MAX_REASON_LENGTH,
+    normalizeWord,
+    findBannedWords,
+    reviewStatusFor,
+    resolveFlags,
+    openFlagsFor
+} = require('./moderation');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Refuse to start with the default JWT secret outside development
+try {
+    assertJwtSecret();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Copy statuses librarians may set by hand ('on_loan' is managed by checkout/return)
+const COPY_STATUSES = ['available', 'in_repair', 'lost', 'withdrawn'];
+const COPY_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+// Catalog uploads are parsed in memory; 10 MB comfortably holds tens of thousands of records
+const IMPORT_FORMATS = ['csv', 'marc', 'marcxml'];
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Books with total/available counts derived from their physical copies
+const BOOKS_WITH_COUNTS = `
+    SELECT b.*, COALESCE(cc.total_copies, 0) as total_copies, COALESCE(cc.available_copies, 0) as available_copies
+    FROM books b
+    LEFT JOIN book_copy_counts cc ON b.book_id = cc.book_id`;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Link', 'X-Total-Count', 'Retry-After'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Database Connection Pool
-const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'readify_library',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
-
 // Test database connection
 pool.getConnection()
     .then(connection => {
@@ -39,7 +119,8 @@ pool.getConnection()
     });
 
 // Authentication Middleware
-const authenticateToken = (req, res, next) => {
+// Besides the token itself, its session must not be revoked and the account must still be active
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -47,54 +128,211 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    try {
+        const result = await authenticate(pool, token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
         }
-        req.user = user;
+        req.user = result.user;
         next();
-    });
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Failed to verify session' });
+    }
 };
 
-// Check if user is librarian
-const isLibrarian = (req, res, next) => {
-    if (req.user.userType !== 'librarian') {
-        return res.status(403).json({ error: 'Access denied. Librarian privileges required.' });
+const hasPermission = (user, permission) => (user.permissions || []).includes(permission);
+
+// Require at least one of the given permissions (see permissions.js for the roles granting them)
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+        return res.status(403).json({ error: `Access denied. Requires permission: ${permissions.join(' or ')}` });
     }
     next();
 };
 
+// Library card number issued on registration, e.g. RDF-C0000042
+const generateCardNumber = (userId) => `RDF-C${String(userId).padStart(7, '0')}`;
+
+// Barcode for copies added without one, e.g. RDF-00003-002
+const generateBarcode = (bookId, copyNumber) =>
+    `RDF-${String(bookId).padStart(5, '0')}-${String(copyNumber).padStart(3, '0')}`;
+
+// Insert physical copies for a book; copies without a barcode get a generated one
+const insertCopies = async (connection, bookId, copies, branchId = DEFAULT_BRANCH_ID) => {
+    const [existing] = await connection.execute(
+        'SELECT COUNT(*) as count FROM book_copies WHERE book_id = ?',
+        [bookId]
+    );
+    let copyNumber = existing[0].count;
+    const inserted = [];
+
+    for (const copy of copies) {
+        copyNumber++;
+        const barcode = copy.barcode || generateBarcode(bookId, copyNumber);
+        const [result] = await connection.execute(
+            'INSERT INTO book_copies (book_id, barcode, accession_number, shelf_location, item_condition, notes, home_branch_id, current_branch_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [bookId, barcode, copy.accessionNumber || null, copy.shelfLocation || null, copy.condition || 'good', copy.notes || null, branchId, branchId]
+        );
+        inserted.push({ copy_id: result.insertId, book_id: Number(bookId), barcode, current_branch_id: branchId });
+    }
+
+    return inserted;
+};
+
+// The branch a staff member is acting at: it must be open and one they work at. Without a branchId,
+// staff tied to one branch act there and unrestricted staff anywhere (branchId null).
+// Returns { branchId, scope } or { status, error }.
+const staffBranch = async (req, branchId) => {
+    const scope = await getBranchScope(pool, req.user.userId);
+
+    if (branchId === undefined || branchId === null || branchId === '') {
+        if (scope !== null && scope.length > 1) {
+            return { status: 400, error: 'branchId is required: say which of your branches this is for' };
+        }
+        return { branchId: scope === null ? null : scope[0], scope };
+    }
+
+    const branch = await getActiveBranch(pool, branchId);
+
+    if (!branch) {
+        return { status: 400, error: 'Branch not found' };
+    }
+
+    if (!inScope(scope, branch.branch_id)) {
+        return { status: 403, error: `You don't have access to ${branch.name}` };
+    }
+
+    return { branchId: branch.branch_id, scope };
+};
+
 // ==================== AUTH ROUTES ====================
 
+// Password reset links stay valid this long
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Email verification links stay valid this long
+const VERIFY_TOKEN_TTL = process.env.VERIFY_TOKEN_TTL || '48h';
+
+// Optional comma-separated list of email domains allowed to self-register, e.g. "university.edu"
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+// Every LOCKOUT_THRESHOLD consecutive wrong passwords lock the account for LOCKOUT_MINUTES,
+// on top of the per-IP and per-username backoff in rateLimit.js
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+
+// Per-IP limits on endpoints that create accounts or send email
+const registerLimit = rateLimit({ name: 'register', max: 5, windowMs: 60 * 60 * 1000 });
+const passwordResetLimit = rateLimit({ name: 'password-reset', max: 5, windowMs: 15 * 60 * 1000 });
+const verificationLimit = rateLimit({ name: 'verification', max: 10, windowMs: 15 * 60 * 1000 });
+
+// Compared against when the username doesn't exist, so both cases take as long as a real check
+const dummyPasswordHash = bcrypt.hash(generateToken(), 10);
+
+const tooManyAttempts = (res, retryAt) => {
+    const retryAfter = retryAfterSeconds(retryAt);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many login attempts, please try again later', code: 'TOO_MANY_ATTEMPTS', retryAfter });
+};
+
+// Issue a single-use password reset token; only the newest one for a user works
+const createResetToken = async (db, userId, minutes, requestedIp) => {
+    const token = generateToken();
+
+    await db.execute(
+        'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    await db.execute(
+        'INSERT INTO password_resets (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)',
+        [userId, hashToken(token), minutes, requestedIp]
+    );
+
+    return token;
+};
+
+// Email a verification link; the token is tied to the address so changing it voids old links
+const sendVerificationEmail = async (user) => {
+    const token = signLinkToken('verify_email', { userId: user.user_id, email: user.email }, VERIFY_TOKEN_TTL);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your Readify email address',
+        text: `Hello ${user.full_name},\n\n`
+            + 'Please confirm your email address to activate your library account:\n\n'
+            + `${FRONTEND_URL}/index.html?verifyToken=${token}\n\n`
+            + `The link expires in ${VERIFY_TOKEN_TTL}. If you did not sign up, you can ignore this email.`
+    });
+};
+
 // Register new user
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { username, email, password, fullName, userType, phone, address } = req.body;
+app.post('/api/auth/register', registerLimit, async (req, res) => {
+    const { username, email, password, fullName, userType = 'student', phone, address } = req.body;
 
-        // Validate required fields
-        if (!username || !email || !password || !fullName || !userType) {
-            return res.status(400).json({ error: 'All required fields must be provided' });
-        }
+    // Validate required fields
+    if (!username || !email || !password || !fullName) {
+        return res.status(400).json({ error: 'All required fields must be provided' });
+    }
+
+    // Staff accounts are only created by a user admin (POST /api/admin/users)
+    if (!PATRON_TYPES.includes(userType)) {
+        return res.status(403).json({ error: `Self-registration is only open to: ${PATRON_TYPES.join(', ')}` });
+    }
+
+    const domain = String(email).split('@')[1];
+    if (ALLOWED_EMAIL_DOMAINS.length > 0 && !ALLOWED_EMAIL_DOMAINS.includes((domain || '').toLowerCase())) {
+        return res.status(400).json({ error: `Please register with an email address at ${ALLOWED_EMAIL_DOMAINS.join(' or ')}` });
+    }
 
+    const connection = await pool.getConnection();
+    try {
         // Hash password
         const passwordHash = await bcrypt.hash(password, 10);
 
-        // Insert user
-        const [result] = await pool.execute(
-            'INSERT INTO users (username, email, password_hash, full_name, user_type, phone, address) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        await connection.beginTransaction();
+
+        // Insert user; the account stays pending until the email address is verified
+        const [result] = await connection.execute(
+            "INSERT INTO users (username, email, password_hash, full_name, user_type, phone, address, status) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')",
             [username, email, passwordHash, fullName, userType, phone || null, address || null]
         );
 
+        const cardNumber = generateCardNumber(result.insertId);
+        await connection.execute(
+            'UPDATE users SET card_number = ? WHERE user_id = ?',
+            [cardNumber, result.insertId]
+        );
+
+        await connection.commit();
+
+        // The account exists now; a failed email is only logged, a new link is one resend away
+        let message = 'User registered successfully. Check your email for a link to verify your address.';
+        try {
+            await sendVerificationEmail({ user_id: result.insertId, email, full_name: fullName });
+        } catch (error) {
+            console.error('Verification email error:', error.message);
+            message = 'User registered successfully, but the verification email could not be sent. Request a new link to verify your address.';
+        }
+
         res.status(201).json({
-            message: 'User registered successfully',
-            userId: result.insertId
+            message,
+            userId: result.insertId,
+            cardNumber
         });
     } catch (error) {
+        await connection.rollback();
         if (error.code === 'ER_DUP_ENTRY') {
             return res.status(400).json({ error: 'Username or email already exists' });
         }
         console.error('Registration error:', error);
         res.status(500).json({ error: 'Registration failed' });
+    } finally {
+        connection.release();
     }
 });
 
@@ -103,51 +341,87 @@ app.post('/api/auth/login', async (req, res) => {
     try {
         const { username, password } = req.body;
 
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const retryAt = await loginRetryAt(req.ip, username);
+        if (retryAt) {
+            return tooManyAttempts(res, retryAt);
+        }
+
         // Find user
         const [users] = await pool.execute(
             'SELECT * FROM users WHERE username = ? OR email = ?',
             [username, username]
         );
 
+        // Unknown usernames get the same answer, after the same amount of work, as wrong passwords
         if (users.length === 0) {
+            await bcrypt.compare(String(password), await dummyPasswordHash);
+            await recordLoginFailure(req.ip, username);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
         const user = users[0];
 
-        // Check if user is active
-        if (user.status !== 'active') {
+        // While the account is locked its password isn't checked: every attempt does the same work,
+        // gets the answer a wrong password gets and counts as another failure
+        const locked = user.locked_until && new Date(user.locked_until) > new Date();
+        const validPassword = await bcrypt.compare(String(password), locked ? await dummyPasswordHash : user.password_hash);
+
+        if (locked || !validPassword) {
+            // locked_until is assigned first so it sees the count before this failure
+            await pool.execute(
+                `UPDATE users
+                 SET locked_until = IF((failed_login_attempts + 1) % ? = 0, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until),
+                     failed_login_attempts = failed_login_attempts + 1,
+                     last_failed_login_at = NOW()
+                 WHERE user_id = ?`,
+                [LOCKOUT_THRESHOLD, LOCKOUT_MINUTES, user.user_id]
+            );
+            await recordLoginFailure(req.ip, username);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // Account state is only reported once the password is right, so it can't be used to probe accounts
+        if (user.status === 'inactive' || user.status === 'suspended') {
             return res.status(403).json({ error: 'Account is inactive or suspended' });
         }
 
-        // Verify password
-        const validPassword = await bcrypt.compare(password, user.password_hash);
-        if (!validPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        if (user.status === 'pending') {
+            return res.status(403).json({
+                error: 'Please verify your email address before logging in',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
         }
 
-        // Update last login
+        // Update last login and start counting failures afresh
         await pool.execute(
-            'UPDATE users SET last_login = NOW() WHERE user_id = ?',
+            'UPDATE users SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE user_id = ?',
             [user.user_id]
         );
+        await clearLoginFailures(user.username, user.email);
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.user_id, userType: user.user_type, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Start a session: short-lived access token plus a refresh token to renew it
+        const session = await createSession(pool, user, { userAgent: req.get('user-agent'), ipAddress: req.ip });
+
+        const roles = await getUserRoles(pool, user.user_id);
 
         res.json({
             message: 'Login successful',
-            token,
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
             user: {
                 userId: user.user_id,
                 username: user.username,
                 email: user.email,
                 fullName: user.full_name,
-                userType: user.user_type
+                userType: user.user_type,
+                cardNumber: user.card_number,
+                roles,
+                permissions: resolvePermissions(roles)
             }
         });
     } catch (error) {
@@ -156,631 +430,4358 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-// Get current user profile
-app.get('/api/auth/profile', authenticateToken, async (req, res) => {
+// Verify an email address from the emailed link and activate the account
+app.post('/api/auth/verify-email', async (req, res) => {
     try {
+        const payload = req.body.token ? verifyLinkToken('verify_email', req.body.token) : null;
+
+        if (!payload) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired', code: 'INVALID_VERIFICATION_TOKEN' });
+        }
+
         const [users] = await pool.execute(
-            'SELECT user_id, username, email, full_name, user_type, phone, address, created_at FROM users WHERE user_id = ?',
-            [req.user.userId]
+            'SELECT status, email FROM users WHERE user_id = ?',
+            [payload.userId]
         );
 
-        if (users.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+        if (users.length === 0 || users[0].email !== payload.email) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired', code: 'INVALID_VERIFICATION_TOKEN' });
+        }
+
+        if (users[0].status !== 'pending') {
+            return res.json({ message: 'Email address is already verified' });
         }
 
-        res.json(users[0]);
+        await pool.execute(
+            "UPDATE users SET status = 'active', email_verified_at = NOW() WHERE user_id = ? AND status = 'pending'",
+            [payload.userId]
+        );
+
+        res.json({ message: 'Email address verified. You can now log in.' });
     } catch (error) {
-        console.error('Profile fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch profile' });
+        console.error('Email verification error:', error);
+        res.status(500).json({ error: 'Failed to verify email address' });
     }
 });
 
-// ==================== BOOK ROUTES ====================
-
-// Get all books with filters
-app.get('/api/books', async (req, res) => {
+// Resend the verification email (username or email); the response doesn't reveal whether the account exists
+app.post('/api/auth/resend-verification', verificationLimit, async (req, res) => {
     try {
-        const { title, author, genre, status, search } = req.query;
-        let query = 'SELECT * FROM books WHERE 1=1';
-        const params = [];
-
-        if (title) {
-            query += ' AND title LIKE ?';
-            params.push(`%${title}%`);
-        }
-
-        if (author) {
-            query += ' AND author LIKE ?';
-            params.push(`%${author}%`);
-        }
+        const { username } = req.body;
 
-        if (genre) {
-            query += ' AND genre = ?';
-            params.push(genre);
+        if (!username) {
+            return res.status(400).json({ error: 'Username or email is required' });
         }
 
-        if (status === 'available') {
-            query += ' AND available_copies > 0';
-        } else if (status === 'borrowed') {
-            query += ' AND available_copies = 0';
-        }
+        const [users] = await pool.execute(
+            "SELECT user_id, email, full_name FROM users WHERE (username = ? OR email = ?) AND status = 'pending'",
+            [username, username]
+        );
 
-        if (search) {
-            query += ' AND (title LIKE ? OR author LIKE ? OR genre LIKE ?)';
-            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        if (users.length > 0) {
+            await sendVerificationEmail(users[0]);
         }
 
-        query += ' ORDER BY title ASC';
-
-        const [books] = await pool.execute(query, params);
-        res.json(books);
+        res.json({ message: 'If that account is awaiting verification, a new link has been sent' });
     } catch (error) {
-        console.error('Books fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch books' });
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to resend verification email' });
     }
 });
 
-// Get single book by ID
-app.get('/api/books/:id', async (req, res) => {
+// Exchange a refresh token for a new access token; the refresh token is rotated each time
+app.post('/api/auth/refresh', async (req, res) => {
     try {
-        const [books] = await pool.execute(
-            'SELECT * FROM books WHERE book_id = ?',
-            [req.params.id]
-        );
+        const { refreshToken } = req.body;
 
-        if (books.length === 0) {
-            return res.status(404).json({ error: 'Book not found' });
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
         }
 
-        // Get average rating and reviews
-        const [ratings] = await pool.execute(
-            'SELECT AVG(rating) as avg_rating, COUNT(*) as review_count FROM reviews WHERE book_id = ?',
-            [req.params.id]
-        );
+        const result = await rotateSession(pool, refreshToken);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        res.json({
-            ...books[0],
-            avg_rating: ratings[0].avg_rating || 0,
-            review_count: ratings[0].review_count
-        });
+        res.json({ token: result.accessToken, refreshToken: result.refreshToken, expiresIn: ACCESS_TOKEN_TTL });
     } catch (error) {
-        console.error('Book fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch book' });
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
     }
 });
 
-// Add new book (librarian only)
-app.post('/api/books', authenticateToken, isLibrarian, async (req, res) => {
+// Log out: revoke this session so its tokens stop working
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
     try {
-        const { title, author, isbn, genre, publicationYear, publisher, totalCopies, description, imageUrl } = req.body;
-
-        const [result] = await pool.execute(
-            'INSERT INTO books (title, author, isbn, genre, publication_year, publisher, total_copies, available_copies, description, image_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [title, author, isbn, genre, publicationYear, publisher, totalCopies, totalCopies, description, imageUrl]
-        );
-
-        res.status(201).json({
-            message: 'Book added successfully',
-            bookId: result.insertId
-        });
+        await revokeSession(pool, req.user.sessionId, 'logout');
+        res.json({ message: 'Logged out successfully' });
     } catch (error) {
-        if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(400).json({ error: 'ISBN already exists' });
-        }
-        console.error('Book add error:', error);
-        res.status(500).json({ error: 'Failed to add book' });
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
     }
 });
 
-// Update book (librarian only)
-app.put('/api/books/:id', authenticateToken, isLibrarian, async (req, res) => {
+// Log out all devices: revoke every session of the current user
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
     try {
-        const { title, author, isbn, genre, publicationYear, publisher, totalCopies, description, imageUrl } = req.body;
-
-        const [result] = await pool.execute(
-            'UPDATE books SET title = ?, author = ?, isbn = ?, genre = ?, publication_year = ?, publisher = ?, total_copies = ?, description = ?, image_url = ? WHERE book_id = ?',
-            [title, author, isbn, genre, publicationYear, publisher, totalCopies, description, imageUrl, req.params.id]
-        );
-
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Book not found' });
-        }
-
-        res.json({ message: 'Book updated successfully' });
+        const sessions = await revokeUserSessions(pool, req.user.userId, 'logout_all');
+        res.json({ message: 'Logged out of all devices', sessionsRevoked: sessions });
     } catch (error) {
-        console.error('Book update error:', error);
-        res.status(500).json({ error: 'Failed to update book' });
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Failed to log out of all devices' });
     }
 });
 
-// Delete book (librarian only)
-app.delete('/api/books/:id', authenticateToken, isLibrarian, async (req, res) => {
+// Change password (signed in); other sessions are logged out
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
     try {
-        const [result] = await pool.execute(
-            'DELETE FROM books WHERE book_id = ?',
-            [req.params.id]
-        );
+        const { currentPassword, newPassword } = req.body;
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Book not found' });
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
         }
 
-        res.json({ message: 'Book deleted successfully' });
-    } catch (error) {
-        console.error('Book delete error:', error);
-        res.status(500).json({ error: 'Failed to delete book' });
-    }
-});
-
-// ==================== BORROWING ROUTES ====================
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
 
-// Borrow a book
-app.post('/api/borrow', authenticateToken, async (req, res) => {
-    const connection = await pool.getConnection();
-    try {
-        await connection.beginTransaction();
+        const [users] = await pool.execute(
+            'SELECT password_hash FROM users WHERE user_id = ?',
+            [req.user.userId]
+        );
 
-        const { bookId } = req.body;
-        const userId = req.user.userId;
+        if (users.length === 0 || !(await bcrypt.compare(currentPassword, users[0].password_hash))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
 
-        // Check if book is available
-        const [books] = await connection.execute(
-            'SELECT * FROM books WHERE book_id = ? FOR UPDATE',
-            [bookId]
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        await pool.execute(
+            'UPDATE users SET password_hash = ? WHERE user_id = ?',
+            [passwordHash, req.user.userId]
         );
 
-        if (books.length === 0) {
-            await connection.rollback();
-            return res.status(404).json({ error: 'Book not found' });
-        }
+        await revokeUserSessions(pool, req.user.userId, 'password_change', req.user.sessionId);
 
-        if (books[0].available_copies <= 0) {
-            await connection.rollback();
-            return res.status(400).json({ error: 'Book is not available' });
-        }
+        res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
 
-        // Check if user already borrowed this book
-        const [existing] = await connection.execute(
-            'SELECT * FROM borrowing_records WHERE user_id = ? AND book_id = ? AND status = "borrowed"',
-            [userId, bookId]
-        );
+// Forgot password: email a single-use reset link.
+// The response is the same whether or not the email is registered, so it can't be used to probe accounts.
+app.post('/api/auth/forgot-password', passwordResetLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
 
-        if (existing.length > 0) {
-            await connection.rollback();
-            return res.status(400).json({ error: 'You have already borrowed this book' });
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
         }
 
-        // Create borrowing record (14 days borrowing period)
-        const dueDate = new Date();
-        dueDate.setDate(dueDate.getDate() + 14);
-
-        await connection.execute(
-            'INSERT INTO borrowing_records (user_id, book_id, due_date) VALUES (?, ?, ?)',
-            [userId, bookId, dueDate]
+        const [users] = await pool.execute(
+            "SELECT user_id, email, full_name FROM users WHERE email = ? AND status = 'active'",
+            [email]
         );
 
-        // Update available copies
-        await connection.execute(
-            'UPDATE books SET available_copies = available_copies - 1 WHERE book_id = ?',
-            [bookId]
-        );
+        if (users.length > 0) {
+            const user = users[0];
+            const token = await createResetToken(pool, user.user_id, RESET_TOKEN_MINUTES, req.ip);
+
+            // Not awaited: a slow or failing mail server must not make registered addresses answer
+            // differently (later or with an error) from unknown ones
+            sendMail({
+                to: user.email,
+                subject: 'Reset your Readify password',
+                text: `Hello ${user.full_name},\n\n`
+                    + `Use this link to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes and works once:\n\n`
+                    + `${FRONTEND_URL}/index.html?resetToken=${token}\n\n`
+                    + 'If you did not ask to reset your password, you can ignore this email.'
+            }).catch(error => console.error('Password reset email error:', error.message));
+        }
 
-        await connection.commit();
-        res.json({
-            message: 'Book borrowed successfully',
-            dueDate: dueDate.toISOString().split('T')[0]
-        });
+        res.json({ message: 'If that email is registered, a password reset link has been sent' });
     } catch (error) {
-        await connection.rollback();
-        console.error('Borrow error:', error);
-        res.status(500).json({ error: 'Failed to borrow book' });
-    } finally {
-        connection.release();
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to start password reset' });
     }
 });
 
-// Return a book
-app.post('/api/return', authenticateToken, async (req, res) => {
+// Reset password with an emailed token; every session of the account is logged out
+app.post('/api/auth/reset-password', passwordResetLimit, async (req, res) => {
     const connection = await pool.getConnection();
     try {
-        await connection.beginTransaction();
+        const { token, newPassword } = req.body;
 
-        const { bookId } = req.body;
-        const userId = req.user.userId;
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
 
-        // Find borrowing record
-        const [records] = await connection.execute(
-            'SELECT * FROM borrowing_records WHERE user_id = ? AND book_id = ? AND status = "borrowed" FOR UPDATE',
-            [userId, bookId]
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        await connection.beginTransaction();
+
+        const [resets] = await connection.execute(
+            `SELECT reset_id, user_id FROM password_resets
+             WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+             FOR UPDATE`,
+            [hashToken(token)]
         );
 
-        if (records.length === 0) {
+        if (resets.length === 0) {
             await connection.rollback();
-            return res.status(404).json({ error: 'No active borrowing record found' });
-        }
-
-        const record = records[0];
-        const returnDate = new Date();
-        const dueDate = new Date(record.due_date);
-        
-        // Calculate fine if overdue (₹10 per day)
-        let fine = 0;
-        if (returnDate > dueDate) {
-            const daysOverdue = Math.ceil((returnDate - dueDate) / (1000 * 60 * 60 * 24));
-            fine = daysOverdue * 10;
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
         }
 
-        // Update borrowing record
+        // Proving control of the email address also lifts a lockout
+        const passwordHash = await bcrypt.hash(newPassword, 10);
         await connection.execute(
-            'UPDATE borrowing_records SET return_date = NOW(), status = "returned", fine_amount = ? WHERE record_id = ?',
-            [fine, record.record_id]
+            'UPDATE users SET password_hash = ?, failed_login_attempts = 0, locked_until = NULL WHERE user_id = ?',
+            [passwordHash, resets[0].user_id]
         );
-
-        // Update available copies
         await connection.execute(
-            'UPDATE books SET available_copies = available_copies + 1 WHERE book_id = ?',
-            [bookId]
+            'UPDATE password_resets SET used_at = NOW() WHERE reset_id = ?',
+            [resets[0].reset_id]
         );
+        await revokeUserSessions(connection, resets[0].user_id, 'password_reset');
 
         await connection.commit();
-        res.json({
-            message: 'Book returned successfully',
-            fine: fine,
-            daysOverdue: fine > 0 ? Math.ceil((returnDate - dueDate) / (1000 * 60 * 60 * 24)) : 0
-        });
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
     } catch (error) {
         await connection.rollback();
-        console.error('Return error:', error);
-        res.status(500).json({ error: 'Failed to return book' });
+        console.error('Password reset error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
     } finally {
         connection.release();
     }
 });
 
-// Get user's borrowing history
-app.get('/api/borrowing/history', authenticateToken, async (req, res) => {
+// Get current user profile
+app.get('/api/auth/profile', authenticateToken, async (req, res) => {
     try {
-        const [records] = await pool.execute(
-            `SELECT br.*, b.title, b.author, b.genre, b.image_url 
-             FROM borrowing_records br 
-             JOIN books b ON br.book_id = b.book_id 
-             WHERE br.user_id = ? 
-             ORDER BY br.borrow_date DESC`,
+        const [users] = await pool.execute(
+            'SELECT user_id, username, email, full_name, user_type, card_number, phone, address, created_at FROM users WHERE user_id = ?',
             [req.user.userId]
         );
 
-        res.json(records);
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ ...users[0], roles: req.user.roles || [], permissions: req.user.permissions || [] });
     } catch (error) {
-        console.error('History fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch borrowing history' });
+        console.error('Profile fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
     }
 });
 
-// Get currently borrowed books
-app.get('/api/borrowing/current', authenticateToken, async (req, res) => {
-    try {
-        const [records] = await pool.execute(
-            `SELECT br.*, b.title, b.author, b.genre, b.image_url 
-             FROM borrowing_records br 
-             JOIN books b ON br.book_id = b.book_id 
-             WHERE br.user_id = ? AND br.status = 'borrowed' 
-             ORDER BY br.due_date ASC`,
-            [req.user.userId]
-        );
+// ==================== BOOK ROUTES ====================
 
-        res.json(records);
-    } catch (error) {
-        console.error('Current books fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch current books' });
+// Sort keys accepted by GET /api/books
+const BOOK_SORTS = {
+    title: 'b.title',
+    author: 'b.author',
+    genre: 'b.genre',
+    year: 'b.publication_year',
+    added: 'b.added_date',
+    available: 'available_copies'
+};
+
+// Build the WHERE clause for the book list filters (title, author, genre, status, search)
+const bookFilters = ({ title, author, genre, status, search }) => {
+    let where = '';
+    const params = [];
+
+    if (title) {
+        where += ' AND b.title LIKE ?';
+        params.push(`%${title}%`);
     }
-});
 
-// Get user statistics
+    if (author) {
+        where += ' AND b.author LIKE ?';
+        params.push(`%${author}%`);
+    }
+
+    if (genre) {
+        where += ' AND b.genre = ?';
+        params.push(genre);
+    }
+
+    if (status === 'available') {
+        where += ' AND COALESCE(cc.available_copies, 0) > 0';
+    } else if (status === 'borrowed') {
+        where += ' AND COALESCE(cc.available_copies, 0) = 0';
+    }
+
+    if (search) {
+        where += ' AND (b.title LIKE ? OR b.author LIKE ? OR b.genre LIKE ?)';
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    return { where, params };
+};
+
+// Get all books with filters
+app.get('/api/books', async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, { sortable: BOOK_SORTS, defaultSort: 'title' });
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const { where, params } = bookFilters(req.query);
+
+        const [books] = await pool.execute(
+            `${BOOKS_WITH_COUNTS} WHERE 1=1${where} ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            params
+        );
+        const [[{ total }]] = await pool.execute(
+            `SELECT COUNT(*) as total FROM books b LEFT JOIN book_copy_counts cc ON b.book_id = cc.book_id WHERE 1=1${where}`,
+            params
+        );
+
+        const branches = await branchAvailability(pool, books.map(book => book.book_id));
+
+        sendPage(req, res, books.map(book => ({ ...book, branches: branches.get(book.book_id) || [] })), total, list);
+    } catch (error) {
+        console.error('Books fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch books' });
+    }
+});
+
+// Export the catalog, or the subset matching the /api/books filters (staff only)
+// Rows are streamed from MySQL and written out one book at a time.
+app.get('/api/books/export', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const format = req.query.format || 'csv';
+
+    if (typeof format !== 'string' || !Object.hasOwn(CATALOG_EXPORTS, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(CATALOG_EXPORTS).join(', ')}` });
+    }
+
+    const exporter = CATALOG_EXPORTS[format];
+
+    const { where, params } = bookFilters(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    await streamDownload(pool, res, {
+        // Holdings are concatenated per book; lift the 1 KB default so large holdings aren't truncated
+        prepare: (connection) => connection.query('SET SESSION group_concat_max_len = 1048576'),
+        sql: `SELECT b.*, COALESCE(cc.total_copies, 0) as total_copies, COALESCE(cc.available_copies, 0) as available_copies,
+                rs.avg_rating, COALESCE(rs.review_count, 0) as review_count,
+                (SELECT GROUP_CONCAT(CONCAT(bc.barcode, '\t', COALESCE(bc.shelf_location, '')) ORDER BY bc.barcode SEPARATOR '\n')
+                 FROM book_copies bc
+                 WHERE bc.book_id = b.book_id AND bc.status NOT IN ('lost', 'withdrawn')) as copies
+         FROM books b
+         LEFT JOIN book_copy_counts cc ON b.book_id = cc.book_id
+         LEFT JOIN (
+            SELECT book_id, AVG(rating) as avg_rating, COUNT(*) as review_count
+            FROM reviews
+            WHERE status = 'published'
+            GROUP BY book_id
+         ) rs ON b.book_id = rs.book_id
+         WHERE 1=1${where}
+         ORDER BY b.book_id ASC`,
+        params,
+        format: exporter,
+        fileName: `catalog-${date}.${exporter.extension}`,
+        errorMessage: 'Failed to export catalog',
+        logLabel: 'Catalog export'
+    });
+});
+
+// Look up a book by ISBN-10 or ISBN-13, with or without hyphens
+app.get('/api/books/isbn/:isbn', async (req, res) => {
+    try {
+        const isbn13 = toIsbn13(req.params.isbn);
+        if (!isbn13) {
+            return res.status(400).json({ error: isbnError(req.params.isbn) });
+        }
+
+        const [books] = await pool.execute(
+            `${BOOKS_WITH_COUNTS} WHERE b.isbn13 = ?`,
+            [isbn13]
+        );
+
+        if (books.length === 0) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        res.json({ ...books[0], isbn10: isbn13To10(isbn13) });
+    } catch (error) {
+        console.error('ISBN lookup error:', error);
+        res.status(500).json({ error: 'Failed to look up ISBN' });
+    }
+});
+
+// Get popular books (declared before /api/books/:id, which would otherwise match it)
+app.get('/api/books/popular', async (req, res) => {
+    try {
+        const [books] = await pool.execute(
+            `SELECT b.*, COUNT(br.record_id) as borrow_count 
+             FROM books b 
+             LEFT JOIN borrowing_records br ON b.book_id = br.book_id 
+             GROUP BY b.book_id 
+             ORDER BY borrow_count DESC 
+             LIMIT 10`
+        );
+
+        res.json(books);
+    } catch (error) {
+        console.error('Popular books fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch popular books' });
+    }
+});
+
+// Get single book by ID
+app.get('/api/books/:id', async (req, res) => {
+    try {
+        const [books] = await pool.execute(
+            `${BOOKS_WITH_COUNTS} WHERE b.book_id = ?`,
+            [req.params.id]
+        );
+
+        if (books.length === 0) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        // Get average rating and reviews; held and hidden reviews don't count
+        const [ratings] = await pool.execute(
+            "SELECT AVG(rating) as avg_rating, COUNT(*) as review_count FROM reviews WHERE book_id = ? AND status = 'published'",
+            [req.params.id]
+        );
+
+        const branches = await branchAvailability(pool, [books[0].book_id]);
+
+        res.json({
+            ...books[0],
+            avg_rating: ratings[0].avg_rating || 0,
+            review_count: ratings[0].review_count,
+            branches: branches.get(books[0].book_id) || []
+        });
+    } catch (error) {
+        console.error('Book fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch book' });
+    }
+});
+
+// Add new book (staff only)
+// Copies can be listed with their barcodes, or just counted with totalCopies to generate barcodes
+app.post('/api/books', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { title, author, isbn, genre, itemType, publicationYear, publisher, totalCopies, copies, description, imageUrl, branchId } = req.body;
+
+        const copyCount = totalCopies === undefined ? 1 : Number(totalCopies);
+        if (!Array.isArray(copies) && (!Number.isInteger(copyCount) || copyCount < 0)) {
+            return res.status(400).json({ error: 'totalCopies must be a non-negative whole number' });
+        }
+
+        if ((Array.isArray(copies) ? copies.length : copyCount) > MAX_COPIES_PER_BOOK) {
+            return res.status(400).json({ error: `A book can be added with at most ${MAX_COPIES_PER_BOOK} copies at a time` });
+        }
+
+        if (isbn && isbnError(isbn)) {
+            return res.status(400).json({ error: isbnError(isbn) });
+        }
+
+        const newCopies = Array.isArray(copies) ? copies : Array.from({ length: copyCount }, () => ({}));
+
+        if (newCopies.some(copy => copy.condition && !COPY_CONDITIONS.includes(copy.condition))) {
+            return res.status(400).json({ error: 'Invalid copy condition' });
+        }
+
+        // The copies belong to this branch
+        const place = await staffBranch(req, branchId);
+        if (place.error) {
+            return res.status(place.status).json({ error: place.error });
+        }
+
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            'INSERT INTO books (title, author, isbn, isbn13, genre, item_type, publication_year, publisher, description, image_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [title, author, isbn ? String(isbn).trim() : null, toIsbn13(isbn), genre, itemType || 'book', publicationYear, publisher, description, imageUrl]
+        );
+
+        const inserted = await insertCopies(connection, result.insertId, newCopies, place.branchId || DEFAULT_BRANCH_ID);
+
+        await recordAudit(connection, req, 'book.create', {
+            targetType: 'book',
+            targetId: result.insertId,
+            after: await snapshot(connection, 'books', 'book_id', result.insertId),
+            details: { barcodes: inserted.map(copy => copy.barcode) }
+        });
+
+        await connection.commit();
+        res.status(201).json({
+            message: 'Book added successfully',
+            bookId: result.insertId,
+            barcodes: inserted.map(copy => copy.barcode)
+        });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'ISBN, barcode or accession number already exists' });
+        }
+        console.error('Book add error:', error);
+        res.status(500).json({ error: 'Failed to add book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Bulk import books from a CSV, MARC21 or MARCXML upload (staff only)
+// Each row runs in its own savepoint so one bad row doesn't undo the rest; dryRun rolls everything back.
+// Books whose ISBN is already catalogued are skipped, or with onDuplicate=merge have their details
+// updated and any listed barcodes not yet held added as copies.
+app.post('/api/books/import', authenticateToken, requirePermission('catalog.manage'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Upload the catalog file in the "file" field' });
+    }
+
+    const format = req.body.format || detectFormat(req.file.originalname, req.file.buffer);
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body.dryRun || req.query.dryRun).toLowerCase());
+    const onDuplicate = req.body.onDuplicate || req.query.onDuplicate || 'skip';
+
+    if (!IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    if (!['skip', 'merge'].includes(onDuplicate)) {
+        return res.status(400).json({ error: 'onDuplicate must be skip or merge' });
+    }
+
+    let entries;
+    try {
+        entries = readCatalogFile(req.file.buffer, format);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read the uploaded file: ${error.message}` });
+    }
+
+    if (entries.length === 0) {
+        return res.status(400).json({ error: 'No records found in the uploaded file' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        // Imported copies all belong to one branch
+        const place = await staffBranch(req, req.body.branchId);
+        if (place.error) {
+            return res.status(place.status).json({ error: place.error });
+        }
+        const branchId = place.branchId || DEFAULT_BRANCH_ID;
+
+        await connection.beginTransaction();
+
+        const summary = { total: entries.length, created: 0, merged: 0, skipped: 0, failed: 0 };
+        const rows = [];
+        // ISBNs created earlier in this file, so repeats within the upload count as duplicates too
+        const importedIsbns = new Map();
+
+        for (const entry of entries) {
+            const book = entry.book;
+            const result = { row: entry.row, isbn: book ? book.isbn : null, title: book ? book.title : null };
+            const errors = entry.errors || validateImportedBook(book);
+
+            if (errors.length > 0) {
+                summary.failed++;
+                rows.push({ ...result, action: 'failed', errors });
+                continue;
+            }
+
+            // Duplicates are matched on the canonical ISBN-13, so hyphenation and ISBN-10/13 forms don't matter
+            const isbn13 = toIsbn13(book.isbn);
+
+            await connection.query('SAVEPOINT import_row');
+            try {
+                let existingId = isbn13 ? importedIsbns.get(isbn13) : undefined;
+                if (isbn13 && existingId === undefined) {
+                    const [existing] = await connection.execute(
+                        'SELECT book_id FROM books WHERE isbn13 = ?',
+                        [isbn13]
+                    );
+                    existingId = existing.length > 0 ? existing[0].book_id : undefined;
+                }
+
+                if (existingId !== undefined && onDuplicate === 'skip') {
+                    summary.skipped++;
+                    rows.push({ ...result, action: 'skipped', bookId: existingId, errors: ['A book with this ISBN already exists'] });
+                } else if (existingId !== undefined) {
+                    await connection.execute(
+                        `UPDATE books SET title = ?, author = ?, genre = ?, item_type = ?,
+                         publication_year = COALESCE(?, publication_year), publisher = COALESCE(?, publisher),
+                         description = COALESCE(?, description), image_url = COALESCE(?, image_url)
+                         WHERE book_id = ?`,
+                        [book.title, book.author, book.genre, book.itemType, book.publicationYear, book.publisher, book.description, book.imageUrl, existingId]
+                    );
+
+                    // Only copies identified by barcode are merged; counted copies would duplicate holdings on re-import
+                    const [held] = await connection.execute(
+                        'SELECT barcode FROM book_copies WHERE book_id = ?',
+                        [existingId]
+                    );
+                    const heldBarcodes = held.map(copy => copy.barcode);
+                    const newCopies = book.copies.filter(copy => copy.barcode && !heldBarcodes.includes(copy.barcode));
+                    const inserted = await insertCopies(connection, existingId, newCopies, branchId);
+                    for (const copy of inserted) {
+                        await releaseCopy(connection, copy);
+                    }
+
+                    summary.merged++;
+                    rows.push({ ...result, action: 'merged', bookId: existingId, barcodes: inserted.map(copy => copy.barcode) });
+                } else {
+                    const [created] = await connection.execute(
+                        'INSERT INTO books (title, author, isbn, isbn13, genre, item_type, publication_year, publisher, description, image_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                        [book.title, book.author, book.isbn, isbn13, book.genre, book.itemType, book.publicationYear, book.publisher, book.description, book.imageUrl]
+                    );
+                    const inserted = await insertCopies(connection, created.insertId, book.copies, branchId);
+
+                    if (isbn13) importedIsbns.set(isbn13, created.insertId);
+                    summary.created++;
+                    rows.push({ ...result, action: 'created', bookId: created.insertId, barcodes: inserted.map(copy => copy.barcode) });
+                }
+
+                await connection.query('RELEASE SAVEPOINT import_row');
+            } catch (error) {
+                await connection.query('ROLLBACK TO SAVEPOINT import_row');
+                if (error.code !== 'ER_DUP_ENTRY' && error.code !== 'ER_DATA_TOO_LONG') throw error;
+
+                summary.failed++;
+                rows.push({
+                    ...result,
+                    action: 'failed',
+                    errors: [error.code === 'ER_DUP_ENTRY' ? 'Barcode or accession number already exists' : 'A value is too long for its column']
+                });
+            }
+        }
+
+        if (dryRun) {
+            await connection.rollback();
+        } else {
+            await recordAudit(connection, req, 'book.import', {
+                details: { file: req.file.originalname, format, onDuplicate, summary }
+            });
+            await connection.commit();
+        }
+
+        res.status(dryRun ? 200 : 201).json({ dryRun, format, summary, rows });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Book import error:', error);
+        res.status(500).json({ error: 'Failed to import books' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update book (staff only)
+// Copies are managed through the copy routes, so holdings are not changed here
+app.put('/api/books/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { title, author, isbn, genre, itemType, publicationYear, publisher, description, imageUrl } = req.body;
+
+        if (isbn && isbnError(isbn)) {
+            return res.status(400).json({ error: isbnError(isbn) });
+        }
+
+        await connection.beginTransaction();
+
+        const before = await snapshot(connection, 'books', 'book_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        await connection.execute(
+            'UPDATE books SET title = ?, author = ?, isbn = ?, isbn13 = ?, genre = ?, item_type = ?, publication_year = ?, publisher = ?, description = ?, image_url = ? WHERE book_id = ?',
+            [title, author, isbn ? String(isbn).trim() : null, toIsbn13(isbn), genre, itemType || before.item_type, publicationYear, publisher, description, imageUrl, req.params.id]
+        );
+
+        await recordAudit(connection, req, 'book.update', {
+            targetType: 'book',
+            targetId: before.book_id,
+            before,
+            after: await snapshot(connection, 'books', 'book_id', req.params.id)
+        });
+
+        await connection.commit();
+        res.json({ message: 'Book updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'Another book already has this ISBN' });
+        }
+        console.error('Book update error:', error);
+        res.status(500).json({ error: 'Failed to update book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete book (staff only)
+// The audit entry keeps the deleted record and the barcodes of the copies removed with it
+app.delete('/api/books/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const before = await snapshot(connection, 'books', 'book_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        const [copies] = await connection.execute(
+            'SELECT barcode FROM book_copies WHERE book_id = ?',
+            [req.params.id]
+        );
+
+        await connection.execute(
+            'DELETE FROM books WHERE book_id = ?',
+            [req.params.id]
+        );
+
+        await recordAudit(connection, req, 'book.delete', {
+            targetType: 'book',
+            targetId: before.book_id,
+            before,
+            details: { barcodes: copies.map(copy => copy.barcode) }
+        });
+
+        await connection.commit();
+        res.json({ message: 'Book deleted successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Book delete error:', error);
+        res.status(500).json({ error: 'Failed to delete book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== COPY ROUTES ====================
+
+// Get physical copies of a book
+app.get('/api/books/:id/copies', async (req, res) => {
+    try {
+        const [copies] = await pool.execute(
+            `SELECT c.copy_id, c.barcode, c.shelf_location, c.item_condition, c.status,
+                    c.current_branch_id as branch_id, br.name as branch_name
+             FROM book_copies c
+             JOIN branches br ON c.current_branch_id = br.branch_id
+             WHERE c.book_id = ? AND c.status != 'withdrawn'
+             ORDER BY br.branch_id ASC, c.barcode ASC`,
+            [req.params.id]
+        );
+
+        res.json(copies);
+    } catch (error) {
+        console.error('Copies fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch copies' });
+    }
+});
+
+// Add a copy to a book (staff only)
+app.post('/api/books/:id/copies', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { barcode, accessionNumber, shelfLocation, condition, notes, branchId } = req.body;
+
+        if (condition && !COPY_CONDITIONS.includes(condition)) {
+            return res.status(400).json({ error: 'Invalid copy condition' });
+        }
+
+        const place = await staffBranch(req, branchId);
+        if (place.error) {
+            return res.status(place.status).json({ error: place.error });
+        }
+
+        await connection.beginTransaction();
+
+        const [books] = await connection.execute(
+            'SELECT book_id FROM books WHERE book_id = ? FOR UPDATE',
+            [req.params.id]
+        );
+
+        if (books.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        const [copy] = await insertCopies(connection, req.params.id, [
+            { barcode, accessionNumber, shelfLocation, condition, notes }
+        ], place.branchId || DEFAULT_BRANCH_ID);
+
+        // A new copy goes to the hold queue before the open shelf
+        const hold = await releaseCopy(connection, copy);
+
+        await recordAudit(connection, req, 'copy.create', {
+            targetType: 'copy',
+            targetId: copy.copy_id,
+            after: await snapshot(connection, 'book_copies', 'copy_id', copy.copy_id)
+        });
+
+        await connection.commit();
+        res.status(201).json({
+            message: hold ? 'Copy added and assigned to the next reservation' : 'Copy added successfully',
+            barcode: copy.barcode
+        });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'Barcode or accession number already exists' });
+        }
+        console.error('Copy add error:', error);
+        res.status(500).json({ error: 'Failed to add copy' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Look up a copy by barcode (staff only)
+app.get('/api/copies/:barcode', authenticateToken, requirePermission('catalog.manage', 'circulation.manage'), async (req, res) => {
+    try {
+        const [copies] = await pool.execute(
+            `SELECT c.*, b.title, b.author, b.isbn, hb.name as home_branch_name, cb.name as current_branch_name
+             FROM book_copies c
+             JOIN books b ON c.book_id = b.book_id
+             JOIN branches hb ON c.home_branch_id = hb.branch_id
+             JOIN branches cb ON c.current_branch_id = cb.branch_id
+             WHERE c.barcode = ?`,
+            [req.params.barcode]
+        );
+
+        if (copies.length === 0) {
+            return res.status(404).json({ error: 'Copy not found' });
+        }
+
+        // Include the active loan, if the copy is out
+        const [loans] = await pool.execute(
+            `SELECT br.record_id, br.borrow_date, br.due_date, br.status, u.user_id, u.username, u.full_name
+             FROM borrowing_records br
+             JOIN users u ON br.user_id = u.user_id
+             WHERE br.copy_id = ? AND br.status IN ('borrowed', 'overdue')`,
+            [copies[0].copy_id]
+        );
+
+        // And the transfer it is part of, if it is moving between branches
+        const [transfers] = await pool.execute(
+            `SELECT transfer_id, from_branch_id, to_branch_id, reservation_id, status, requested_at, shipped_at
+             FROM copy_transfers
+             WHERE copy_id = ? AND status IN ('requested', 'in_transit')`,
+            [copies[0].copy_id]
+        );
+
+        res.json({
+            ...copies[0],
+            currentLoan: loans[0] || null,
+            openTransfer: transfers[0] || null
+        });
+    } catch (error) {
+        console.error('Copy fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch copy' });
+    }
+});
+
+// Update a copy's shelf location, condition, status or home branch (staff only)
+app.put('/api/copies/:barcode', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { accessionNumber, shelfLocation, condition, status, notes, homeBranchId } = req.body;
+
+        if (condition && !COPY_CONDITIONS.includes(condition)) {
+            return res.status(400).json({ error: 'Invalid copy condition' });
+        }
+
+        if (status && !COPY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid copy status' });
+        }
+
+        await connection.beginTransaction();
+
+        const [copies] = await connection.execute(
+            'SELECT * FROM book_copies WHERE barcode = ? FOR UPDATE',
+            [req.params.barcode]
+        );
+
+        if (copies.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Copy not found' });
+        }
+
+        const copy = copies[0];
+
+        // Staff tied to branches can only edit copies at or belonging to them
+        const scope = await getBranchScope(connection, req.user.userId);
+        if (!inScope(scope, copy.current_branch_id) && !inScope(scope, copy.home_branch_id)) {
+            await connection.rollback();
+            return res.status(403).json({ error: "This copy is at a branch you don't have access to" });
+        }
+
+        let homeBranch = null;
+        if (homeBranchId !== undefined) {
+            homeBranch = await getActiveBranch(connection, homeBranchId);
+
+            if (!homeBranch) {
+                await connection.rollback();
+                return res.status(400).json({ error: 'Branch not found' });
+            }
+
+            if (!inScope(scope, homeBranch.branch_id)) {
+                await connection.rollback();
+                return res.status(403).json({ error: `You don't have access to ${homeBranch.name}` });
+            }
+        }
+
+        if (copy.status === 'in_transit' && status) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Copy is in transit between branches. Receive it before changing its status.' });
+        }
+
+        if (copy.status === 'on_loan' && status) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Copy is on loan. Return it before changing its status.' });
+        }
+
+        if (copy.status === 'on_hold' && status) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Copy is on hold for a reservation. Cancel the reservation before changing its status.' });
+        }
+
+        await connection.execute(
+            'UPDATE book_copies SET accession_number = ?, shelf_location = ?, item_condition = ?, status = ?, notes = ?, home_branch_id = ? WHERE copy_id = ?',
+            [
+                accessionNumber !== undefined ? accessionNumber : copy.accession_number,
+                shelfLocation !== undefined ? shelfLocation : copy.shelf_location,
+                condition || copy.item_condition,
+                status || copy.status,
+                notes !== undefined ? notes : copy.notes,
+                homeBranch ? homeBranch.branch_id : copy.home_branch_id,
+                copy.copy_id
+            ]
+        );
+
+        // A copy coming back into circulation serves the hold queue first
+        let hold = null;
+        if (status === 'available' && copy.status !== 'available') {
+            hold = await releaseCopy(connection, copy);
+        }
+
+        await recordAudit(connection, req, 'copy.update', {
+            targetType: 'copy',
+            targetId: copy.copy_id,
+            before: copy,
+            after: await snapshot(connection, 'book_copies', 'copy_id', copy.copy_id)
+        });
+
+        await connection.commit();
+        res.json({
+            message: hold ? 'Copy updated and assigned to the next reservation' : 'Copy updated successfully'
+        });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'Accession number already exists' });
+        }
+        console.error('Copy update error:', error);
+        res.status(500).json({ error: 'Failed to update copy' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== BORROWING ROUTES ====================
+
+// Borrow a book, either by scanning a copy barcode or by title (any available copy, or one at branchId)
+app.post('/api/borrow', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { bookId, barcode, branchId } = req.body;
+
+        if (!bookId && !barcode) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Book ID or copy barcode required' });
+        }
+
+        if (branchId !== undefined && !(await getActiveBranch(connection, branchId))) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Branch not found' });
+        }
+
+        const loan = await checkoutCopy(connection, { userId: req.user.userId, bookId, barcode, branchId });
+
+        if (loan.error) {
+            await connection.rollback();
+            const { status, overridable, ...body } = loan;
+            return res.status(status).json(body);
+        }
+
+        await connection.commit();
+        res.json({
+            message: 'Book borrowed successfully',
+            barcode: loan.copy.barcode,
+            dueDate: formatDate(loan.dueDate)
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Borrow error:', error);
+        res.status(500).json({ error: 'Failed to borrow book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Return a book, by copy barcode or by title
+app.post('/api/return', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { bookId, barcode } = req.body;
+        const userId = req.user.userId;
+
+        if (!bookId && !barcode) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Book ID or copy barcode required' });
+        }
+
+        // Find borrowing record
+        const [records] = await connection.execute(
+            barcode
+                ? `SELECT br.* FROM borrowing_records br
+                   JOIN book_copies c ON br.copy_id = c.copy_id
+                   WHERE br.user_id = ? AND c.barcode = ? AND br.status IN ("borrowed", "overdue") FOR UPDATE`
+                : 'SELECT * FROM borrowing_records WHERE user_id = ? AND book_id = ? AND status IN ("borrowed", "overdue") FOR UPDATE',
+            [userId, barcode || bookId]
+        );
+
+        if (records.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'No active borrowing record found' });
+        }
+
+        const result = await checkinLoan(connection, records[0]);
+
+        await connection.commit();
+        res.json({
+            message: 'Book returned successfully',
+            onHold: Boolean(result.hold),
+            fine: result.fine,
+            daysOverdue: result.daysOverdue
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Return error:', error);
+        res.status(500).json({ error: 'Failed to return book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Sort keys accepted by the loan listings
+const LOAN_SORTS = {
+    borrowed: 'br.borrow_date',
+    due: 'br.due_date',
+    returned: 'br.return_date',
+    status: 'br.status',
+    title: 'b.title'
+};
+
+// Get user's borrowing history
+// from/to filter on the borrow date
+app.get('/api/borrowing/history', authenticateToken, async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, { sortable: LOAN_SORTS, defaultSort: '-borrowed' });
+        const borrowed = dateRange(req.query, 'br.borrow_date');
+        if (list.error || borrowed.error) {
+            return res.status(400).json({ error: list.error || borrowed.error });
+        }
+
+        const from = `
+             FROM borrowing_records br 
+             JOIN books b ON br.book_id = b.book_id 
+             JOIN book_copies c ON br.copy_id = c.copy_id 
+             WHERE br.user_id = ?${borrowed.where}`;
+        const params = [req.user.userId, ...borrowed.params];
+
+        const [records] = await pool.execute(
+            `SELECT br.*, b.title, b.author, b.genre, b.image_url, c.barcode ${from} 
+             ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            params
+        );
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) as total ${from}`, params);
+
+        sendPage(req, res, records, total, list);
+    } catch (error) {
+        console.error('History fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch borrowing history' });
+    }
+});
+
+// Get currently borrowed books
+app.get('/api/borrowing/current', authenticateToken, async (req, res) => {
+    try {
+        const [records] = await pool.execute(
+            `SELECT br.*, b.title, b.author, b.genre, b.item_type, b.image_url, c.barcode, u.user_type 
+             FROM borrowing_records br 
+             JOIN books b ON br.book_id = b.book_id 
+             JOIN book_copies c ON br.copy_id = c.copy_id 
+             JOIN users u ON br.user_id = u.user_id 
+             WHERE br.user_id = ? AND br.status IN ('borrowed', 'overdue') 
+             ORDER BY br.due_date ASC`,
+            [req.user.userId]
+        );
+
+        // One policy lookup per genre and item type, not per loan
+        const policies = new Map();
+        for (const record of records) {
+            const key = `${record.genre}|${record.item_type}`;
+            if (!policies.has(key)) {
+                policies.set(key, await resolvePolicy(pool, record.user_type, record));
+            }
+            record.renewals_remaining = Math.max(policies.get(key).maxRenewals - record.renewal_count, 0);
+        }
+
+        res.json(records.map(({ user_type, ...record }) => record));
+    } catch (error) {
+        console.error('Current books fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch current books' });
+    }
+});
+
+// Renew a loan (the borrower, or a librarian on their behalf)
+app.post('/api/borrowing/:recordId/renew', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [records] = await connection.execute(
+            'SELECT * FROM borrowing_records WHERE record_id = ? FOR UPDATE',
+            [req.params.recordId]
+        );
+
+        if (records.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Borrowing record not found' });
+        }
+
+        const record = records[0];
+
+        if (record.user_id !== req.user.userId && !hasPermission(req.user, 'circulation.manage')) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (!['borrowed', 'overdue'].includes(record.status)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Only active loans can be renewed' });
+        }
+
+        const policy = await getLoanPolicy(connection, record.user_id, record.book_id);
+
+        if (record.renewal_count >= policy.maxRenewals) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Loan has already been renewed the maximum of ${policy.maxRenewals} times` });
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const currentDueDate = new Date(record.due_date);
+        const graceEnd = new Date(currentDueDate);
+        graceEnd.setDate(graceEnd.getDate() + policy.graceDays);
+
+        if (today > graceEnd) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Loan is too far overdue to renew. Please return the book.' });
+        }
+
+        // Patrons waiting for this title take priority over an extension
+        const [queue] = await connection.execute(
+            'SELECT COUNT(*) as count FROM reservations WHERE book_id = ? AND status = "pending"',
+            [record.book_id]
+        );
+
+        if (queue[0].count > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Book has pending reservations and cannot be renewed' });
+        }
+
+        // Extend from the current due date, or from today if the loan is already past due.
+        // Any fine accrued so far is charged now, as it would be on return, since the loan's fine
+        // is worked out afresh from the new due date.
+        const newDueDate = new Date(Math.max(currentDueDate, today));
+        newDueDate.setDate(newDueDate.getDate() + policy.loanPeriodDays);
+
+        const fine = Math.max(calculateFine(record.due_date, policy), Number(record.fine_amount) || 0);
+        if (fine > 0) {
+            await postOverdueFine(connection, record, fine, daysOverdue(record.due_date), {
+                librarianId: record.user_id !== req.user.userId ? req.user.userId : null,
+                action: 'renewing'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE borrowing_records SET due_date = ?, status = "borrowed", fine_amount = 0, renewal_count = renewal_count + 1 WHERE record_id = ?',
+            [newDueDate, record.record_id]
+        );
+
+        await connection.execute(
+            'INSERT INTO loan_renewals (record_id, renewed_by, previous_due_date, new_due_date) VALUES (?, ?, ?, ?)',
+            [record.record_id, req.user.userId, currentDueDate, newDueDate]
+        );
+
+        // Staff renewing someone else's loan
+        if (record.user_id !== req.user.userId) {
+            await recordAudit(connection, req, 'loan.renew', {
+                targetType: 'loan',
+                targetId: record.record_id,
+                before: record,
+                after: await snapshot(connection, 'borrowing_records', 'record_id', record.record_id)
+            });
+        }
+
+        await connection.commit();
+        res.json({
+            message: fine > 0 ? `Loan renewed. A fine of ₹${fine} was added to your account.` : 'Loan renewed successfully',
+            fine,
+            dueDate: formatDate(newDueDate),
+            renewalsRemaining: policy.maxRenewals - record.renewal_count - 1
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Renewal error:', error);
+        res.status(500).json({ error: 'Failed to renew loan' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Get renewal history of a loan
+app.get('/api/borrowing/:recordId/renewals', authenticateToken, async (req, res) => {
+    try {
+        const [records] = await pool.execute(
+            'SELECT user_id FROM borrowing_records WHERE record_id = ?',
+            [req.params.recordId]
+        );
+
+        if (records.length === 0) {
+            return res.status(404).json({ error: 'Borrowing record not found' });
+        }
+
+        if (records[0].user_id !== req.user.userId && !hasPermission(req.user, 'circulation.manage')) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const [renewals] = await pool.execute(
+            `SELECT lr.*, u.username as renewed_by_username 
+             FROM loan_renewals lr 
+             JOIN users u ON lr.renewed_by = u.user_id 
+             WHERE lr.record_id = ? 
+             ORDER BY lr.renewal_date ASC`,
+            [req.params.recordId]
+        );
+
+        res.json(renewals);
+    } catch (error) {
+        console.error('Renewals fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch renewal history' });
+    }
+});
+
+// Get user statistics
 app.get('/api/users/stats', authenticateToken, async (req, res) => {
     try {
-        const [stats] = await pool.execute(
-            `SELECT 
-                COUNT(CASE WHEN status = 'borrowed' THEN 1 END) as currently_borrowed,
-                COUNT(CASE WHEN status = 'returned' THEN 1 END) as total_returned,
-                COUNT(CASE WHEN status = 'overdue' THEN 1 END) as overdue_count,
-                COALESCE(SUM(fine_amount), 0) as total_fines
-             FROM borrowing_records 
-             WHERE user_id = ?`,
+        const [stats] = await pool.execute(
+            `SELECT 
+                COUNT(CASE WHEN status = 'borrowed' THEN 1 END) as currently_borrowed,
+                COUNT(CASE WHEN status = 'returned' THEN 1 END) as total_returned,
+                COUNT(CASE WHEN status = 'overdue' THEN 1 END) as overdue_count
+             FROM borrowing_records 
+             WHERE user_id = ?`,
+            [req.user.userId]
+        );
+
+        const fines = await getFineBalance(pool, req.user.userId);
+
+        res.json({
+            ...stats[0],
+            total_fines: fines.outstanding,
+            fines: {
+                outstanding: fines.outstanding,
+                paid: fines.paid,
+                waived: fines.waived
+            }
+        });
+    } catch (error) {
+        console.error('Stats fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// ==================== CIRCULATION DESK ROUTES ====================
+
+// Find a patron by username, email or library card number
+const findPatron = async (identifier) => {
+    const [users] = await pool.execute(
+        'SELECT user_id, username, email, full_name, user_type, card_number, status FROM users WHERE username = ? OR email = ? OR card_number = ?',
+        [identifier, identifier, identifier]
+    );
+    return users[0] || null;
+};
+
+// Name of a branch, for receipts and messages
+const branchName = async (db, branchId) => {
+    const [branches] = await db.execute('SELECT name FROM branches WHERE branch_id = ?', [branchId]);
+    return branches.length > 0 ? branches[0].name : null;
+};
+
+// Check out a copy to a patron at the front desk (staff only)
+// branchId is the desk's branch; only copies there can be lent
+app.post('/api/desk/checkout', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { patron, bookId, barcode, notes, overrideReason, branchId } = req.body;
+
+        if (!patron || (!bookId && !barcode)) {
+            return res.status(400).json({ error: 'Patron and book ID or copy barcode required' });
+        }
+
+        const place = await staffBranch(req, branchId);
+        if (place.error) {
+            return res.status(place.status).json({ error: place.error });
+        }
+
+        const user = await findPatron(patron);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Patron not found' });
+        }
+
+        if (user.status !== 'active') {
+            return res.status(403).json({ error: 'Patron account is inactive or suspended' });
+        }
+
+        await connection.beginTransaction();
+
+        const loan = await checkoutCopy(connection, {
+            userId: user.user_id,
+            bookId,
+            barcode,
+            branchId: place.branchId,
+            librarianId: req.user.userId,
+            notes: notes || null,
+            overrideReason: overrideReason || null
+        });
+
+        if (loan.error) {
+            await connection.rollback();
+            const { status, ...body } = loan;
+            return res.status(status).json(body);
+        }
+
+        const [books] = await connection.execute(
+            'SELECT title, author FROM books WHERE book_id = ?',
+            [loan.copy.book_id]
+        );
+
+        // Lending past the fine block or loan limit is a judgement call, so it goes in the audit log
+        if (loan.overridden.length > 0) {
+            await recordAudit(connection, req, 'loan.override', {
+                targetType: 'loan',
+                targetId: loan.recordId,
+                details: { patronId: user.user_id, barcode: loan.copy.barcode, overridden: loan.overridden, reason: overrideReason }
+            });
+        }
+
+        await connection.commit();
+        res.status(201).json({
+            message: 'Book checked out successfully',
+            receipt: {
+                type: 'checkout',
+                recordId: loan.recordId,
+                issuedAt: new Date().toISOString(),
+                patron: { name: user.full_name, username: user.username, cardNumber: user.card_number },
+                item: { title: books[0].title, author: books[0].author, barcode: loan.copy.barcode },
+                branch: await branchName(connection, loan.copy.current_branch_id),
+                dueDate: formatDate(loan.dueDate),
+                librarian: req.user.username,
+                notes: notes || null,
+                overrides: loan.overridden
+            }
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Desk checkout error:', error);
+        res.status(500).json({ error: 'Failed to check out book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Check in a copy at the front desk by barcode, whoever borrowed it (staff only)
+// Copies can be returned at any branch; branchId is the desk's branch and the copy is shelved there
+app.post('/api/desk/checkin', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { barcode, notes, branchId } = req.body;
+
+        if (!barcode) {
+            return res.status(400).json({ error: 'Copy barcode required' });
+        }
+
+        const place = await staffBranch(req, branchId);
+        if (place.error) {
+            return res.status(place.status).json({ error: place.error });
+        }
+
+        await connection.beginTransaction();
+
+        const [records] = await connection.execute(
+            `SELECT br.*, b.title, b.author, c.barcode, u.username, u.full_name, u.card_number 
+             FROM borrowing_records br 
+             JOIN book_copies c ON br.copy_id = c.copy_id 
+             JOIN books b ON br.book_id = b.book_id 
+             JOIN users u ON br.user_id = u.user_id 
+             WHERE c.barcode = ? AND br.status IN ("borrowed", "overdue") 
+             FOR UPDATE`,
+            [barcode]
+        );
+
+        if (records.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'No active loan found for this copy' });
+        }
+
+        const record = records[0];
+        const result = await checkinLoan(connection, record, {
+            librarianId: req.user.userId,
+            notes: notes || null,
+            branchId: place.branchId
+        });
+
+        const [[returnedTo]] = await connection.execute(
+            'SELECT current_branch_id FROM book_copies WHERE copy_id = ?',
+            [record.copy_id]
+        );
+        const inTransit = result.hold && result.hold.status === 'in_transit';
+
+        await connection.commit();
+        res.json({
+            message: 'Book checked in successfully',
+            receipt: {
+                type: 'checkin',
+                recordId: record.record_id,
+                returnedAt: new Date().toISOString(),
+                patron: { name: record.full_name, username: record.username, cardNumber: record.card_number },
+                item: { title: record.title, author: record.author, barcode: record.barcode },
+                branch: await branchName(connection, returnedTo.current_branch_id),
+                dueDate: formatDate(record.due_date),
+                daysOverdue: result.daysOverdue,
+                fine: result.fine,
+                librarian: req.user.username,
+                notes: notes || null,
+                // Tells the desk to put the copy on the hold shelf instead of re-shelving it,
+                // or to set it aside for the transfer to another branch's hold
+                holdShelf: Boolean(result.hold) && !inTransit,
+                transferTo: inTransit ? await branchName(connection, result.hold.pickup_branch_id) : null
+            }
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Desk checkin error:', error);
+        res.status(500).json({ error: 'Failed to check in book' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== LIBRARIAN ROUTES ====================
+
+// Get all borrowing records (staff only)
+// from/to filter on the borrow date, dueFrom/dueTo on the due date
+app.get('/api/admin/borrowing', authenticateToken, requirePermission('circulation.manage', 'reports.view'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const list = parseListQuery(req.query, { sortable: { ...LOAN_SORTS, patron: 'u.full_name' }, defaultSort: '-borrowed' });
+        const borrowed = dateRange(req.query, 'br.borrow_date');
+        const due = dateRange(req.query, 'br.due_date', 'dueFrom', 'dueTo');
+        const error = list.error || borrowed.error || due.error;
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let from = `
+            FROM borrowing_records br 
+            JOIN books b ON br.book_id = b.book_id 
+            JOIN book_copies c ON br.copy_id = c.copy_id 
+            JOIN users u ON br.user_id = u.user_id 
+            LEFT JOIN users il ON br.librarian_id = il.user_id 
+            LEFT JOIN users rl ON br.return_librarian_id = rl.user_id 
+            WHERE 1=1${borrowed.where}${due.where}
+        `;
+        const params = [...borrowed.params, ...due.params];
+
+        if (status) {
+            from += ' AND br.status = ?';
+            params.push(status);
+        }
+
+        const [records] = await pool.execute(
+            `SELECT br.*, b.title, b.author, c.barcode, u.username, u.full_name, u.email, 
+                   il.username as issued_by, rl.username as returned_to 
+             ${from} ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            params
+        );
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) as total ${from}`, params);
+
+        sendPage(req, res, records, total, list);
+    } catch (error) {
+        console.error('Admin borrowing fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch borrowing records' });
+    }
+});
+
+// Sort keys accepted by GET /api/admin/users
+const USER_SORTS = {
+    name: 'full_name',
+    username: 'username',
+    type: 'user_type',
+    registered: 'created_at',
+    lastLogin: 'last_login'
+};
+
+// Get all users (staff only)
+// from/to filter on the registration date; userType and status narrow the list
+app.get('/api/admin/users', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const { userType, status } = req.query;
+        const list = parseListQuery(req.query, { sortable: USER_SORTS, defaultSort: '-registered' });
+        const registered = dateRange(req.query, 'created_at');
+        if (list.error || registered.error) {
+            return res.status(400).json({ error: list.error || registered.error });
+        }
+
+        let where = `WHERE 1=1${registered.where}`;
+        const params = [...registered.params];
+
+        if (userType) {
+            where += ' AND user_type = ?';
+            params.push(userType);
+        }
+
+        if (status) {
+            where += ' AND status = ?';
+            params.push(status);
+        }
+
+        const [users] = await pool.execute(
+            `SELECT user_id, username, email, full_name, user_type, phone, status, created_at, last_login,
+                    failed_login_attempts, last_failed_login_at, locked_until
+             FROM users ${where} ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            params
+        );
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) as total FROM users ${where}`, params);
+
+        sendPage(req, res, users, total, list);
+    } catch (error) {
+        console.error('Users fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Get dashboard statistics (staff only)
+// Copies, loans and transfers cover the branches the viewer works at, or just ?branchId=
+app.get('/api/admin/dashboard', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+    try {
+        let branches = await getBranchScope(pool, req.user.userId);
+        if (req.query.branchId) {
+            const place = await staffBranch(req, req.query.branchId);
+            if (place.error) {
+                return res.status(place.status).json({ error: place.error });
+            }
+            branches = [place.branchId];
+        }
+
+        const copyScope = scopeFilter(branches, 'current_branch_id');
+        const loanScope = scopeFilter(branches, 'br.branch_id');
+
+        // Total books and copies by status
+        const [totalBooks] = await pool.execute(
+            `SELECT 
+                (SELECT COUNT(*) FROM books) as total,
+                COUNT(CASE WHEN status NOT IN ('lost', 'withdrawn') THEN 1 END) as total_copies,
+                COUNT(CASE WHEN status = 'available' THEN 1 END) as available_copies,
+                COUNT(CASE WHEN status = 'on_loan' THEN 1 END) as on_loan_copies,
+                COUNT(CASE WHEN status = 'on_hold' THEN 1 END) as on_hold_copies,
+                COUNT(CASE WHEN status = 'in_transit' THEN 1 END) as in_transit_copies,
+                COUNT(CASE WHEN status = 'in_repair' THEN 1 END) as in_repair_copies,
+                COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost_copies
+             FROM book_copies
+             WHERE 1=1${copyScope.where}`,
+            copyScope.params
+        );
+
+        // Total users
+        const [totalUsers] = await pool.execute(
+            'SELECT COUNT(*) as total, COUNT(CASE WHEN user_type = "student" THEN 1 END) as students, COUNT(CASE WHEN user_type = "librarian" THEN 1 END) as librarians FROM users'
+        );
+
+        // Borrowing statistics
+        const [borrowingStats] = await pool.execute(
+            `SELECT 
+                COUNT(CASE WHEN br.status = 'borrowed' THEN 1 END) as currently_borrowed,
+                COUNT(CASE WHEN br.status = 'returned' THEN 1 END) as total_returned,
+                COUNT(CASE WHEN br.status = 'overdue' THEN 1 END) as overdue,
+                COALESCE(SUM(CASE WHEN br.status = 'overdue' THEN br.fine_amount END), 0) as accruing_fines
+             FROM borrowing_records br
+             WHERE 1=1${loanScope.where}`,
+            loanScope.params
+        );
+
+        // Fines charged to the ledger (at return or renewal) plus those still accruing on overdue loans
+        const [[{ charged }]] = await pool.execute(
+            `SELECT COALESCE(SUM(ft.amount), 0) as charged
+             FROM fine_transactions ft
+             LEFT JOIN borrowing_records br ON ft.record_id = br.record_id
+             WHERE ft.transaction_type = 'charge'${loanScope.where}`,
+            loanScope.params
+        );
+        const { accruing_fines: accruingFines, ...loanStats } = borrowingStats[0];
+
+        // Recent activities
+        const [recentActivities] = await pool.execute(
+            `SELECT br.*, b.title, u.username, il.username as issued_by, rl.username as returned_to, lb.name as branch_name 
+             FROM borrowing_records br 
+             JOIN books b ON br.book_id = b.book_id 
+             JOIN users u ON br.user_id = u.user_id 
+             LEFT JOIN branches lb ON br.branch_id = lb.branch_id 
+             LEFT JOIN users il ON br.librarian_id = il.user_id 
+             LEFT JOIN users rl ON br.return_librarian_id = rl.user_id 
+             WHERE 1=1${loanScope.where} 
+             ORDER BY br.borrow_date DESC 
+             LIMIT 10`,
+            loanScope.params
+        );
+
+        // Transfers still to be shipped or received, in or out of these branches
+        const fromScope = scopeFilter(branches, 'from_branch_id');
+        const toScope = scopeFilter(branches, 'to_branch_id');
+        const [transfers] = await pool.execute(
+            `SELECT 
+                COUNT(CASE WHEN status = 'requested'${fromScope.where} THEN 1 END) as to_ship,
+                COUNT(CASE WHEN status = 'in_transit'${toScope.where} THEN 1 END) as to_receive
+             FROM copy_transfers`,
+            [...fromScope.params, ...toScope.params]
+        );
+
+        res.json({
+            books: totalBooks[0],
+            users: totalUsers[0],
+            borrowing: { ...loanStats, total_fines: Number(charged) + Number(accruingFines) },
+            transfers: transfers[0],
+            recentActivities
+        });
+    } catch (error) {
+        console.error('Dashboard stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard statistics' });
+    }
+});
+
+// Every circulation report for one period (staff only).
+// ?from=&to= (YYYY-MM-DD, inclusive), ?interval=day|week|month (default month), ?limit= for the top lists.
+// ?format=json downloads the result as a file; use /api/admin/reports/:name for a single report as CSV.
+app.get('/api/admin/reports', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+    try {
+        const options = parseReportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        if (req.query.format && req.query.format !== 'json') {
+            return res.status(400).json({ error: 'Download reports one at a time as CSV from /api/admin/reports/:name?format=csv' });
+        }
+
+        const results = await runAllReports(pool, options);
+        const reports = Object.fromEntries(Object.entries(results).map(([name, rows]) => [
+            name,
+            { title: REPORTS[name].title, description: REPORTS[name].description, rows }
+        ]));
+
+        if (req.query.format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="${reportFileName('reports', options, 'json')}"`);
+        }
+
+        res.json({ from: options.from || null, to: options.to || null, interval: options.interval, reports });
+    } catch (error) {
+        console.error('Reports error:', error);
+        res.status(500).json({ error: 'Failed to generate reports' });
+    }
+});
+
+// One circulation report (staff only), with the same options; ?format=csv or json downloads it
+app.get('/api/admin/reports/:name', authenticateToken, requirePermission('reports.view'), async (req, res) => {
+    try {
+        if (!isReport(req.params.name)) {
+            return res.status(404).json({ error: `Unknown report; available reports: ${Object.keys(REPORTS).join(', ')}` });
+        }
+        const report = REPORTS[req.params.name];
+
+        const options = parseReportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const format = req.query.format;
+        if (format && !['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+
+        const rows = await runReport(pool, req.params.name, options);
+
+        if (format) {
+            res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(req.params.name, options, format)}"`);
+        }
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            return res.send(reportToCsv(req.params.name, rows));
+        }
+
+        res.json({
+            report: req.params.name,
+            title: report.title,
+            description: report.description,
+            from: options.from || null,
+            to: options.to || null,
+            interval: options.interval,
+            rows
+        });
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+// Update user status (staff only)
+app.patch('/api/admin/users/:id/status', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { status, reason } = req.body;
+
+        if (!['active', 'inactive', 'suspended'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        await connection.beginTransaction();
+
+        const before = await snapshot(connection, 'users', 'user_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await connection.execute(
+            'UPDATE users SET status = ? WHERE user_id = ?',
+            [status, req.params.id]
+        );
+
+        // Inactive and suspended users are signed out everywhere straight away
+        let sessionsRevoked = 0;
+        if (status !== 'active') {
+            sessionsRevoked = await revokeUserSessions(connection, req.params.id, status);
+        }
+
+        if (status !== before.status) {
+            await notify(connection, before.user_id, 'account_status', {
+                title: `Your library account is now ${status}`,
+                body: status === 'active'
+                    ? 'Your library account has been reactivated. You can log in and borrow again.'
+                    : `Your library account has been ${status === 'suspended' ? 'suspended' : 'deactivated'}`
+                        + `${reason ? `: ${reason}` : ''}. Please contact the library desk for help.`
+            });
+        }
+
+        await recordAudit(connection, req, 'user.status', {
+            targetType: 'user',
+            targetId: before.user_id,
+            before: { status: before.status },
+            after: { status },
+            details: { reason: reason || null, sessionsRevoked }
+        });
+
+        await connection.commit();
+        res.json({ message: 'User status updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('User status update error:', error);
+        res.status(500).json({ error: 'Failed to update user status' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Unlock an account locked after failed logins and clear its login throttling (staff only)
+app.post('/api/admin/users/:id/unlock', authenticateToken, requirePermission('users.manage', 'circulation.manage'), async (req, res) => {
+    try {
+        const [users] = await pool.execute(
+            'SELECT user_id, username, email, failed_login_attempts, locked_until FROM users WHERE user_id = ?',
+            [req.params.id]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await pool.execute(
+            'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE user_id = ?',
+            [req.params.id]
+        );
+        await clearLoginFailures(users[0].username, users[0].email);
+
+        await recordAudit(pool, req, 'user.unlock', {
+            targetType: 'user',
+            targetId: users[0].user_id,
+            before: { failed_login_attempts: users[0].failed_login_attempts, locked_until: users[0].locked_until },
+            after: { failed_login_attempts: 0, locked_until: null }
+        });
+
+        res.json({ message: 'Account unlocked successfully' });
+    } catch (error) {
+        console.error('User unlock error:', error);
+        res.status(500).json({ error: 'Failed to unlock account' });
+    }
+});
+
+// Staff invitations (set-password links) stay valid this long
+const INVITE_TOKEN_MINUTES = 3 * 24 * 60;
+
+// Create an account of any type, e.g. a librarian (staff only). It is active straight away and
+// the user is emailed a link to set their own password.
+app.post('/api/admin/users', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { username, email, fullName, userType, phone, address, roles = [] } = req.body;
+
+        if (!username || !email || !fullName || !userType) {
+            return res.status(400).json({ error: 'username, email, fullName and userType are required' });
+        }
+
+        if (!['student', 'librarian'].includes(userType)) {
+            return res.status(400).json({ error: 'userType must be student or librarian' });
+        }
+
+        const roleError = checkRoleGrant(req.user, roles);
+        if (roleError) {
+            return res.status(roleError.status).json({ error: roleError.error });
+        }
+
+        await connection.beginTransaction();
+
+        // Nobody knows this password; the user sets their own from the emailed link
+        const passwordHash = await bcrypt.hash(generateToken(), 10);
+        const [result] = await connection.execute(
+            "INSERT INTO users (username, email, password_hash, full_name, user_type, phone, address, status, email_verified_at) VALUES (?, ?, ?, ?, ?, ?, ?, 'active', NOW())",
+            [username, email, passwordHash, fullName, userType, phone || null, address || null]
+        );
+        const userId = result.insertId;
+
+        const cardNumber = generateCardNumber(userId);
+        await connection.execute(
+            'UPDATE users SET card_number = ? WHERE user_id = ?',
+            [cardNumber, userId]
+        );
+
+        for (const role of new Set(roles)) {
+            await connection.execute(
+                'INSERT INTO user_roles (user_id, role, granted_by) VALUES (?, ?, ?)',
+                [userId, role, req.user.userId]
+            );
+        }
+
+        const token = await createResetToken(connection, userId, INVITE_TOKEN_MINUTES, req.ip);
+
+        await recordAudit(connection, req, 'user.create', {
+            targetType: 'user',
+            targetId: userId,
+            after: await snapshot(connection, 'users', 'user_id', userId),
+            details: { roles: [...new Set(roles)] }
+        });
+
+        await connection.commit();
+
+        // The user exists now, so a failed email is reported rather than treated as a failed create
+        let warning;
+        try {
+            await sendMail({
+                to: email,
+                subject: 'Your Readify library account',
+                text: `Hello ${fullName},\n\n`
+                    + `An account has been created for you at Readify (username: ${username}).\n`
+                    + 'Use this link within 3 days to choose your password:\n\n'
+                    + `${FRONTEND_URL}/index.html?resetToken=${token}\n`
+            });
+        } catch (error) {
+            console.error('Account invite email error:', error.message);
+            warning = 'The email with the password link could not be sent; the user can request one with "Forgot password".';
+        }
+
+        res.status(201).json({
+            message: warning ? 'User created.' : 'User created. A link to set their password has been emailed.',
+            warning,
+            userId,
+            cardNumber,
+            roles: [...new Set(roles)]
+        });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'Username or email already exists' });
+        }
+        console.error('User create error:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Check the caller may grant (or remove) each of these roles; returns { status, error } or null
+const checkRoleGrant = (user, roles) => {
+    if (!Array.isArray(roles)) {
+        return { status: 400, error: 'roles must be an array' };
+    }
+
+    const unknown = roles.filter(role => !ROLES[role]);
+    if (unknown.length > 0) {
+        return { status: 400, error: `Unknown role(s): ${unknown.join(', ')}` };
+    }
+
+    const denied = roles.filter(role => !canGrantRole(user.permissions || [], role));
+    if (denied.length > 0) {
+        return { status: 403, error: `You can't grant or remove role(s) with permissions you don't have: ${denied.join(', ')}` };
+    }
+
+    return null;
+};
+
+// List the roles and the permissions each grants (staff only)
+app.get('/api/admin/roles', authenticateToken, requirePermission('users.manage'), (req, res) => {
+    res.json({
+        roles: Object.entries(ROLES).map(([name, permissions]) => ({ name, permissions })),
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+});
+
+// Get a user's roles (staff only)
+app.get('/api/admin/users/:id/roles', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const [users] = await pool.execute(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [req.params.id]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [roles] = await pool.execute(
+            `SELECT ur.role, ur.granted_at, g.username as granted_by
+             FROM user_roles ur
+             LEFT JOIN users g ON ur.granted_by = g.user_id
+             WHERE ur.user_id = ?
+             ORDER BY ur.role`,
+            [req.params.id]
+        );
+
+        res.json(roles);
+    } catch (error) {
+        console.error('Roles fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+});
+
+// Replace a user's roles (staff only). Changes apply when their access token is next refreshed.
+app.put('/api/admin/users/:id/roles', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { roles } = req.body;
+        const userId = Number(req.params.id);
+
+        if (!Array.isArray(roles)) {
+            return res.status(400).json({ error: 'roles must be an array' });
+        }
+
+        const [users] = await connection.execute(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const current = await getUserRoles(connection, userId);
+        const wanted = [...new Set(roles)];
+        const added = wanted.filter(role => !current.includes(role));
+        const removed = current.filter(role => !wanted.includes(role));
+
+        const roleError = checkRoleGrant(req.user, added) || checkRoleGrant(req.user, removed);
+        if (roleError) {
+            return res.status(roleError.status).json({ error: roleError.error });
+        }
+
+        if (userId === req.user.userId && removed.includes('superadmin')) {
+            return res.status(400).json({ error: 'You cannot remove your own superadmin role' });
+        }
+
+        await connection.beginTransaction();
+
+        for (const role of removed) {
+            await connection.execute(
+                'DELETE FROM user_roles WHERE user_id = ? AND role = ?',
+                [userId, role]
+            );
+        }
+
+        for (const role of added) {
+            await connection.execute(
+                'INSERT INTO user_roles (user_id, role, granted_by) VALUES (?, ?, ?)',
+                [userId, role, req.user.userId]
+            );
+        }
+
+        await recordAudit(connection, req, 'user.roles', {
+            targetType: 'user',
+            targetId: userId,
+            before: { roles: current },
+            after: { roles: wanted },
+            details: { added, removed }
+        });
+
+        await connection.commit();
+        res.json({ message: 'Roles updated successfully', roles: wanted, added, removed });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Roles update error:', error);
+        res.status(500).json({ error: 'Failed to update roles' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== POLICY ROUTES ====================
+
+// Validate a circulation policy body; returns the column values or an error message
+const parsePolicy = (body) => {
+    const { userType, genre, itemType, loanPeriodDays, maxLoans, maxRenewals, finePerDay, fineCap, graceDays, holdPickupDays } = body;
+
+    if (!['student', 'librarian'].includes(userType)) {
+        return { error: 'userType must be student or librarian' };
+    }
+
+    const whole = { loanPeriodDays, maxLoans, maxRenewals, graceDays, holdPickupDays };
+    for (const [field, value] of Object.entries(whole)) {
+        if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+            return { error: `${field} must be a non-negative whole number` };
+        }
+    }
+
+    if (Number(loanPeriodDays) < 1 || Number(holdPickupDays) < 1) {
+        return { error: 'loanPeriodDays and holdPickupDays must be at least 1' };
+    }
+
+    if (!Number.isFinite(Number(finePerDay)) || Number(finePerDay) < 0) {
+        return { error: 'finePerDay must be a non-negative amount' };
+    }
+
+    if (fineCap !== undefined && fineCap !== null && (!Number.isFinite(Number(fineCap)) || Number(fineCap) < 0)) {
+        return { error: 'fineCap must be a non-negative amount' };
+    }
+
+    return {
+        values: [
+            userType,
+            genre || null,
+            itemType || null,
+            Number(loanPeriodDays),
+            Number(maxLoans),
+            Number(maxRenewals),
+            Number(finePerDay),
+            fineCap === undefined || fineCap === null ? null : Number(fineCap),
+            Number(graceDays),
+            Number(holdPickupDays)
+        ]
+    };
+};
+
+// Only one policy may exist per user type / genre / item type combination
+const findDuplicatePolicy = async (db, [userType, genre, itemType], excludeId = 0) => {
+    const [existing] = await db.execute(
+        `SELECT policy_id FROM circulation_policies 
+         WHERE user_type = ? AND genre <=> ? AND item_type <=> ? AND policy_id != ?`,
+        [userType, genre, itemType, excludeId]
+    );
+    return existing.length > 0;
+};
+
+// Get all circulation policies (staff only)
+app.get('/api/admin/policies', authenticateToken, requirePermission('policies.manage'), async (req, res) => {
+    try {
+        const [policies] = await pool.execute(
+            'SELECT * FROM circulation_policies ORDER BY user_type, genre IS NOT NULL, genre, item_type IS NOT NULL, item_type'
+        );
+
+        res.json(policies);
+    } catch (error) {
+        console.error('Policies fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch policies' });
+    }
+});
+
+// Create circulation policy (staff only)
+app.post('/api/admin/policies', authenticateToken, requirePermission('policies.manage'), async (req, res) => {
+    const { values, error } = parsePolicy(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        if (await findDuplicatePolicy(connection, values)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'A policy for this user type, genre and item type already exists' });
+        }
+
+        const [result] = await connection.execute(
+            `INSERT INTO circulation_policies 
+             (user_type, genre, item_type, loan_period_days, max_loans, max_renewals, fine_per_day, fine_cap, grace_days, hold_pickup_days) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            values
+        );
+
+        await recordAudit(connection, req, 'policy.create', {
+            targetType: 'policy',
+            targetId: result.insertId,
+            after: await snapshot(connection, 'circulation_policies', 'policy_id', result.insertId)
+        });
+
+        await connection.commit();
+        res.status(201).json({
+            message: 'Policy created successfully',
+            policyId: result.insertId
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Policy create error:', error);
+        res.status(500).json({ error: 'Failed to create policy' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update circulation policy (staff only)
+app.put('/api/admin/policies/:id', authenticateToken, requirePermission('policies.manage'), async (req, res) => {
+    const { values, error } = parsePolicy(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        if (await findDuplicatePolicy(connection, values, req.params.id)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'A policy for this user type, genre and item type already exists' });
+        }
+
+        const before = await snapshot(connection, 'circulation_policies', 'policy_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        await connection.execute(
+            `UPDATE circulation_policies SET 
+                user_type = ?, genre = ?, item_type = ?, loan_period_days = ?, max_loans = ?, max_renewals = ?, 
+                fine_per_day = ?, fine_cap = ?, grace_days = ?, hold_pickup_days = ? 
+             WHERE policy_id = ?`,
+            [...values, req.params.id]
+        );
+
+        await recordAudit(connection, req, 'policy.update', {
+            targetType: 'policy',
+            targetId: before.policy_id,
+            before,
+            after: await snapshot(connection, 'circulation_policies', 'policy_id', req.params.id)
+        });
+
+        await connection.commit();
+        res.json({ message: 'Policy updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Policy update error:', error);
+        res.status(500).json({ error: 'Failed to update policy' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete circulation policy (staff only)
+app.delete('/api/admin/policies/:id', authenticateToken, requirePermission('policies.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const before = await snapshot(connection, 'circulation_policies', 'policy_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        await connection.execute(
+            'DELETE FROM circulation_policies WHERE policy_id = ?',
+            [req.params.id]
+        );
+
+        await recordAudit(connection, req, 'policy.delete', {
+            targetType: 'policy',
+            targetId: before.policy_id,
+            before
+        });
+
+        await connection.commit();
+        res.json({ message: 'Policy deleted successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Policy delete error:', error);
+        res.status(500).json({ error: 'Failed to delete policy' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== BRANCH ROUTES ====================
+
+const BRANCH_CODE = /^[A-Z0-9-]{1,20}$/;
+
+// Validate a branch body; with partial set, only the fields given are checked.
+// Returns the fields to save or an error message.
+const parseBranch = (body, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.code !== undefined || !partial) {
+        const code = String(body.code || '').trim().toUpperCase();
+        if (!BRANCH_CODE.test(code)) {
+            return { error: 'code must be 1-20 letters, digits or dashes' };
+        }
+        fields.code = code;
+    }
+
+    if (body.name !== undefined || !partial) {
+        const name = String(body.name || '').trim();
+        if (!name || name.length > 100) {
+            return { error: 'name is required and must be at most 100 characters' };
+        }
+        fields.name = name;
+    }
+
+    if (body.address !== undefined) {
+        const address = body.address === null ? null : String(body.address).trim();
+        if (address && address.length > 255) {
+            return { error: 'address must be at most 255 characters' };
+        }
+        fields.address = address || null;
+    }
+
+    if (body.isActive !== undefined) {
+        fields.is_active = Boolean(body.isActive);
+    }
+
+    return { fields };
+};
+
+// List open branches with how many copies are at each (public)
+app.get('/api/branches', async (req, res) => {
+    try {
+        const [branches] = await pool.execute(
+            `SELECT br.branch_id, br.code, br.name, br.address,
+                    COUNT(CASE WHEN c.status NOT IN ('lost', 'withdrawn') THEN 1 END) as total_copies,
+                    COUNT(CASE WHEN c.status = 'available' THEN 1 END) as available_copies
+             FROM branches br
+             LEFT JOIN book_copies c ON c.current_branch_id = br.branch_id
+             WHERE br.is_active = TRUE
+             GROUP BY br.branch_id, br.code, br.name, br.address
+             ORDER BY br.branch_id ASC`
+        );
+
+        res.json(branches);
+    } catch (error) {
+        console.error('Branches fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch branches' });
+    }
+});
+
+// Add a branch (staff only)
+app.post('/api/admin/branches', authenticateToken, requirePermission('branches.manage'), async (req, res) => {
+    try {
+        const { fields, error } = parseBranch(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const [result] = await pool.execute(
+            'INSERT INTO branches (code, name, address) VALUES (?, ?, ?)',
+            [fields.code, fields.name, fields.address || null]
+        );
+
+        await recordAudit(pool, req, 'branch.create', {
+            targetType: 'branch',
+            targetId: result.insertId,
+            after: await snapshot(pool, 'branches', 'branch_id', result.insertId)
+        });
+
+        res.status(201).json({
+            message: 'Branch created successfully',
+            branchId: result.insertId
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'A branch with this code or name already exists' });
+        }
+        console.error('Branch create error:', error);
+        res.status(500).json({ error: 'Failed to create branch' });
+    }
+});
+
+// Rename, re-address, close or reopen a branch (staff only). A branch can only be closed once
+// its copies have gone elsewhere and no holds are waiting to be collected there.
+app.patch('/api/admin/branches/:id', authenticateToken, requirePermission('branches.manage'), async (req, res) => {
+    try {
+        const { fields, error } = parseBranch(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const before = await snapshot(pool, 'branches', 'branch_id', req.params.id);
+
+        if (!before) {
+            return res.status(404).json({ error: 'Branch not found' });
+        }
+
+        if (fields.is_active === false && before.is_active) {
+            if (before.branch_id === DEFAULT_BRANCH_ID) {
+                return res.status(400).json({ error: 'The main library cannot be closed' });
+            }
+
+            const [[{ copies }]] = await pool.execute(
+                "SELECT COUNT(*) as copies FROM book_copies WHERE current_branch_id = ? AND status NOT IN ('lost', 'withdrawn')",
+                [before.branch_id]
+            );
+            const [[{ holds }]] = await pool.execute(
+                "SELECT COUNT(*) as holds FROM reservations WHERE pickup_branch_id = ? AND status IN ('pending', 'in_transit', 'ready')",
+                [before.branch_id]
+            );
+
+            if (copies > 0 || holds > 0) {
+                return res.status(400).json({
+                    error: `Transfer this branch's ${copies} copies and settle its ${holds} holds before closing it`
+                });
+            }
+        }
+
+        const columns = Object.keys(fields);
+        await pool.execute(
+            `UPDATE branches SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE branch_id = ?`,
+            [...columns.map(column => fields[column]), before.branch_id]
+        );
+
+        await recordAudit(pool, req, 'branch.update', {
+            targetType: 'branch',
+            targetId: before.branch_id,
+            before,
+            after: await snapshot(pool, 'branches', 'branch_id', before.branch_id)
+        });
+
+        res.json({ message: 'Branch updated successfully' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'A branch with this code or name already exists' });
+        }
+        console.error('Branch update error:', error);
+        res.status(500).json({ error: 'Failed to update branch' });
+    }
+});
+
+// Branches a staff member works at (staff only). An empty list means every branch.
+app.get('/api/admin/users/:id/branches', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const [users] = await pool.execute(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [req.params.id]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [branches] = await pool.execute(
+            `SELECT br.branch_id, br.code, br.name
+             FROM staff_branches sb
+             JOIN branches br ON sb.branch_id = br.branch_id
+             WHERE sb.user_id = ?
+             ORDER BY br.branch_id`,
+            [req.params.id]
+        );
+
+        res.json(branches);
+    } catch (error) {
+        console.error('Staff branches fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch staff branches' });
+    }
+});
+
+// Replace the branches a staff member works at (staff only). An empty list lets them work anywhere.
+// Admins tied to branches can only hand out, or take away, their own branches.
+app.put('/api/admin/users/:id/branches', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { branchIds } = req.body;
+        const userId = Number(req.params.id);
+
+        if (!Array.isArray(branchIds)) {
+            return res.status(400).json({ error: 'branchIds must be an array' });
+        }
+
+        const [users] = await connection.execute(
+            'SELECT user_id FROM users WHERE user_id = ?',
+            [userId]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const wanted = [...new Set(branchIds.map(Number))].sort((a, b) => a - b);
+        for (const branchId of wanted) {
+            if (!(await getActiveBranch(connection, branchId))) {
+                return res.status(400).json({ error: `Branch ${branchId} not found` });
+            }
+        }
+
+        const current = (await getBranchScope(connection, userId)) || [];
+        const added = wanted.filter(branchId => !current.includes(branchId));
+        const removed = current.filter(branchId => !wanted.includes(branchId));
+
+        const scope = await getBranchScope(connection, req.user.userId);
+        if (scope !== null && (wanted.length === 0 || ![...added, ...removed].every(branchId => inScope(scope, branchId)))) {
+            return res.status(403).json({ error: 'You can only assign staff to branches you work at' });
+        }
+
+        await connection.beginTransaction();
+
+        for (const branchId of removed) {
+            await connection.execute(
+                'DELETE FROM staff_branches WHERE user_id = ? AND branch_id = ?',
+                [userId, branchId]
+            );
+        }
+
+        for (const branchId of added) {
+            await connection.execute(
+                'INSERT INTO staff_branches (user_id, branch_id) VALUES (?, ?)',
+                [userId, branchId]
+            );
+        }
+
+        await recordAudit(connection, req, 'user.branches', {
+            targetType: 'user',
+            targetId: userId,
+            before: { branches: current },
+            after: { branches: wanted },
+            details: { added, removed }
+        });
+
+        await connection.commit();
+        res.json({ message: 'Branches updated successfully', branchIds: wanted, added, removed });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Staff branches update error:', error);
+        res.status(500).json({ error: 'Failed to update staff branches' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== TRANSFER ROUTES ====================
+
+const TRANSFER_STATUSES = ['requested', 'in_transit', 'received', 'cancelled'];
+
+const TRANSFER_SORTS = {
+    requested: 't.requested_at',
+    shipped: 't.shipped_at',
+    received: 't.received_at',
+    status: 't.status'
+};
+
+// Lock a transfer for an action at one of its ends ('from_branch_id' ships, 'to_branch_id' receives).
+// Returns { transfer } or { status, error }.
+const lockTransfer = async (connection, req, end) => {
+    const [transfers] = await connection.execute(
+        'SELECT * FROM copy_transfers WHERE transfer_id = ? FOR UPDATE',
+        [req.params.id]
+    );
+
+    if (transfers.length === 0) {
+        return { status: 404, error: 'Transfer not found' };
+    }
+
+    if (!inScope(await getBranchScope(connection, req.user.userId), transfers[0][end])) {
+        return { status: 403, error: "This transfer is for a branch you don't have access to" };
+    }
+
+    return { transfer: transfers[0] };
+};
+
+// List transfers in or out of the viewer's branches (staff only)
+// ?status= filters, ?branchId= limits to transfers to or from one branch
+app.get('/api/admin/transfers', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    try {
+        const { status, branchId } = req.query;
+        const list = parseListQuery(req.query, { sortable: TRANSFER_SORTS, defaultSort: '-requested' });
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        if (status && !TRANSFER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${TRANSFER_STATUSES.join(', ')}` });
+        }
+
+        // Staff tied to branches see transfers in or out of them
+        const scope = await getBranchScope(pool, req.user.userId);
+        let where = '';
+        const params = [];
+
+        if (scope !== null) {
+            const placeholders = scope.map(() => '?').join(', ');
+            where += ` AND (t.from_branch_id IN (${placeholders}) OR t.to_branch_id IN (${placeholders}))`;
+            params.push(...scope, ...scope);
+        }
+
+        if (status) {
+            where += ' AND t.status = ?';
+            params.push(status);
+        }
+
+        if (branchId) {
+            where += ' AND (t.from_branch_id = ? OR t.to_branch_id = ?)';
+            params.push(branchId, branchId);
+        }
+
+        const from = `
+            FROM copy_transfers t 
+            JOIN book_copies c ON t.copy_id = c.copy_id 
+            JOIN books b ON c.book_id = b.book_id 
+            JOIN branches fb ON t.from_branch_id = fb.branch_id 
+            JOIN branches tb ON t.to_branch_id = tb.branch_id 
+            LEFT JOIN users rq ON t.requested_by = rq.user_id 
+            WHERE 1=1${where}`;
+
+        const [transfers] = await pool.execute(
+            `SELECT t.*, c.barcode, b.title, b.author, fb.name as from_branch_name, tb.name as to_branch_name, 
+                    rq.username as requested_by_username ${from} 
+             ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            params
+        );
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) as total ${from}`, params);
+
+        sendPage(req, res, transfers, total, list);
+    } catch (error) {
+        console.error('Transfers fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch transfers' });
+    }
+});
+
+// Ask for a copy to be sent to another branch (staff only). Staff at either end can ask.
+app.post('/api/admin/transfers', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { barcode, toBranchId, reason } = req.body;
+
+        if (!barcode || !toBranchId) {
+            return res.status(400).json({ error: 'Copy barcode and destination branch required' });
+        }
+
+        if (reason && String(reason).length > 255) {
+            return res.status(400).json({ error: 'reason must be at most 255 characters' });
+        }
+
+        await connection.beginTransaction();
+
+        const [copies] = await connection.execute(
+            'SELECT * FROM book_copies WHERE barcode = ? FOR UPDATE',
+            [barcode]
+        );
+
+        if (copies.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Copy not found' });
+        }
+
+        const copy = copies[0];
+        const destination = await getActiveBranch(connection, toBranchId);
+
+        if (!destination) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Branch not found' });
+        }
+
+        const scope = await getBranchScope(connection, req.user.userId);
+        if (!inScope(scope, copy.current_branch_id) && !inScope(scope, destination.branch_id)) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'Neither end of this transfer is a branch you work at' });
+        }
+
+        if (['lost', 'withdrawn'].includes(copy.status)) {
+            await connection.rollback();
+            return res.status(400).json({ error: `This copy is ${copy.status}` });
+        }
+
+        if (copy.current_branch_id === destination.branch_id) {
+            await connection.rollback();
+            return res.status(400).json({ error: `This copy is already at ${destination.name}` });
+        }
+
+        const [open] = await connection.execute(
+            "SELECT transfer_id FROM copy_transfers WHERE copy_id = ? AND status IN ('requested', 'in_transit')",
+            [copy.copy_id]
+        );
+
+        if (open.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'This copy already has a transfer under way' });
+        }
+
+        const transferId = await requestTransfer(connection, {
+            copyId: copy.copy_id,
+            fromBranchId: copy.current_branch_id,
+            toBranchId: destination.branch_id,
+            reason: reason || null,
+            requestedBy: req.user.userId
+        });
+
+        await recordAudit(connection, req, 'transfer.request', {
+            targetType: 'transfer',
+            targetId: transferId,
+            after: await snapshot(connection, 'copy_transfers', 'transfer_id', transferId)
+        });
+
+        await connection.commit();
+        res.status(201).json({
+            message: `Transfer to ${destination.name} requested`,
+            transferId
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Transfer request error:', error);
+        res.status(500).json({ error: 'Failed to request transfer' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Send a copy on its way (staff at the sending branch)
+app.post('/api/admin/transfers/:id/ship', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { transfer, status, error } = await lockTransfer(connection, req, 'from_branch_id');
+        if (error) {
+            await connection.rollback();
+            return res.status(status).json({ error });
+        }
+
+        const shipped = await shipTransfer(connection, transfer, { shippedBy: req.user.userId });
+        if (shipped.error) {
+            await connection.rollback();
+            return res.status(shipped.status).json({ error: shipped.error });
+        }
+
+        await recordAudit(connection, req, 'transfer.ship', {
+            targetType: 'transfer',
+            targetId: transfer.transfer_id,
+            before: transfer,
+            after: await snapshot(connection, 'copy_transfers', 'transfer_id', transfer.transfer_id)
+        });
+
+        await connection.commit();
+        res.json({ message: 'Copy marked as in transit' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Transfer ship error:', error);
+        res.status(500).json({ error: 'Failed to ship transfer' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Book a copy in at the receiving branch (staff there). It fills the hold it was sent for, or the
+// next hold in the queue, or goes on the shelf.
+app.post('/api/admin/transfers/:id/receive', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { transfer, status, error } = await lockTransfer(connection, req, 'to_branch_id');
+        if (error) {
+            await connection.rollback();
+            return res.status(status).json({ error });
+        }
+
+        const received = await receiveTransfer(connection, transfer, { receivedBy: req.user.userId });
+        if (received.error) {
+            await connection.rollback();
+            return res.status(received.status).json({ error: received.error });
+        }
+
+        await recordAudit(connection, req, 'transfer.receive', {
+            targetType: 'transfer',
+            targetId: transfer.transfer_id,
+            before: transfer,
+            after: await snapshot(connection, 'copy_transfers', 'transfer_id', transfer.transfer_id)
+        });
+
+        const { hold } = received;
+        const inTransit = hold && hold.status === 'in_transit';
+
+        await connection.commit();
+        res.json({
+            message: 'Copy received',
+            // As at check-in: hold shelf, straight on to another branch's hold, or back on the shelf
+            holdShelf: Boolean(hold) && !inTransit,
+            transferTo: inTransit ? await branchName(pool, hold.pickup_branch_id) : null
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Transfer receive error:', error);
+        res.status(500).json({ error: 'Failed to receive transfer' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Call off a transfer that hasn't been shipped (staff at either end). Transfers filling a hold
+// end with the hold, so those are cancelled by cancelling the hold.
+app.post('/api/admin/transfers/:id/cancel', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [transfers] = await connection.execute(
+            'SELECT * FROM copy_transfers WHERE transfer_id = ? FOR UPDATE',
+            [req.params.id]
+        );
+
+        if (transfers.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Transfer not found' });
+        }
+
+        const transfer = transfers[0];
+        const scope = await getBranchScope(connection, req.user.userId);
+
+        if (!inScope(scope, transfer.from_branch_id) && !inScope(scope, transfer.to_branch_id)) {
+            await connection.rollback();
+            return res.status(403).json({ error: "This transfer is for a branch you don't have access to" });
+        }
+
+        if (transfer.status !== 'requested') {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Only transfers that have not been shipped can be cancelled' });
+        }
+
+        if (transfer.reservation_id) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'This transfer is filling a hold. Cancel the hold instead.' });
+        }
+
+        await connection.execute(
+            'UPDATE copy_transfers SET status = "cancelled" WHERE transfer_id = ?',
+            [transfer.transfer_id]
+        );
+
+        await recordAudit(connection, req, 'transfer.cancel', {
+            targetType: 'transfer',
+            targetId: transfer.transfer_id,
+            before: transfer,
+            after: await snapshot(connection, 'copy_transfers', 'transfer_id', transfer.transfer_id)
+        });
+
+        await connection.commit();
+        res.json({ message: 'Transfer cancelled' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Transfer cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel transfer' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ==================== FINE ROUTES ====================
+
+// Ledger entries for a patron, newest first
+const getFineStatement = async (userId) => {
+    const [transactions] = await pool.execute(
+        `SELECT ft.*, b.title, l.username as librarian_username 
+         FROM fine_transactions ft 
+         LEFT JOIN borrowing_records br ON ft.record_id = br.record_id 
+         LEFT JOIN books b ON br.book_id = b.book_id 
+         LEFT JOIN users l ON ft.librarian_id = l.user_id 
+         WHERE ft.user_id = ? 
+         ORDER BY ft.created_at DESC, ft.transaction_id DESC`,
+        [userId]
+    );
+    return transactions;
+};
+
+// Record a payment, waiver or adjustment against a patron's fines (staff only)
+const recordFineTransaction = (transactionType) => async (req, res) => {
+    const { amount, reason, paymentMethod, recordId } = req.body;
+    const value = Number(amount);
+
+    if (!Number.isFinite(value) || value === 0 || (transactionType !== 'adjustment' && value < 0)) {
+        return res.status(400).json({ error: 'A valid amount is required' });
+    }
+
+    if (transactionType !== 'payment' && !reason) {
+        return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    if (transactionType === 'payment' && paymentMethod && !['cash', 'card', 'upi', 'other'].includes(paymentMethod)) {
+        return res.status(400).json({ error: 'Invalid payment method' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Locking the patron serialises postings, so two payments cannot both pass the balance check
+        const [users] = await connection.execute(
+            'SELECT user_id FROM users WHERE user_id = ? FOR UPDATE',
+            [req.params.userId]
+        );
+
+        if (users.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (recordId) {
+            const [records] = await connection.execute(
+                'SELECT record_id FROM borrowing_records WHERE record_id = ? AND user_id = ?',
+                [recordId, req.params.userId]
+            );
+
+            if (records.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ error: 'The borrowing record does not belong to this patron' });
+            }
+        }
+
+        // Payments and waivers settle charged fines; they cannot run the ledger into credit
+        const fines = await getFineBalance(connection, req.params.userId);
+        if (transactionType !== 'adjustment' && value > fines.balance) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Amount exceeds the outstanding balance of ₹${fines.balance}` });
+        }
+
+        const signedAmount = transactionType === 'adjustment' ? value : -value;
+
+        const [result] = await connection.execute(
+            'INSERT INTO fine_transactions (user_id, record_id, transaction_type, amount, payment_method, reason, librarian_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [
+                req.params.userId,
+                recordId || null,
+                transactionType,
+                signedAmount,
+                transactionType === 'payment' ? paymentMethod || 'cash' : null,
+                reason || null,
+                req.user.userId
+            ]
+        );
+
+        if (signedAmount > 0) {
+            await notify(connection, req.params.userId, 'fine_posted', {
+                title: `A charge of ₹${signedAmount} was added to your account`,
+                body: `The library added ₹${signedAmount} to your fines: ${reason}.`,
+                dedupeKey: `fine:${result.insertId}`
+            });
+        }
+
+        await recordAudit(connection, req, `fine.${transactionType}`, {
+            targetType: 'user',
+            targetId: req.params.userId,
+            after: await snapshot(connection, 'fine_transactions', 'transaction_id', result.insertId),
+            details: { balanceBefore: fines.balance, balanceAfter: fines.balance + signedAmount }
+        });
+
+        await connection.commit();
+        res.status(201).json({
+            message: `Fine ${transactionType} recorded successfully`,
+            transactionId: result.insertId,
+            balance: fines.balance + signedAmount
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error(`Fine ${transactionType} error:`, error);
+        res.status(500).json({ error: `Failed to record fine ${transactionType}` });
+    } finally {
+        connection.release();
+    }
+};
+
+// Get own fine balance and statement
+app.get('/api/fines', authenticateToken, async (req, res) => {
+    try {
+        const balance = await getFineBalance(pool, req.user.userId);
+        const transactions = await getFineStatement(req.user.userId);
+
+        res.json({ ...balance, borrowingLimit: FINE_BLOCK_THRESHOLD, transactions });
+    } catch (error) {
+        console.error('Fines fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch fines' });
+    }
+});
+
+// Get a patron's fine balance and statement (staff only)
+app.get('/api/admin/fines/:userId', authenticateToken, requirePermission('fines.manage'), async (req, res) => {
+    try {
+        const balance = await getFineBalance(pool, req.params.userId);
+        const transactions = await getFineStatement(req.params.userId);
+
+        res.json({ ...balance, borrowingLimit: FINE_BLOCK_THRESHOLD, transactions });
+    } catch (error) {
+        console.error('Admin fines fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch fines' });
+    }
+});
+
+app.post('/api/admin/fines/:userId/payments', authenticateToken, requirePermission('fines.manage'), recordFineTransaction('payment'));
+app.post('/api/admin/fines/:userId/waivers', authenticateToken, requirePermission('fines.manage'), recordFineTransaction('waiver'));
+app.post('/api/admin/fines/:userId/adjustments', authenticateToken, requirePermission('fines.manage'), recordFineTransaction('adjustment'));
+
+// ==================== READING LIST ROUTES ====================
+
+// The list if it belongs to the user; returns { list } or { status, error }
+const findOwnList = async (db, listId, userId) => {
+    const [lists] = await db.execute('SELECT * FROM reading_lists WHERE list_id = ?', [listId]);
+
+    if (lists.length === 0) {
+        return { status: 404, error: 'List not found' };
+    }
+
+    if (lists[0].user_id !== userId) {
+        return { status: 403, error: 'Access denied' };
+    }
+
+    return { list: lists[0] };
+};
+
+// A list as its owner sees it: the share link is included while sharing is on
+const describeList = (list) => ({
+    listId: list.list_id,
+    name: list.name,
+    kind: list.kind,
+    description: list.description,
+    shareUrl: list.share_token ? `${FRONTEND_URL}/index.html?list=${list.share_token}` : null,
+    publishedAt: list.published_at,
+    updatedAt: list.updated_at
+});
+
+// Check a name for a custom list; returns an error message or null
+const listNameError = (name) => {
+    if (!name || !String(name).trim()) {
+        return 'List name is required';
+    }
+    if (String(name).trim().length > MAX_LIST_NAME_LENGTH) {
+        return `List name must be at most ${MAX_LIST_NAME_LENGTH} characters`;
+    }
+    if (DEFAULT_LISTS.some(list => list.name.toLowerCase() === String(name).trim().toLowerCase())) {
+        return `"${String(name).trim()}" is a built-in list`;
+    }
+    return null;
+};
+
+// Curated lists published by staff, with their entries, for the home page
+app.get('/api/lists/published', async (req, res) => {
+    try {
+        const [lists] = await pool.execute(
+            `SELECT rl.list_id, rl.name, rl.description, rl.published_at, u.full_name as curator
+             FROM reading_lists rl
+             JOIN users u ON rl.user_id = u.user_id
+             WHERE rl.published_at IS NOT NULL
+             ORDER BY rl.published_at DESC`
+        );
+
+        for (const list of lists) {
+            list.entries = await getListEntries(pool, list.list_id);
+        }
+
+        res.json(lists);
+    } catch (error) {
+        console.error('Published lists fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch reading lists' });
+    }
+});
+
+// View a list shared by link
+app.get('/api/lists/shared/:token', async (req, res) => {
+    try {
+        const [lists] = await pool.execute(
+            `SELECT rl.list_id, rl.name, rl.description, rl.updated_at, u.full_name as owner
+             FROM reading_lists rl
+             JOIN users u ON rl.user_id = u.user_id
+             WHERE rl.share_token = ?`,
+            [req.params.token]
+        );
+
+        if (lists.length === 0) {
+            return res.status(404).json({ error: 'This list is not shared or the link is out of date' });
+        }
+
+        res.json({ ...lists[0], entries: await getListEntries(pool, lists[0].list_id) });
+    } catch (error) {
+        console.error('Shared list fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch reading list' });
+    }
+});
+
+// Get own lists (Wishlist and Read first) with how many books each holds
+app.get('/api/lists', authenticateToken, async (req, res) => {
+    try {
+        await ensureDefaultLists(pool, req.user.userId);
+
+        const [lists] = await pool.execute(
+            `SELECT rl.*, (SELECT COUNT(*) FROM reading_list_items li WHERE li.list_id = rl.list_id) as item_count
+             FROM reading_lists rl
+             WHERE rl.user_id = ?
+             ORDER BY FIELD(rl.kind, 'wishlist', 'read', 'custom'), rl.name`,
+            [req.user.userId]
+        );
+
+        res.json(lists.map(list => ({ ...describeList(list), itemCount: list.item_count })));
+    } catch (error) {
+        console.error('Lists fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch reading lists' });
+    }
+});
+
+// Create a custom shelf
+app.post('/api/lists', authenticateToken, async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        const nameError = listNameError(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        const [result] = await pool.execute(
+            'INSERT INTO reading_lists (user_id, name, description) VALUES (?, ?, ?)',
+            [req.user.userId, String(name).trim(), description || null]
+        );
+
+        res.status(201).json({ message: 'List created successfully', listId: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'You already have a list with this name' });
+        }
+        console.error('List create error:', error);
+        res.status(500).json({ error: 'Failed to create list' });
+    }
+});
+
+// Get one of your lists with its entries and their availability
+app.get('/api/lists/:id', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        res.json({ ...describeList(list), entries: await getListEntries(pool, list.list_id, req.user.userId) });
+    } catch (error) {
+        console.error('List fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch list' });
+    }
+});
+
+// Rename a custom shelf or change its description (the built-in lists keep their names)
+app.patch('/api/lists/:id', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const { name, description } = req.body;
+
+        if (name !== undefined && list.kind !== 'custom') {
+            return res.status(400).json({ error: `The ${list.name} list can't be renamed` });
+        }
+
+        const nameError = name !== undefined ? listNameError(name) : null;
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        await pool.execute(
+            'UPDATE reading_lists SET name = ?, description = ? WHERE list_id = ?',
+            [
+                name !== undefined ? String(name).trim() : list.name,
+                description !== undefined ? description : list.description,
+                list.list_id
+            ]
+        );
+
+        res.json({ message: 'List updated successfully' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'You already have a list with this name' });
+        }
+        console.error('List update error:', error);
+        res.status(500).json({ error: 'Failed to update list' });
+    }
+});
+
+// Delete a custom shelf
+app.delete('/api/lists/:id', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (list.kind !== 'custom') {
+            return res.status(400).json({ error: `The ${list.name} list can't be deleted` });
+        }
+
+        await pool.execute('DELETE FROM reading_lists WHERE list_id = ?', [list.list_id]);
+
+        res.json({ message: 'List deleted successfully' });
+    } catch (error) {
+        console.error('List delete error:', error);
+        res.status(500).json({ error: 'Failed to delete list' });
+    }
+});
+
+// Add a book to the end of a list
+app.post('/api/lists/:id/items', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const { bookId, note } = req.body;
+
+        const [books] = await pool.execute('SELECT book_id FROM books WHERE book_id = ?', [bookId || 0]);
+        if (books.length === 0) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        if (!(await addListItem(pool, list.list_id, books[0].book_id, note || null))) {
+            return res.status(400).json({ error: `This book is already on ${list.name}` });
+        }
+
+        res.status(201).json({ message: `Book added to ${list.name}` });
+    } catch (error) {
+        console.error('List item add error:', error);
+        res.status(500).json({ error: 'Failed to add book to list' });
+    }
+});
+
+// Remove a book from a list
+app.delete('/api/lists/:id/items/:bookId', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { list, status, error } = await findOwnList(connection, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await connection.beginTransaction();
+
+        if (!(await removeListItem(connection, list.list_id, req.params.bookId))) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Book is not on this list' });
+        }
+
+        await connection.commit();
+        res.json({ message: `Book removed from ${list.name}` });
+    } catch (error) {
+        await connection.rollback();
+        console.error('List item remove error:', error);
+        res.status(500).json({ error: 'Failed to remove book from list' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Reorder a list: { "bookIds": [...] } with every entry in its new order
+app.put('/api/lists/:id/order', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { list, status, error } = await findOwnList(connection, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (!Array.isArray(req.body.bookIds)) {
+            return res.status(400).json({ error: 'bookIds must be an array' });
+        }
+
+        await connection.beginTransaction();
+
+        const orderError = await reorderListItems(connection, list.list_id, req.body.bookIds);
+        if (orderError) {
+            await connection.rollback();
+            return res.status(400).json({ error: orderError });
+        }
+
+        await connection.commit();
+        res.json({ message: 'List reordered successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('List reorder error:', error);
+        res.status(500).json({ error: 'Failed to reorder list' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Turn on sharing by link; anyone with the link can view the list
+app.post('/api/lists/:id/share', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const shareToken = list.share_token || createShareToken();
+        await pool.execute('UPDATE reading_lists SET share_token = ? WHERE list_id = ?', [shareToken, list.list_id]);
+
+        res.json({ message: 'List shared', shareUrl: describeList({ ...list, share_token: shareToken }).shareUrl });
+    } catch (error) {
+        console.error('List share error:', error);
+        res.status(500).json({ error: 'Failed to share list' });
+    }
+});
+
+// Stop sharing; the old link stops working
+app.delete('/api/lists/:id/share', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await pool.execute('UPDATE reading_lists SET share_token = NULL WHERE list_id = ?', [list.list_id]);
+
+        res.json({ message: 'List is no longer shared' });
+    } catch (error) {
+        console.error('List unshare error:', error);
+        res.status(500).json({ error: 'Failed to stop sharing list' });
+    }
+});
+
+// Why a list entry can't be reserved, by its availability to the viewer
+const SKIP_RESERVE_REASONS = {
+    borrowed: 'You have already borrowed this book',
+    ready_for_pickup: 'A copy is waiting for you to collect',
+    reserved: 'You already have an active reservation for this book',
+    not_held: 'The library has no copies'
+};
+
+// Place a hold on every book on the list with no copy on the shelf at the pickup branch (a copy
+// on the shelf elsewhere is sent over). Every book not reserved is listed in skipped with the reason.
+app.post('/api/lists/:id/reserve-unavailable', authenticateToken, async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const pickupBranch = await getActiveBranch(pool, req.body.pickupBranchId || DEFAULT_BRANCH_ID);
+        if (!pickupBranch) {
+            return res.status(400).json({ error: 'Pickup branch not found' });
+        }
+
+        const reserved = [];
+        const skipped = [];
+
+        for (const entry of await getListEntries(pool, list.list_id, req.user.userId)) {
+            // Whether a copy is on the shelf at the pickup branch is left to placeReservation
+            const reason = SKIP_RESERVE_REASONS[entry.availability];
+            if (reason) {
+                skipped.push({ bookId: entry.book_id, title: entry.title, reason });
+                continue;
+            }
+
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+
+                const reservation = await placeReservation(connection, req.user.userId, entry.book_id, pickupBranch.branch_id);
+                if (reservation.error) {
+                    await connection.rollback();
+                    skipped.push({ bookId: entry.book_id, title: entry.title, reason: reservation.error });
+                } else {
+                    await connection.commit();
+                    reserved.push({ bookId: entry.book_id, title: entry.title, ...reservation });
+                }
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        }
+
+        res.status(reserved.length > 0 ? 201 : 200).json({
+            message: `${reserved.length} book(s) reserved`,
+            reserved,
+            skipped
+        });
+    } catch (error) {
+        console.error('List reserve error:', error);
+        res.status(500).json({ error: 'Failed to reserve books' });
+    }
+});
+
+// Publish one of your lists on the home page, e.g. a semester reading list (staff only)
+app.post('/api/lists/:id/publish', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await pool.execute(
+            'UPDATE reading_lists SET published_at = COALESCE(published_at, NOW()) WHERE list_id = ?',
+            [list.list_id]
+        );
+        await recordAudit(pool, req, 'list.publish', { targetType: 'list', targetId: list.list_id, details: { name: list.name } });
+
+        res.json({ message: 'List published on the home page' });
+    } catch (error) {
+        console.error('List publish error:', error);
+        res.status(500).json({ error: 'Failed to publish list' });
+    }
+});
+
+// Take a published list off the home page (staff only)
+app.delete('/api/lists/:id/publish', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    try {
+        const { list, status, error } = await findOwnList(pool, req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await pool.execute('UPDATE reading_lists SET published_at = NULL WHERE list_id = ?', [list.list_id]);
+        await recordAudit(pool, req, 'list.unpublish', { targetType: 'list', targetId: list.list_id, details: { name: list.name } });
+
+        res.json({ message: 'List removed from the home page' });
+    } catch (error) {
+        console.error('List unpublish error:', error);
+        res.status(500).json({ error: 'Failed to unpublish list' });
+    }
+});
+
+// ==================== RECOMMENDATION ROUTES ====================
+
+// ?limit= for the recommendation endpoints; returns the number or null if invalid
+const parseRecommendationLimit = (query) => {
+    const limit = query.limit === undefined ? RECOMMENDATION_LIMIT : Number(query.limit);
+    return Number.isInteger(limit) && limit >= 1 && limit <= MAX_RECOMMENDATIONS ? limit : null;
+};
+
+// Personalised suggestions from your borrowing and reviews, each with the reason it was picked.
+// With no history yet (coldStart) the list is the library's popular titles.
+app.get('/api/recommendations', authenticateToken, async (req, res) => {
+    try {
+        const limit = parseRecommendationLimit(req.query);
+        if (!limit) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_RECOMMENDATIONS}` });
+        }
+
+        res.json(await recommendForUser(pool, req.user.userId, { limit }));
+    } catch (error) {
+        console.error('Recommendations error:', error);
+        res.status(500).json({ error: 'Failed to fetch recommendations' });
+    }
+});
+
+// Titles similar to a book: borrowed by the same readers, by the same author or in the same genre
+app.get('/api/books/:id/similar', async (req, res) => {
+    try {
+        const limit = parseRecommendationLimit(req.query);
+        if (!limit) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_RECOMMENDATIONS}` });
+        }
+
+        const [books] = await pool.execute(
+            'SELECT book_id, author, genre FROM books WHERE book_id = ?',
+            [req.params.id]
+        );
+
+        if (books.length === 0) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        res.json(await similarBooks(pool, books[0], { limit }));
+    } catch (error) {
+        console.error('Similar books error:', error);
+        res.status(500).json({ error: 'Failed to fetch similar books' });
+    }
+});
+
+// ==================== NOTIFICATION ROUTES ====================
+
+// Get own in-app notifications, newest first; ?unread=true for unread only
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, { sortable: { created: 'notification_id' }, defaultSort: '-created' });
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        let where = 'WHERE user_id = ? AND in_app = TRUE';
+        if (req.query.unread === 'true') {
+            where += ' AND read_at IS NULL';
+        }
+
+        const [notifications] = await pool.execute(
+            `SELECT notification_id, type, title, body, created_at, read_at
+             FROM notifications ${where} ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            [req.user.userId]
+        );
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) as total FROM notifications ${where}`, [req.user.userId]);
+
+        sendPage(req, res, notifications, total, list);
+    } catch (error) {
+        console.error('Notifications fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Number of unread in-app notifications, e.g. for a badge
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+    try {
+        const [[{ unread }]] = await pool.execute(
+            'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND in_app = TRUE AND read_at IS NULL',
+            [req.user.userId]
+        );
+
+        res.json({ unread });
+    } catch (error) {
+        console.error('Unread count error:', error);
+        res.status(500).json({ error: 'Failed to count notifications' });
+    }
+});
+
+// Mark one of your notifications as read
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE notification_id = ? AND user_id = ?',
+            [req.params.id, req.user.userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json({ message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Notification read error:', error);
+        res.status(500).json({ error: 'Failed to update notification' });
+    }
+});
+
+// Mark all of your notifications as read
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
             [req.user.userId]
         );
 
-        res.json(stats[0]);
+        res.json({ message: 'All notifications marked as read', updated: result.affectedRows });
+    } catch (error) {
+        console.error('Notifications read-all error:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+});
+
+// Get own notification preferences: each type with its in-app and email setting
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+    try {
+        res.json(await getPreferences(pool, req.user.userId));
+    } catch (error) {
+        console.error('Notification preferences fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+});
+
+// Update own notification preferences, e.g. { "preferences": [{ "type": "due_soon", "email": false }] }.
+// Channels left out keep their current setting.
+app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
+    try {
+        const { preferences } = req.body;
+
+        if (!Array.isArray(preferences)) {
+            return res.status(400).json({ error: 'preferences must be an array' });
+        }
+
+        for (const preference of preferences) {
+            if (!NOTIFICATION_TYPES[preference.type]) {
+                return res.status(400).json({ error: `Unknown notification type: ${preference.type}` });
+            }
+            if (CHANNELS.some(channel => preference[channel] !== undefined && typeof preference[channel] !== 'boolean')) {
+                return res.status(400).json({ error: `${CHANNELS.join(' and ')} must be true or false` });
+            }
+        }
+
+        const current = await getPreferences(pool, req.user.userId);
+
+        for (const preference of preferences) {
+            const merged = { ...current.find(pref => pref.type === preference.type), ...preference };
+            await pool.execute(
+                `INSERT INTO notification_preferences (user_id, type, in_app, email) VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE in_app = VALUES(in_app), email = VALUES(email)`,
+                [req.user.userId, merged.type, merged.inApp, merged.email]
+            );
+        }
+
+        res.json(await getPreferences(pool, req.user.userId));
+    } catch (error) {
+        console.error('Notification preferences update error:', error);
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+});
+
+// ==================== AUDIT ROUTES ====================
+
+// Sort keys accepted by GET /api/admin/audit
+const AUDIT_SORTS = {
+    time: 'audit_id', // entries are numbered in the order they were made
+    action: 'action',
+    actor: 'actor_username'
+};
+
+// WHERE clause for the audit filters shared by the listing and the CSV export:
+// actor (user ID or username), action (comma-separated; "book.*" matches every book action),
+// targetType, targetId and from/to on the time of the action. Returns { where, params } or { error }.
+const auditFilters = (query) => {
+    const logged = dateRange(query, 'created_at');
+    if (logged.error) {
+        return { error: logged.error };
+    }
+
+    let where = logged.where;
+    const params = [...logged.params];
+
+    if (query.actor) {
+        where += ' AND (actor_id = ? OR actor_username = ?)';
+        params.push(Number(query.actor) || 0, query.actor);
+    }
+
+    if (query.action) {
+        const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+        where += ` AND (${actions.map(() => 'action LIKE ?').join(' OR ')})`;
+        params.push(...actions.map(action => action.replace(/[\\%_]/g, '\\$&').replace(/\*$/, '%')));
+    }
+
+    if (query.targetType) {
+        where += ' AND target_type = ?';
+        params.push(query.targetType);
+    }
+
+    if (query.targetId) {
+        where += ' AND target_id = ?';
+        params.push(String(query.targetId));
+    }
+
+    return { where, params };
+};
+
+// Browse the audit log, newest first (staff only)
+app.get('/api/admin/audit', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, { sortable: AUDIT_SORTS, defaultSort: '-time' });
+        const filters = auditFilters(req.query);
+        if (list.error || filters.error) {
+            return res.status(400).json({ error: list.error || filters.error });
+        }
+
+        const [entries] = await pool.execute(
+            `SELECT * FROM audit_log WHERE 1=1${filters.where} ${list.orderBy} LIMIT ${list.limit} OFFSET ${list.offset}`,
+            filters.params
+        );
+        const [[{ total }]] = await pool.execute(
+            `SELECT COUNT(*) as total FROM audit_log WHERE 1=1${filters.where}`,
+            filters.params
+        );
+
+        const rows = entries.map(entry => ({
+            ...entry,
+            changes: parseJsonColumn(entry.changes),
+            details: parseJsonColumn(entry.details)
+        }));
+
+        sendPage(req, res, rows, total, list);
+    } catch (error) {
+        console.error('Audit log fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Download every audit entry matching the filters as CSV, oldest first (staff only)
+app.get('/api/admin/audit/export', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+    const filters = auditFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    await streamDownload(pool, res, {
+        sql: `SELECT * FROM audit_log WHERE 1=1${filters.where} ORDER BY audit_id ASC`,
+        params: filters.params,
+        format: AUDIT_CSV,
+        fileName: `audit-log-${date}.csv`,
+        errorMessage: 'Failed to export audit log',
+        logLabel: 'Audit export'
+    });
+});
+
+// ==================== REVIEW ROUTES ====================
+
+// Helpful and not-helpful vote counts per review on one book
+const REVIEW_VOTES = `
+    SELECT review_id,
+           COUNT(CASE WHEN helpful THEN 1 END) as helpful_votes,
+           COUNT(CASE WHEN NOT helpful THEN 1 END) as not_helpful_votes
+    FROM review_votes
+    WHERE review_id IN (SELECT review_id FROM reviews WHERE book_id = ?)
+    GROUP BY review_id`;
+
+// Check a reason given for a flag or a moderation action; returns an error message or null
+const reasonError = (reason) => {
+    if (!reason || !String(reason).trim()) {
+        return 'A reason is required';
+    }
+    if (String(reason).trim().length > MAX_REASON_LENGTH) {
+        return `Reason must be at most ${MAX_REASON_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Add or edit your review. Set usernameOnly to show your username instead of your full name.
+// Reviews using a banned word are held until a moderator approves them.
+app.post('/api/reviews', authenticateToken, async (req, res) => {
+    try {
+        const { bookId, rating, reviewText, usernameOnly } = req.body;
+        const userId = req.user.userId;
+
+        if (!rating || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+        }
+
+        // Check if user has borrowed this book
+        const [borrowed] = await pool.execute(
+            'SELECT * FROM borrowing_records WHERE user_id = ? AND book_id = ?',
+            [userId, bookId]
+        );
+
+        if (borrowed.length === 0) {
+            return res.status(403).json({ error: 'You can only review books you have borrowed' });
+        }
+
+        const [existing] = await pool.execute(
+            'SELECT status, moderation_reason, moderated_by FROM reviews WHERE user_id = ? AND book_id = ?',
+            [userId, bookId]
+        );
+        const { status, reason } = reviewStatusFor(await findBannedWords(pool, reviewText), existing[0]);
+
+        await pool.execute(
+            `INSERT INTO reviews (user_id, book_id, rating, review_text, username_only, status, moderation_reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE rating = ?, review_text = ?, username_only = ?, status = ?, moderation_reason = ?`,
+            [
+                userId, bookId, rating, reviewText || null, Boolean(usernameOnly), status, reason,
+                rating, reviewText || null, Boolean(usernameOnly), status, reason
+            ]
+        );
+
+        if (status === 'held') {
+            return res.status(202).json({
+                message: 'Thanks! Your review will appear once a moderator has checked it',
+                status
+            });
+        }
+
+        res.status(201).json({ message: 'Review added successfully', status });
+    } catch (error) {
+        console.error('Review add error:', error);
+        res.status(500).json({ error: 'Failed to add review' });
+    }
+});
+
+// Get published reviews for a book; sort=-helpful puts the most helpful first
+app.get('/api/reviews/:bookId', async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: {
+                date: 'r.review_date',
+                rating: 'r.rating',
+                helpful: '(COALESCE(v.helpful_votes, 0) - COALESCE(v.not_helpful_votes, 0))'
+            },
+            defaultSort: '-date'
+        });
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const [reviews] = await pool.execute(
+            `SELECT r.review_id, r.user_id, r.book_id, r.rating, r.review_text, r.review_date,
+                    u.username, IF(r.username_only, NULL, u.full_name) as full_name,
+                    COALESCE(v.helpful_votes, 0) as helpful_votes, COALESCE(v.not_helpful_votes, 0) as not_helpful_votes
+             FROM reviews r 
+             JOIN users u ON r.user_id = u.user_id 
+             LEFT JOIN (${REVIEW_VOTES}) v ON r.review_id = v.review_id
+             WHERE r.book_id = ? AND r.status = 'published'
+             ${list.orderBy}, r.review_id DESC LIMIT ${list.limit} OFFSET ${list.offset}`,
+            [req.params.bookId, req.params.bookId]
+        );
+        const [[{ total }]] = await pool.execute(
+            "SELECT COUNT(*) as total FROM reviews WHERE book_id = ? AND status = 'published'",
+            [req.params.bookId]
+        );
+
+        sendPage(req, res, reviews, total, list);
+    } catch (error) {
+        console.error('Reviews fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// A published review someone else wrote, for flagging and voting; returns { review } or { status, error }
+const findOthersReview = async (reviewId, userId) => {
+    const [reviews] = await pool.execute(
+        'SELECT review_id, user_id, status FROM reviews WHERE review_id = ?',
+        [reviewId]
+    );
+
+    if (reviews.length === 0 || reviews[0].status !== 'published') {
+        return { status: 404, error: 'Review not found' };
+    }
+
+    if (reviews[0].user_id === userId) {
+        return { status: 400, error: "You can't do this on your own review" };
+    }
+
+    return { review: reviews[0] };
+};
+
+// Report a review to the moderators
+app.post('/api/reviews/:id/flag', authenticateToken, async (req, res) => {
+    try {
+        const { review, status, error } = await findOthersReview(req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const invalidReason = reasonError(req.body.reason);
+        if (invalidReason) {
+            return res.status(400).json({ error: invalidReason });
+        }
+
+        const [result] = await pool.execute(
+            'INSERT IGNORE INTO review_flags (review_id, user_id, reason) VALUES (?, ?, ?)',
+            [review.review_id, req.user.userId, String(req.body.reason).trim()]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ error: 'You have already reported this review' });
+        }
+
+        res.status(201).json({ message: 'Thanks, a moderator will take a look' });
+    } catch (error) {
+        console.error('Review flag error:', error);
+        res.status(500).json({ error: 'Failed to report review' });
+    }
+});
+
+// Vote a review helpful or not: { "helpful": true | false }. Voting again changes your vote.
+app.put('/api/reviews/:id/vote', authenticateToken, async (req, res) => {
+    try {
+        const { review, status, error } = await findOthersReview(req.params.id, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (typeof req.body.helpful !== 'boolean') {
+            return res.status(400).json({ error: 'helpful must be true or false' });
+        }
+
+        await pool.execute(
+            'INSERT INTO review_votes (review_id, user_id, helpful) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE helpful = ?',
+            [review.review_id, req.user.userId, req.body.helpful, req.body.helpful]
+        );
+
+        res.json({ message: 'Vote recorded' });
+    } catch (error) {
+        console.error('Review vote error:', error);
+        res.status(500).json({ error: 'Failed to record vote' });
+    }
+});
+
+// Take back your vote
+app.delete('/api/reviews/:id/vote', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'DELETE FROM review_votes WHERE review_id = ? AND user_id = ?',
+            [req.params.id, req.user.userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'You have not voted on this review' });
+        }
+
+        res.json({ message: 'Vote removed' });
+    } catch (error) {
+        console.error('Review vote remove error:', error);
+        res.status(500).json({ error: 'Failed to remove vote' });
+    }
+});
+
+// ==================== REVIEW MODERATION ROUTES ====================
+
+// Which reviews the queue lists: by default held ones plus published ones readers have flagged
+const MODERATION_FILTERS = {
+    queue: "(r.status = 'held' OR (r.status = 'published' AND COALESCE(f.open_flags, 0) > 0))",
+    held: "r.status = 'held'",
+    flagged: 'COALESCE(f.open_flags, 0) > 0',
+    hidden: "r.status = 'hidden'"
+};
+
+// Moderation queue (moderators only): ?status=queue|held|flagged|hidden, oldest first by default
+app.get('/api/admin/reviews', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
+    try {
+        const status = req.query.status || 'queue';
+        const filter = typeof status === 'string' && Object.hasOwn(MODERATION_FILTERS, status) ? MODERATION_FILTERS[status] : null;
+        if (!filter) {
+            return res.status(400).json({ error: `status must be one of: ${Object.keys(MODERATION_FILTERS).join(', ')}` });
+        }
+
+        const list = parseListQuery(req.query, {
+            sortable: { date: 'r.review_date', flags: 'COALESCE(f.open_flags, 0)' },
+            defaultSort: 'date'
+        });
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const from = `
+            FROM reviews r
+            JOIN users u ON r.user_id = u.user_id
+            JOIN books b ON r.book_id = b.book_id
+            LEFT JOIN (
+                SELECT review_id, COUNT(*) as open_flags FROM review_flags WHERE resolved_at IS NULL GROUP BY review_id
+            ) f ON r.review_id = f.review_id
+            WHERE ${filter}`;
+
+        const [reviews] = await pool.execute(
+            `SELECT r.review_id, r.book_id, b.title, r.user_id, u.username, u.full_name, r.rating, r.review_text,
+                    r.review_date, r.status, r.moderation_reason, r.moderated_at, COALESCE(f.open_flags, 0) as open_flags
+             ${from}
+             ${list.orderBy}, r.review_id ASC LIMIT ${list.limit} OFFSET ${list.offset}`
+        );
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) as total ${from}`);
+
+        const flags = await openFlagsFor(pool, reviews.map(review => review.review_id));
+
+        sendPage(req, res, reviews.map(review => ({ ...review, flags: flags.get(review.review_id) || [] })), total, list);
     } catch (error) {
-        console.error('Stats fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        console.error('Moderation queue fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation queue' });
     }
 });
 
-// ==================== LIBRARIAN ROUTES ====================
+// Hide or restore a review with a reason, closing its open flags. Hiding lets the reviewer know.
+const setReviewStatus = (status) => async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const invalidReason = reasonError(req.body.reason);
+        if (invalidReason) {
+            return res.status(400).json({ error: invalidReason });
+        }
+        const reason = String(req.body.reason).trim();
+
+        await connection.beginTransaction();
+
+        const before = await snapshot(connection, 'reviews', 'review_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        await connection.execute(
+            'UPDATE reviews SET status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = NOW() WHERE review_id = ?',
+            [status, reason, req.user.userId, before.review_id]
+        );
+        const flagsResolved = await resolveFlags(connection, before.review_id, req.user.userId);
+
+        if (status === 'hidden' && before.status !== 'hidden') {
+            const [[book]] = await connection.execute('SELECT title FROM books WHERE book_id = ?', [before.book_id]);
+            await notify(connection, before.user_id, 'review_moderated', {
+                title: `Your review of "${book.title}" was taken down`,
+                body: `A moderator has hidden your review of "${book.title}": ${reason}. `
+                    + 'If you edit it, it will be checked again before it reappears.'
+            });
+        }
+
+        await recordAudit(connection, req, status === 'hidden' ? 'review.hide' : 'review.restore', {
+            targetType: 'review',
+            targetId: before.review_id,
+            before: { status: before.status, moderation_reason: before.moderation_reason },
+            after: { status, moderation_reason: reason },
+            details: { bookId: before.book_id, reviewerId: before.user_id, flagsResolved }
+        });
+
+        await connection.commit();
+        res.json({ message: status === 'hidden' ? 'Review hidden' : 'Review restored', flagsResolved });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Review moderation error:', error);
+        res.status(500).json({ error: 'Failed to moderate review' });
+    } finally {
+        connection.release();
+    }
+};
+
+app.post('/api/admin/reviews/:id/hide', authenticateToken, requirePermission('reviews.moderate'), setReviewStatus('hidden'));
 
-// Get all borrowing records (librarian only)
-app.get('/api/admin/borrowing', authenticateToken, isLibrarian, async (req, res) => {
+// Restoring a published review clears the flags on it without changing anything else
+app.post('/api/admin/reviews/:id/restore', authenticateToken, requirePermission('reviews.moderate'), setReviewStatus('published'));
+
+// Delete a review for good (moderators only); { "reason": "..." } is required
+app.delete('/api/admin/reviews/:id', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
+    const connection = await pool.getConnection();
     try {
-        const { status } = req.query;
-        let query = `
-            SELECT br.*, b.title, b.author, u.username, u.full_name, u.email 
-            FROM borrowing_records br 
-            JOIN books b ON br.book_id = b.book_id 
-            JOIN users u ON br.user_id = u.user_id 
-            WHERE 1=1
-        `;
-        const params = [];
+        const invalidReason = reasonError(req.body && req.body.reason);
+        if (invalidReason) {
+            return res.status(400).json({ error: invalidReason });
+        }
+        const reason = String(req.body.reason).trim();
 
-        if (status) {
-            query += ' AND br.status = ?';
-            params.push(status);
+        await connection.beginTransaction();
+
+        const before = await snapshot(connection, 'reviews', 'review_id', req.params.id);
+
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Review not found' });
         }
 
-        query += ' ORDER BY br.borrow_date DESC';
+        const [[book]] = await connection.execute('SELECT title FROM books WHERE book_id = ?', [before.book_id]);
+
+        await connection.execute('DELETE FROM reviews WHERE review_id = ?', [before.review_id]);
+
+        await notify(connection, before.user_id, 'review_moderated', {
+            title: `Your review of "${book.title}" was removed`,
+            body: `A moderator has deleted your review of "${book.title}": ${reason}.`
+        });
+        await recordAudit(connection, req, 'review.delete', {
+            targetType: 'review',
+            targetId: before.review_id,
+            before,
+            details: { reason }
+        });
 
-        const [records] = await pool.execute(query, params);
-        res.json(records);
+        await connection.commit();
+        res.json({ message: 'Review deleted' });
     } catch (error) {
-        console.error('Admin borrowing fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch borrowing records' });
+        await connection.rollback();
+        console.error('Review delete error:', error);
+        res.status(500).json({ error: 'Failed to delete review' });
+    } finally {
+        connection.release();
     }
 });
 
-// Get all users (librarian only)
-app.get('/api/admin/users', authenticateToken, isLibrarian, async (req, res) => {
+// Get banned words (moderators only)
+app.get('/api/admin/banned-words', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
     try {
-        const [users] = await pool.execute(
-            'SELECT user_id, username, email, full_name, user_type, phone, status, created_at, last_login FROM users ORDER BY created_at DESC'
+        const [words] = await pool.execute(
+            `SELECT bw.word, bw.added_at, u.username as added_by
+             FROM banned_words bw
+             LEFT JOIN users u ON bw.added_by = u.user_id
+             ORDER BY bw.word`
         );
 
-        res.json(users);
+        res.json(words);
     } catch (error) {
-        console.error('Users fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch users' });
+        console.error('Banned words fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch banned words' });
     }
 });
 
-// Get dashboard statistics (librarian only)
-app.get('/api/admin/dashboard', authenticateToken, isLibrarian, async (req, res) => {
+// Add a banned word or phrase (moderators only). It applies to reviews posted or edited from now on.
+app.post('/api/admin/banned-words', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
     try {
-        // Total books
-        const [totalBooks] = await pool.execute(
-            'SELECT COUNT(*) as total, SUM(total_copies) as total_copies, SUM(available_copies) as available_copies FROM books'
-        );
+        const word = normalizeWord(req.body.word);
 
-        // Total users
-        const [totalUsers] = await pool.execute(
-            'SELECT COUNT(*) as total, COUNT(CASE WHEN user_type = "student" THEN 1 END) as students, COUNT(CASE WHEN user_type = "librarian" THEN 1 END) as librarians FROM users'
-        );
+        if (!word) {
+            return res.status(400).json({ error: 'Word is required' });
+        }
+        if (word.length > MAX_BANNED_WORD_LENGTH) {
+            return res.status(400).json({ error: `Word must be at most ${MAX_BANNED_WORD_LENGTH} characters` });
+        }
 
-        // Borrowing statistics
-        const [borrowingStats] = await pool.execute(
-            `SELECT 
-                COUNT(CASE WHEN status = 'borrowed' THEN 1 END) as currently_borrowed,
-                COUNT(CASE WHEN status = 'returned' THEN 1 END) as total_returned,
-                COUNT(CASE WHEN status = 'overdue' THEN 1 END) as overdue,
-                COALESCE(SUM(fine_amount), 0) as total_fines
-             FROM borrowing_records`
+        const [result] = await pool.execute(
+            'INSERT IGNORE INTO banned_words (word, added_by) VALUES (?, ?)',
+            [word, req.user.userId]
         );
 
-        // Recent activities
-        const [recentActivities] = await pool.execute(
-            `SELECT br.*, b.title, u.username 
-             FROM borrowing_records br 
-             JOIN books b ON br.book_id = b.book_id 
-             JOIN users u ON br.user_id = u.user_id 
-             ORDER BY br.borrow_date DESC 
-             LIMIT 10`
-        );
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ error: 'This word is already banned' });
+        }
 
-        res.json({
-            books: totalBooks[0],
-            users: totalUsers[0],
-            borrowing: borrowingStats[0],
-            recentActivities
-        });
+        await recordAudit(pool, req, 'banned_word.add', { targetType: 'banned_word', targetId: word });
+
+        res.status(201).json({ message: 'Banned word added', word });
     } catch (error) {
-        console.error('Dashboard stats error:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard statistics' });
+        console.error('Banned word add error:', error);
+        res.status(500).json({ error: 'Failed to add banned word' });
     }
 });
 
-// Update user status (librarian only)
-app.patch('/api/admin/users/:id/status', authenticateToken, isLibrarian, async (req, res) => {
+// Remove a banned word (moderators only)
+app.delete('/api/admin/banned-words/:word', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
     try {
-        const { status } = req.body;
-
-        if (!['active', 'inactive', 'suspended'].includes(status)) {
-            return res.status(400).json({ error: 'Invalid status' });
-        }
+        const word = normalizeWord(req.params.word);
 
-        const [result] = await pool.execute(
-            'UPDATE users SET status = ? WHERE user_id = ?',
-            [status, req.params.id]
-        );
+        const [result] = await pool.execute('DELETE FROM banned_words WHERE word = ?', [word]);
 
         if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'User not found' });
+            return res.status(404).json({ error: 'Banned word not found' });
         }
 
-        res.json({ message: 'User status updated successfully' });
+        await recordAudit(pool, req, 'banned_word.remove', { targetType: 'banned_word', targetId: word });
+
+        res.json({ message: 'Banned word removed' });
     } catch (error) {
-        console.error('User status update error:', error);
-        res.status(500).json({ error: 'Failed to update user status' });
+        console.error('Banned word remove error:', error);
+        res.status(500).json({ error: 'Failed to remove banned word' });
     }
 });
 
-// ==================== REVIEW ROUTES ====================
+// ==================== RESERVATION ROUTES ====================
 
-// Add review
-app.post('/api/reviews', authenticateToken, async (req, res) => {
+// Queue position of a pending hold: pending holds on the same book placed before it, plus itself
+const QUEUE_POSITION = `
+    CASE WHEN res.status = 'pending' THEN (
+        SELECT COUNT(*) FROM reservations q 
+        WHERE q.book_id = res.book_id AND q.status = 'pending' AND q.reservation_id <= res.reservation_id
+    ) END`;
+
+// Create reservation for pickup at a branch (default: the main library). A copy on the shelf at
+// another branch is sent over; otherwise the hold joins the back of the book's queue.
+app.post('/api/reservations', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
     try {
-        const { bookId, rating, reviewText } = req.body;
-        const userId = req.user.userId;
+        const { bookId, pickupBranchId } = req.body;
 
-        if (!rating || rating < 1 || rating > 5) {
-            return res.status(400).json({ error: 'Rating must be between 1 and 5' });
-        }
+        await connection.beginTransaction();
 
-        // Check if user has borrowed this book
-        const [borrowed] = await pool.execute(
-            'SELECT * FROM borrowing_records WHERE user_id = ? AND book_id = ?',
-            [userId, bookId]
-        );
+        const reservation = await placeReservation(connection, req.user.userId, bookId, pickupBranchId || DEFAULT_BRANCH_ID);
 
-        if (borrowed.length === 0) {
-            return res.status(403).json({ error: 'You can only review books you have borrowed' });
+        if (reservation.error) {
+            await connection.rollback();
+            return res.status(reservation.status).json({ error: reservation.error });
         }
 
-        await pool.execute(
-            'INSERT INTO reviews (user_id, book_id, rating, review_text) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE rating = ?, review_text = ?',
-            [userId, bookId, rating, reviewText, rating, reviewText]
-        );
-
-        res.status(201).json({ message: 'Review added successfully' });
+        await connection.commit();
+        res.status(201).json({
+            message: reservation.status === 'in_transit'
+                ? 'Reservation created. A copy is on its way from another branch.'
+                : 'Reservation created successfully',
+            reservationId: reservation.reservationId,
+            status: reservation.status,
+            queuePosition: reservation.queuePosition
+        });
     } catch (error) {
-        console.error('Review add error:', error);
-        res.status(500).json({ error: 'Failed to add review' });
+        await connection.rollback();
+        console.error('Reservation error:', error);
+        res.status(500).json({ error: 'Failed to create reservation' });
+    } finally {
+        connection.release();
     }
 });
 
-// Get reviews for a book
-app.get('/api/reviews/:bookId', async (req, res) => {
+// Get user's holds: pending (with queue position), on their way from another branch and ready for pickup
+app.get('/api/reservations', authenticateToken, async (req, res) => {
     try {
-        const [reviews] = await pool.execute(
-            `SELECT r.*, u.username, u.full_name 
-             FROM reviews r 
-             JOIN users u ON r.user_id = u.user_id 
-             WHERE r.book_id = ? 
-             ORDER BY r.review_date DESC`,
-            [req.params.bookId]
+        const [reservations] = await pool.execute(
+            `SELECT res.*, b.title, b.author, b.genre, c.barcode, pb.name as pickup_branch_name, ${QUEUE_POSITION} as queue_position 
+             FROM reservations res 
+             JOIN books b ON res.book_id = b.book_id 
+             JOIN branches pb ON res.pickup_branch_id = pb.branch_id 
+             LEFT JOIN book_copies c ON res.copy_id = c.copy_id 
+             WHERE res.user_id = ? AND res.status IN ('pending', 'in_transit', 'ready') 
+             ORDER BY res.status = 'ready' DESC, res.reservation_date DESC`,
+            [req.user.userId]
         );
 
-        res.json(reviews);
+        res.json(reservations);
     } catch (error) {
-        console.error('Reviews fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch reviews' });
+        console.error('Reservations fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch reservations' });
     }
 });
 
-// ==================== RESERVATION ROUTES ====================
-
-// Create reservation
-app.post('/api/reservations', authenticateToken, async (req, res) => {
+// Get a reservation's place in the hold queue
+app.get('/api/reservations/:id/position', authenticateToken, async (req, res) => {
     try {
-        const { bookId } = req.body;
-        const userId = req.user.userId;
-
-        // Check if book is unavailable
-        const [books] = await pool.execute(
-            'SELECT * FROM books WHERE book_id = ?',
-            [bookId]
+        const [reservations] = await pool.execute(
+            `SELECT res.reservation_id, res.user_id, res.book_id, res.status, res.expiry_date, ${QUEUE_POSITION} as queue_position,
+                    (SELECT COUNT(*) FROM reservations q WHERE q.book_id = res.book_id AND q.status = 'pending') as queue_length
+             FROM reservations res 
+             WHERE res.reservation_id = ?`,
+            [req.params.id]
         );
 
-        if (books.length === 0) {
-            return res.status(404).json({ error: 'Book not found' });
+        if (reservations.length === 0) {
+            return res.status(404).json({ error: 'Reservation not found' });
         }
 
-        if (books[0].available_copies > 0) {
-            return res.status(400).json({ error: 'Book is available. Please borrow directly.' });
+        const reservation = reservations[0];
+
+        if (reservation.user_id !== req.user.userId && !hasPermission(req.user, 'circulation.manage')) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
-        // Check for existing reservation
-        const [existing] = await pool.execute(
-            'SELECT * FROM reservations WHERE user_id = ? AND book_id = ? AND status = "pending"',
-            [userId, bookId]
+        res.json({
+            reservationId: reservation.reservation_id,
+            bookId: reservation.book_id,
+            status: reservation.status,
+            queuePosition: reservation.queue_position,
+            queueLength: reservation.queue_length,
+            pickupDeadline: reservation.status === 'ready' ? reservation.expiry_date : null
+        });
+    } catch (error) {
+        console.error('Reservation position error:', error);
+        res.status(500).json({ error: 'Failed to fetch queue position' });
+    }
+});
+
+// Cancel a reservation (own, or any as librarian); a copy already held is passed to the next in line
+app.delete('/api/reservations/:id', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [reservations] = await connection.execute(
+            'SELECT * FROM reservations WHERE reservation_id = ? FOR UPDATE',
+            [req.params.id]
         );
 
-        if (existing.length > 0) {
-            return res.status(400).json({ error: 'You already have a pending reservation for this book' });
+        if (reservations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Reservation not found' });
         }
 
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + 7);
+        const reservation = reservations[0];
 
-        await pool.execute(
-            'INSERT INTO reservations (user_id, book_id, expiry_date) VALUES (?, ?, ?)',
-            [userId, bookId, expiryDate]
+        if (reservation.user_id !== req.user.userId && !hasPermission(req.user, 'circulation.manage')) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (!['pending', 'in_transit', 'ready'].includes(reservation.status)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Only pending, in transit or ready reservations can be cancelled' });
+        }
+
+        await connection.execute(
+            'UPDATE reservations SET status = "cancelled" WHERE reservation_id = ?',
+            [reservation.reservation_id]
         );
 
-        res.status(201).json({ message: 'Reservation created successfully' });
+        await releaseHoldCopy(connection, reservation);
+
+        // Staff cancelling someone else's hold
+        if (reservation.user_id !== req.user.userId) {
+            await recordAudit(connection, req, 'reservation.cancel', {
+                targetType: 'reservation',
+                targetId: reservation.reservation_id,
+                before: reservation,
+                after: await snapshot(connection, 'reservations', 'reservation_id', reservation.reservation_id)
+            });
+        }
+
+        await connection.commit();
+        res.json({ message: 'Reservation cancelled successfully' });
     } catch (error) {
-        console.error('Reservation error:', error);
-        res.status(500).json({ error: 'Failed to create reservation' });
+        await connection.rollback();
+        console.error('Reservation cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel reservation' });
+    } finally {
+        connection.release();
     }
 });
 
-// Get user reservations
-app.get('/api/reservations', authenticateToken, async (req, res) => {
+// Get holds waiting on the hold shelf (staff only)
+// Staff tied to branches see holds for pickup there; branchId narrows to one pickup branch
+app.get('/api/admin/reservations', authenticateToken, requirePermission('circulation.manage'), async (req, res) => {
     try {
-        const [reservations] = await pool.execute(
-            `SELECT res.*, b.title, b.author, b.genre 
-             FROM reservations res 
-             JOIN books b ON res.book_id = b.book_id 
-             WHERE res.user_id = ? AND res.status = 'pending' 
-             ORDER BY res.reservation_date DESC`,
-            [req.user.userId]
-        );
+        const { status, branchId } = req.query;
+        const scope = scopeFilter(await getBranchScope(pool, req.user.userId), 'res.pickup_branch_id');
+        let query = `
+            SELECT res.*, b.title, b.author, c.barcode, u.username, u.full_name, pb.name as pickup_branch_name, 
+                   ${QUEUE_POSITION} as queue_position 
+            FROM reservations res 
+            JOIN books b ON res.book_id = b.book_id 
+            JOIN users u ON res.user_id = u.user_id 
+            JOIN branches pb ON res.pickup_branch_id = pb.branch_id 
+            LEFT JOIN book_copies c ON res.copy_id = c.copy_id 
+            WHERE 1=1${scope.where}
+        `;
+        const params = [...scope.params];
+
+        if (status) {
+            query += ' AND res.status = ?';
+            params.push(status);
+        } else {
+            query += " AND res.status IN ('pending', 'in_transit', 'ready')";
+        }
+
+        if (branchId) {
+            query += ' AND res.pickup_branch_id = ?';
+            params.push(branchId);
+        }
+
+        query += ' ORDER BY res.book_id, res.reservation_id ASC';
 
+        const [reservations] = await pool.execute(query, params);
         res.json(reservations);
     } catch (error) {
-        console.error('Reservations fetch error:', error);
+        console.error('Admin reservations fetch error:', error);
         res.status(500).json({ error: 'Failed to fetch reservations' });
     }
 });
 
 // ==================== SEARCH & RECOMMENDATIONS ====================
 
-// Advanced search
+// Catalog search: full-text, relevance ranked and paged, with facet counts over all hits.
+// type narrows the search to title, author or isbn; genre, publisher, decade and available filter it.
+// When nothing matches, misspelt words are corrected and the results for the corrected query
+// are returned along with didYouMean.
 app.get('/api/search', async (req, res) => {
     try {
-        const { q, type } = req.query;
+        const { q, type = 'all', genre, publisher } = req.query;
+        const page = req.query.page === undefined ? 1 : Number(req.query.page);
+        const size = req.query.size === undefined ? 20 : Number(req.query.size);
+        const decade = req.query.decade === undefined ? undefined : Number(req.query.decade);
 
-        if (!q) {
+        if (typeof q !== 'string' || !q.trim()) {
             return res.status(400).json({ error: 'Search query required' });
         }
 
-        let query = 'SELECT * FROM books WHERE ';
-        const params = [];
+        if (q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({ error: `Search query must be at most ${MAX_QUERY_LENGTH} characters` });
+        }
 
-        if (type === 'title') {
-            query += 'title LIKE ?';
-            params.push(`%${q}%`);
-        } else if (type === 'author') {
-            query += 'author LIKE ?';
-            params.push(`%${q}%`);
-        } else if (type === 'isbn') {
-            query += 'isbn LIKE ?';
-            params.push(`%${q}%`);
-        } else {
-            query += '(title LIKE ? OR author LIKE ? OR genre LIKE ? OR isbn LIKE ?)';
-            params.push(`%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`);
+        if (typeof type !== 'string' || (!Object.hasOwn(SEARCH_FIELDS, type) && type !== 'isbn')) {
+            return res.status(400).json({ error: 'type must be one of: all, title, author, isbn' });
+        }
+
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'page must be a positive whole number' });
+        }
+
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `size must be between 1 and ${MAX_PAGE_SIZE}` });
+        }
+
+        if (decade !== undefined && (!Number.isInteger(decade) || decade % 10 !== 0)) {
+            return res.status(400).json({ error: 'decade must be a year ending in 0, e.g. 1990' });
+        }
+
+        const available = req.query.available === undefined ? undefined : req.query.available === 'true';
+        const options = { q: q.trim(), type, page, size, filters: { genre, publisher, decade, available } };
+
+        let { total, results, facets } = await searchCatalog(pool, options);
+        let didYouMean = null;
+
+        if (total === 0 && type !== 'isbn') {
+            const corrected = await correctSpelling(pool, options.q);
+            if (corrected) {
+                ({ total, results, facets } = await searchCatalog(pool, { ...options, q: corrected }));
+                didYouMean = total > 0 ? corrected : null;
+            }
         }
 
-        const [results] = await pool.execute(query, params);
-        res.json(results);
+        res.json({
+            query: q.trim(),
+            didYouMean,
+            page,
+            size,
+            total,
+            totalPages: Math.ceil(total / size),
+            results,
+            facets
+        });
     } catch (error) {
         console.error('Search error:', error);
         res.status(500).json({ error: 'Search failed' });
     }
 });
 
-// Get popular books
-app.get('/api/books/popular', async (req, res) => {
+// Title and author completions for search-as-you-type
+app.get('/api/search/suggest', async (req, res) => {
     try {
-        const [books] = await pool.execute(
-            `SELECT b.*, COUNT(br.record_id) as borrow_count 
-             FROM books b 
-             LEFT JOIN borrowing_records br ON b.book_id = br.book_id 
-             GROUP BY b.book_id 
-             ORDER BY borrow_count DESC 
-             LIMIT 10`
-        );
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-        res.json(books);
+        if (q.length < 2) {
+            return res.json({ titles: [], authors: [] });
+        }
+
+        res.json(await suggest(pool, q));
     } catch (error) {
-        console.error('Popular books fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch popular books' });
+        console.error('Suggest error:', error);
+        res.status(500).json({ error: 'Failed to fetch suggestions' });
     }
 });
 
@@ -807,12 +4808,55 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: `Upload failed: ${err.message}` });
+    }
     console.error('Unhandled error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
 
 // ==================== SERVER START ====================
 
+// Overdue sweeper: flag overdue loans, accrue fines, expire uncollected holds and create due reminders.
+// Runs at startup and then on an interval; `npm run sweep` runs a single pass by hand.
+const SWEEP_INTERVAL_MINUTES = Number(process.env.OVERDUE_SWEEP_INTERVAL_MINUTES) || 60;
+let sweepRunning = false;
+
+const sweepOverdue = async () => {
+    if (sweepRunning) return;
+    sweepRunning = true;
+    try {
+        const summary = await runOverdueSweep(pool);
+        console.log('⏰ Overdue sweep:', summary);
+    } catch (err) {
+        console.error('Overdue sweep error:', err);
+    } finally {
+        sweepRunning = false;
+    }
+};
+
+sweepOverdue();
+setInterval(sweepOverdue, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+
+// Notifications raised by requests (holds ready, fines, status changes) are emailed on this shorter interval
+const EMAIL_INTERVAL_SECONDS = Number(process.env.NOTIFICATION_EMAIL_INTERVAL_SECONDS) || 60;
+let deliveryRunning = false;
+
+const deliverEmails = async () => {
+    if (deliveryRunning) return;
+    deliveryRunning = true;
+    try {
+        const { sent, failed } = await deliverPendingEmails(pool);
+        if (sent || failed) console.log(`📧 Notification emails: ${sent} sent, ${failed} failed`);
+    } catch (err) {
+        console.error('Notification email error:', err);
+    } finally {
+        deliveryRunning = false;
+    }
+};
+
+setInterval(deliverEmails, EMAIL_INTERVAL_SECONDS * 1000);
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📚 Readify Library Management System API`);
@@ -0,0 +1,189 @@
+// sessions.js - Access tokens, rotating refresh tokens, session revocation and signed email links
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+const { resolvePermissions, getUserRoles } = require('./permissions');
+
+dotenv.config();
+
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+// Access tokens are short-lived; a refresh token stays valid this many days after its last use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// The default secret is public, so only development may run with it
+const assertJwtSecret = () => {
+    if (JWT_SECRET === DEFAULT_JWT_SECRET && process.env.NODE_ENV !== 'development') {
+        throw new Error('JWT_SECRET is not set. Set it in .env, or set NODE_ENV=development to use the default secret locally.');
+    }
+};
+
+// Random single-use tokens (refresh, password reset); only their hashes are stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// Access tokens carry the user's roles and resolved permissions, so role changes apply from the next refresh
+const signAccessToken = async (db, user, sessionId) => {
+    const roles = await getUserRoles(db, user.user_id);
+    return jwt.sign(
+        {
+            userId: user.user_id,
+            userType: user.user_type,
+            username: user.username,
+            sessionId,
+            roles,
+            permissions: resolvePermissions(roles)
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Start a session for a user who has just signed in; returns its access and refresh tokens
+const createSession = async (db, user, { userAgent = null, ipAddress = null } = {}) => {
+    const refreshToken = generateToken();
+    const [result] = await db.execute(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [user.user_id, hashToken(refreshToken), userAgent ? userAgent.slice(0, 255) : null, ipAddress, REFRESH_TOKEN_DAYS]
+    );
+
+    return { sessionId: result.insertId, accessToken: await signAccessToken(db, user, result.insertId), refreshToken };
+};
+
+const revokeSession = async (db, sessionId, reason) => {
+    await db.execute(
+        'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE session_id = ? AND revoked_at IS NULL',
+        [reason, sessionId]
+    );
+};
+
+// Revoke every open session of a user (log out all devices, suspension, password change),
+// optionally keeping the one making the request; returns how many were revoked
+const revokeUserSessions = async (db, userId, reason, exceptSessionId = 0) => {
+    const [result] = await db.execute(
+        'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND session_id != ? AND revoked_at IS NULL',
+        [reason, userId, exceptSessionId]
+    );
+    return result.affectedRows;
+};
+
+// Exchange a refresh token for a new pair. A refresh token that was already rotated out can only
+// be presented again if it was copied, so the whole session is revoked.
+// Returns { sessionId, accessToken, refreshToken } or { status, error }.
+const rotateSession = async (db, refreshToken) => {
+    const hash = hashToken(refreshToken);
+    const [sessions] = await db.execute(
+        `SELECT s.*, u.user_type, u.username, u.status as user_status
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.user_id
+         WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?`,
+        [hash, hash]
+    );
+
+    if (sessions.length === 0) {
+        return { status: 401, error: 'Invalid refresh token' };
+    }
+
+    const session = sessions[0];
+
+    if (session.revoked_at) {
+        return { status: 401, error: 'Session has been revoked, please log in again' };
+    }
+
+    if (session.previous_token_hash === hash) {
+        await revokeSession(db, session.session_id, 'token_reuse');
+        return { status: 401, error: 'Refresh token was already used; the session has been revoked' };
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+        return { status: 401, error: 'Session has expired, please log in again' };
+    }
+
+    if (session.user_status !== 'active') {
+        await revokeSession(db, session.session_id, session.user_status);
+        return { status: 403, error: 'Account is inactive or suspended' };
+    }
+
+    const nextToken = generateToken();
+    const [result] = await db.execute(
+        `UPDATE user_sessions
+         SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW(),
+             expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+         WHERE session_id = ? AND refresh_token_hash = ?`,
+        [hashToken(nextToken), REFRESH_TOKEN_DAYS, session.session_id, hash]
+    );
+
+    // Another request rotated the same token first
+    if (result.affectedRows === 0) {
+        return { status: 401, error: 'Refresh token was already used' };
+    }
+
+    return {
+        sessionId: session.session_id,
+        accessToken: await signAccessToken(db, session, session.session_id),
+        refreshToken: nextToken
+    };
+};
+
+// Signed, self-contained token for an emailed link, e.g. email verification.
+// The purpose is part of the signature so a token for one link can't be used for another.
+const signLinkToken = (purpose, payload, expiresIn) => jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+
+// Returns the token's payload, or null if it is forged, expired or for another purpose
+const verifyLinkToken = (purpose, token) => {
+    try {
+        const payload = jwt.verify(String(token), JWT_SECRET);
+        return payload.purpose === purpose ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Verify an access token and that its session and account are still live.
+// Returns { user } or { status, error }.
+const authenticate = async (db, token) => {
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { status: 401, error: 'Access token expired', code: 'TOKEN_EXPIRED' };
+        }
+        return { status: 403, error: 'Invalid or expired token' };
+    }
+
+    const [sessions] = await db.execute(
+        `SELECT s.revoked_at, u.status
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.user_id
+         WHERE s.session_id = ? AND s.user_id = ?`,
+        [user.sessionId || 0, user.userId]
+    );
+
+    if (sessions.length === 0 || sessions[0].revoked_at) {
+        return { status: 401, error: 'Session has been revoked, please log in again' };
+    }
+
+    if (sessions[0].status !== 'active') {
+        return { status: 403, error: 'Account is inactive or suspended' };
+    }
+
+    return { user };
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    assertJwtSecret,
+    hashToken,
+    generateToken,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    authenticate,
+    signLinkToken,
+    verifyLinkToken
+};
@@ -0,0 +1,16 @@
+-- Data steps for a database created before staff roles and branches existed.
+-- database.sql is for fresh installs; run these once on an existing database after its tables
+-- have been brought up to date. Each step is safe to run again.
+USE readify_library;
+
+-- Staff access comes only from roles: accounts that were librarians before roles existed keep it
+-- through the librarian role
+INSERT IGNORE INTO user_roles (user_id, role)
+SELECT user_id, 'librarian' FROM users WHERE user_type = 'librarian';
+
+-- Loans recorded without a branch were lent, and returned, where their copy is
+UPDATE borrowing_records br
+JOIN book_copies c ON br.copy_id = c.copy_id
+SET br.branch_id = COALESCE(br.branch_id, c.current_branch_id),
+    br.return_branch_id = CASE WHEN br.status = 'returned' THEN COALESCE(br.return_branch_id, c.current_branch_id) END
+WHERE br.branch_id IS NULL OR (br.status = 'returned' AND br.return_branch_id IS NULL);
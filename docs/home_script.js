@@ -5,6 +5,7 @@ const API_BASE_URL = 'http://localhost:3000/api';
 
 // Authentication token storage
 let authToken = localStorage.getItem('authToken');
+let refreshToken = localStorage.getItem('refreshToken');
 let currentUser = JSON.parse(localStorage.getItem('currentUser'));
 let userType = 'student';
 
@@ -31,12 +32,24 @@ const apiCall = async (endpoint, options = {}) => {
         console.log(`🌐 API Call: ${endpoint}`);
         const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
         clearTimeout(timeoutId);
+
+        if (options.onResponse) {
+            options.onResponse(response);
+        }
         
         const data = await response.json();
         console.log(`✅ API Response (${endpoint}):`, data);
 
+        // Access tokens are short-lived: renew once with the refresh token and retry
+        if (response.status === 401 && data.code === 'TOKEN_EXPIRED' && !options.retried && await refreshSession()) {
+            return apiCall(endpoint, { ...options, retried: true });
+        }
+
         if (!response.ok) {
-            throw new Error(data.error || 'Request failed');
+            const error = new Error(data.error || 'Request failed');
+            error.code = data.code;
+            error.retryAfter = data.retryAfter;
+            throw error;
         }
 
         return data;
@@ -51,6 +64,65 @@ const apiCall = async (endpoint, options = {}) => {
     }
 };
 
+// Refresh in progress, shared so requests that expire together spend the refresh token only once
+// (presenting a used refresh token again revokes the whole session)
+let refreshInFlight = null;
+
+// Swap the refresh token for a new token pair; signs out locally if the session is gone
+function refreshSession() {
+    if (!refreshInFlight) {
+        refreshInFlight = rotateTokens().finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+async function rotateTokens() {
+    if (!refreshToken) return false;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (!response.ok) {
+            clearSession();
+            return false;
+        }
+
+        const data = await response.json();
+        authToken = data.token;
+        refreshToken = data.refreshToken;
+        localStorage.setItem('authToken', authToken);
+        localStorage.setItem('refreshToken', refreshToken);
+        return true;
+    } catch (error) {
+        console.error('❌ Token refresh failed:', error);
+        return false;
+    }
+}
+
+// Fetch one page of a list endpoint along with its total row count (X-Total-Count header)
+const apiPage = async (endpoint) => {
+    let total = null;
+    const rows = await apiCall(endpoint, {
+        onResponse: response => { total = Number(response.headers.get('X-Total-Count')); }
+    });
+    return { rows, total };
+};
+
+// Wait for a pause in typing before calling the API
+const SEARCH_DEBOUNCE_MS = 300;
+
+function debounce(fn, wait = SEARCH_DEBOUNCE_MS) {
+    let timer;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
 // Navigation
 function showSection(sectionName) {
     document.querySelectorAll('.page-section').forEach(section => {
@@ -79,11 +151,52 @@ function searchFromHome() {
     }
 }
 
+// The catalog is shown a page at a time; bookQuery holds the current filters
+const BOOKS_PER_PAGE = 24;
+let bookQuery = '';
+
+// Show one page of the catalog for the current filters, with the pager under it
+async function showBookPage(page) {
+    const { rows, total } = await apiPage(`/books?${bookQuery ? `${bookQuery}&` : ''}page=${page}&limit=${BOOKS_PER_PAGE}`);
+    displayBooks(rows);
+    displayBooksPager(page, total);
+    return rows;
+}
+
+function displayBooksPager(page, total) {
+    const pager = document.getElementById('booksPager');
+    if (!pager) return;
+
+    const pages = Math.ceil(total / BOOKS_PER_PAGE);
+    if (pages <= 1) {
+        pager.innerHTML = '';
+        return;
+    }
+
+    const button = (label, target, disabled) =>
+        `<button onclick="changeBookPage(${target})" ${disabled ? 'disabled' : ''} style="background: #667eea; color: white; border: none; padding: 0.5rem 1rem; border-radius: 6px; cursor: pointer; opacity: ${disabled ? 0.5 : 1};">${label}</button>`;
+
+    pager.innerHTML = `
+        ${button('← Previous', page - 1, page <= 1)}
+        <span style="color: #666;">Page ${page} of ${pages} (${total} books)</span>
+        ${button('Next →', page + 1, page >= pages)}
+    `;
+}
+
+async function changeBookPage(page) {
+    try {
+        await showBookPage(page);
+        document.getElementById('booksGrid')?.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        alert('Failed to load books: ' + error.message);
+    }
+}
+
 // Load books from backend
 async function loadBooks() {
     try {
-        const books = await apiCall('/books');
-        displayBooks(books);
+        bookQuery = '';
+        await showBookPage(1);
     } catch (error) {
         console.error('Failed to load books:', error);
         const grid = document.getElementById('booksGrid');
@@ -124,6 +237,10 @@ function displayBooks(books) {
                     ${book.publication_year ? `Year: ${book.publication_year}` : ''}
                     ${book.isbn ? ` | ISBN: ${book.isbn}` : ''}
                 </div>
+                ${book.branches && book.branches.length > 0 ? `
+                <div class="book-branches" style="margin-top: 0.3rem; font-size: 0.85rem; color: #666;">
+                    ${book.branches.map(branch => `${branch.name}: ${branch.available_copies}/${branch.total_copies}`).join(' | ')}
+                </div>` : ''}
                 <div class="book-status">
                     <span class="status-badge ${isAvailable ? 'available' : 'borrowed'}">
                         ${isAvailable ? `✓ Available (${book.available_copies})` : '✗ Not Available'}
@@ -134,6 +251,10 @@ function displayBooks(books) {
                         Borrow
                     </button>
                 </div>
+                ${currentUser ? `
+                <button onclick="addToWishlist(${book.book_id})" style="margin-top: 0.5rem; background: none; border: 1px solid #667eea; color: #667eea; padding: 0.3rem 0.6rem; border-radius: 6px; cursor: pointer; font-size: 0.85rem;">
+                    ♡ Wishlist
+                </button>` : ''}
             </div>
         `;
         grid.appendChild(card);
@@ -148,7 +269,6 @@ async function filterBooks() {
         const genreFilter = document.getElementById('searchGenre')?.value || '';
         const statusFilter = document.getElementById('searchStatus')?.value || '';
 
-        let url = '/books?';
         const params = [];
 
         if (titleSearch) params.push(`title=${encodeURIComponent(titleSearch)}`);
@@ -156,15 +276,92 @@ async function filterBooks() {
         if (genreFilter) params.push(`genre=${encodeURIComponent(genreFilter)}`);
         if (statusFilter) params.push(`status=${statusFilter}`);
 
-        url += params.join('&');
+        bookQuery = params.join('&');
+
+        const books = await showBookPage(1);
 
-        const books = await apiCall(url);
-        displayBooks(books);
+        if (books.length === 0 && !(await showDidYouMean('searchTitle', 'title'))) {
+            await showDidYouMean('searchAuthor', 'author');
+        }
     } catch (error) {
         alert('Failed to filter books: ' + error.message);
     }
 }
 
+const filterBooksDebounced = debounce(filterBooks);
+
+// Offer a spelling correction when a title or author filter finds nothing
+async function showDidYouMean(inputId, type) {
+    const input = document.getElementById(inputId);
+    const term = input?.value.trim();
+    // A term taken from a suggestion has been corrected once already; don't ask again
+    if (!term || term === input.dataset.corrected) return false;
+
+    try {
+        const result = await apiCall(`/search?q=${encodeURIComponent(term)}&type=${type}&size=1`);
+        if (!result.didYouMean) return false;
+
+        const grid = document.getElementById('booksGrid');
+        const hint = document.createElement('p');
+        hint.style.cssText = 'text-align: center; grid-column: 1/-1; color: #666;';
+        hint.innerHTML = 'Did you mean <a href="#" style="color: #667eea; font-weight: 600;"></a>?';
+
+        const link = hint.querySelector('a');
+        link.textContent = result.didYouMean;
+        link.onclick = (event) => {
+            event.preventDefault();
+            input.value = result.didYouMean;
+            input.dataset.corrected = result.didYouMean;
+            filterBooks();
+        };
+
+        grid.appendChild(hint);
+        return true;
+    } catch (error) {
+        console.error('Failed to check spelling:', error);
+        return false;
+    }
+}
+
+// Fill an input's datalist with title and/or author completions
+async function loadSuggestions(input, kinds = ['titles', 'authors']) {
+    const list = document.getElementById(input.getAttribute('list'));
+    const q = input.value.trim();
+    if (!list) return;
+
+    if (q.length < 2) {
+        list.innerHTML = '';
+        return;
+    }
+
+    try {
+        const suggestions = await apiCall(`/search/suggest?q=${encodeURIComponent(q)}`);
+        const values = [
+            ...(kinds.includes('titles') ? suggestions.titles.map(book => book.title) : []),
+            ...(kinds.includes('authors') ? suggestions.authors.map(author => author.author) : [])
+        ];
+
+        list.innerHTML = '';
+        [...new Set(values)].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            list.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to load suggestions:', error);
+    }
+}
+
+// One debouncer per input, so typing in one box doesn't cancel another box's pending lookup
+const suggestionDebouncers = new Map();
+
+function loadSuggestionsDebounced(input, kinds) {
+    if (!suggestionDebouncers.has(input.id)) {
+        suggestionDebouncers.set(input.id, debounce(loadSuggestions));
+    }
+    suggestionDebouncers.get(input.id)(input, kinds);
+}
+
 // Borrow book
 async function borrowBook(bookId) {
     if (!currentUser) {
@@ -225,6 +422,21 @@ async function returnBook(bookId) {
     }
 }
 
+// Renew a borrowed book
+async function renewBook(recordId) {
+    try {
+        const result = await apiCall(`/borrowing/${recordId}/renew`, {
+            method: 'POST'
+        });
+
+        alert(`✅ ${result.message}\n📅 New Due Date: ${result.dueDate}\n🔁 Renewals left: ${result.renewalsRemaining}`);
+
+        await loadCurrentBooks();
+    } catch (error) {
+        alert('❌ Failed to renew book: ' + error.message);
+    }
+}
+
 // Login tabs
 function switchTab(type) {
     userType = type;
@@ -279,7 +491,7 @@ async function handleRegister(event) {
         email: document.getElementById('regEmail')?.value,
         password: password,
         fullName: document.getElementById('regFullName')?.value,
-        userType: userType,
+        userType: 'student',
         phone: document.getElementById('regPhone')?.value || '',
         address: document.getElementById('regAddress')?.value || ''
     };
@@ -290,7 +502,7 @@ async function handleRegister(event) {
             body: JSON.stringify(formData)
         });
 
-        alert('✅ Registration successful! You can now login with your credentials.');
+        alert('✅ Registration successful! We have emailed you a link to verify your address. Please verify it before logging in.');
         showLoginForm();
         
         event.target.reset();
@@ -331,8 +543,10 @@ async function handleLogin(event) {
         });
 
         authToken = result.token;
+        refreshToken = result.refreshToken;
         currentUser = result.user;
         localStorage.setItem('authToken', authToken);
+        localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('currentUser', JSON.stringify(currentUser));
 
         const loginFormSection = document.getElementById('loginFormSection');
@@ -353,16 +567,82 @@ async function handleLogin(event) {
         alert(`✅ Welcome ${currentUser.fullName || currentUser.username}!`);
         
     } catch (error) {
+        if (error.code === 'EMAIL_NOT_VERIFIED') {
+            if (confirm('📧 ' + error.message + '. Send the verification email again?')) {
+                await resendVerification(username);
+            }
+            return;
+        }
+        if (error.code === 'TOO_MANY_ATTEMPTS') {
+            alert(`⏳ ${error.message}. You can try again in ${Math.ceil(error.retryAfter / 60)} minute(s).`);
+            return;
+        }
         alert('❌ Login failed: ' + error.message);
         console.error('Login error:', error);
     }
 }
 
-// Handle logout
-function handleLogout() {
+// Send a fresh email verification link
+async function resendVerification(username) {
+    try {
+        const result = await apiCall('/auth/resend-verification', {
+            method: 'POST',
+            body: JSON.stringify({ username })
+        });
+        alert('📧 ' + result.message);
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+// Confirm the email address when the page is opened from the verification link (?verifyToken=...)
+async function completeEmailVerification(token) {
+    try {
+        const result = await apiCall('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+        alert('✅ ' + result.message);
+        showSection('login');
+    } catch (error) {
+        alert('❌ Email verification failed: ' + error.message);
+    } finally {
+        history.replaceState(null, '', window.location.pathname);
+    }
+}
+
+// Handle logout: revoke the session on the server, then forget it locally
+async function handleLogout() {
+    try {
+        await apiCall('/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout request failed:', error);
+    }
+
+    clearSession();
+    alert('Successfully logged out!');
+}
+
+// Log out of every device signed in to this account
+async function logoutAllDevices() {
+    if (!confirm('Log out of all devices, including this one?')) return;
+
+    try {
+        const result = await apiCall('/auth/logout-all', { method: 'POST' });
+        clearSession();
+        alert(`✅ Logged out of ${result.sessionsRevoked} session(s).`);
+    } catch (error) {
+        alert('❌ Failed to log out of all devices: ' + error.message);
+    }
+}
+
+// Drop the stored session and show the login form
+function clearSession() {
     authToken = null;
+    refreshToken = null;
     currentUser = null;
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('currentUser');
     
     const loginForm = document.getElementById('loginFormSection');
@@ -381,8 +661,6 @@ function handleLogout() {
     if (booksGrid && booksGrid.innerHTML) {
         loadBooks();
     }
-    
-    alert('Successfully logged out!');
 }
 
 // Load user statistics
@@ -394,11 +672,14 @@ async function loadUserStats() {
         const borrowedCount = document.getElementById('borrowedCount');
         const historyCount = document.getElementById('historyCount');
         
-        if (borrowedCount) borrowedCount.textContent = stats.currently_borrowed;
+        if (borrowedCount) borrowedCount.textContent = stats.currently_borrowed + stats.overdue_count;
         if (historyCount) {
-            historyCount.textContent = stats.currently_borrowed + stats.total_returned;
+            historyCount.textContent = stats.currently_borrowed + stats.overdue_count + stats.total_returned;
         }
 
+        await loadNotifications();
+        await loadRecommendations();
+        await loadReadingLists();
         await loadCurrentBooks();
         await loadBorrowingHistory();
         
@@ -407,6 +688,346 @@ async function loadUserStats() {
     }
 }
 
+// Load personalised recommendations, each with the reason it was suggested
+async function loadRecommendations() {
+    if (!currentUser) return;
+
+    const container = document.getElementById('recommendationsContainer');
+    if (!container) return;
+
+    try {
+        const { coldStart, recommendations } = await apiCall('/recommendations?limit=5');
+
+        if (recommendations.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #666;">No recommendations yet</p>';
+            return;
+        }
+
+        container.innerHTML = (coldStart ? '<p style="color: #718096; margin-bottom: 0.5rem;">Borrow and review books to get suggestions picked for you. Meanwhile, here is what other readers enjoy:</p>' : '')
+            + recommendations.map(book => `
+            <div class="book-item">
+                <div class="book-item-title">${book.title}</div>
+                <div class="book-item-author">by ${book.author}</div>
+                <div style="display: flex; justify-content: space-between; align-items: center; font-size: 0.85rem; color: #718096; margin-top: 0.3rem;">
+                    <span>💡 ${book.reason}</span>
+                    <span>${book.available_copies > 0 ? '✅ Available' : '⏳ All copies out'}</span>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load recommendations:', error);
+        container.innerHTML = '<p style="text-align: center; color: #e53e3e;">Failed to load recommendations</p>';
+    }
+}
+
+// Escape text written by other users (list names, descriptions, notes) before it goes into HTML
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// How a list entry's availability is shown
+const AVAILABILITY_LABELS = {
+    borrowed: '📖 You have this out',
+    ready_for_pickup: '📦 Ready for pickup',
+    reserved: '⏳ On hold for you',
+    available: '✅ Available',
+    unavailable: '✗ All copies out',
+    not_held: '— Not in the library'
+};
+
+function renderListEntries(entries) {
+    if (entries.length === 0) {
+        return '<p style="color: #666;">No books on this list yet</p>';
+    }
+
+    return entries.map(entry => `
+        <div class="book-item">
+            <div class="book-item-title">${escapeHtml(entry.title)}</div>
+            <div class="book-item-author">by ${escapeHtml(entry.author)}</div>
+            ${entry.note ? `<p style="margin: 0.3rem 0; color: #4a5568;">${escapeHtml(entry.note)}</p>` : ''}
+            <div style="font-size: 0.85rem; color: #718096; margin-top: 0.3rem;">${AVAILABILITY_LABELS[entry.availability]}</div>
+        </div>
+    `).join('');
+}
+
+// Load the curated lists library staff have published
+async function loadPublishedLists() {
+    const section = document.getElementById('publishedListsSection');
+    const container = document.getElementById('publishedListsContainer');
+    if (!section || !container) return;
+
+    try {
+        const lists = await apiCall('/lists/published');
+        section.style.display = lists.length > 0 ? 'block' : 'none';
+
+        container.innerHTML = lists.map(list => `
+            <div class="dashboard-section">
+                <h3 style="color: #667eea; margin: 0;">${escapeHtml(list.name)}</h3>
+                <p style="color: #718096; margin: 0.3rem 0 1rem;">${escapeHtml(list.description)} — curated by ${escapeHtml(list.curator)}</p>
+                ${renderListEntries(list.entries)}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load published lists:', error);
+    }
+}
+
+// Show a list opened from a share link
+async function loadSharedList(token) {
+    const section = document.getElementById('sharedListSection');
+    const container = document.getElementById('sharedListContainer');
+    if (!section || !container) return;
+
+    section.style.display = 'block';
+
+    try {
+        const list = await apiCall(`/lists/shared/${encodeURIComponent(token)}`);
+        document.getElementById('sharedListTitle').textContent = `${list.name} — shared by ${list.owner}`;
+        container.innerHTML = renderListEntries(list.entries);
+
+        if (list.description) {
+            const description = document.createElement('p');
+            description.style.cssText = 'color: #718096; margin-bottom: 1rem;';
+            description.textContent = list.description;
+            container.prepend(description);
+        }
+    } catch (error) {
+        container.innerHTML = `<p style="text-align: center; color: #e53e3e;">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Load your lists with each one's entries
+async function loadReadingLists() {
+    if (!currentUser) return;
+
+    const container = document.getElementById('readingListsContainer');
+    if (!container) return;
+
+    try {
+        const lists = await apiCall('/lists');
+        const details = await Promise.all(lists.map(list => apiCall(`/lists/${list.listId}`)));
+        const canPublish = (currentUser.permissions || []).includes('catalog.manage');
+        const button = (label, onclick, color = '#667eea') =>
+            `<button onclick="${onclick}" style="background: none; border: none; color: ${color}; cursor: pointer; font-size: 0.85rem;">${label}</button>`;
+
+        container.innerHTML = details.map(list => `
+            <div style="margin-bottom: 1.5rem;">
+                <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap;">
+                    <h4 style="margin: 0;">${escapeHtml(list.name)} (${list.entries.length})${list.publishedAt ? ' · 🌐 Published' : ''}</h4>
+                    <div>
+                        ${list.entries.some(entry => entry.availability === 'unavailable') ? button('Reserve unavailable', `reserveUnavailable(${list.listId})`) : ''}
+                        ${list.shareUrl ? button('Stop sharing', `unshareReadingList(${list.listId})`) : button('Share', `shareReadingList(${list.listId})`)}
+                        ${canPublish ? button(list.publishedAt ? 'Unpublish' : 'Publish', `togglePublishReadingList(${list.listId}, ${!list.publishedAt})`) : ''}
+                        ${list.kind === 'custom' ? button('Delete', `deleteReadingList(${list.listId})`, '#e53e3e') : ''}
+                    </div>
+                </div>
+                ${list.shareUrl ? `<p style="font-size: 0.85rem; color: #718096; word-break: break-all;">🔗 ${list.shareUrl}</p>` : ''}
+                ${list.entries.length === 0 ? '<p style="color: #666;">No books on this list yet</p>' : list.entries.map(entry => `
+                    <div class="book-item">
+                        <div class="book-item-title">${escapeHtml(entry.title)}</div>
+                        <div class="book-item-author">by ${escapeHtml(entry.author)}</div>
+                        <div style="display: flex; justify-content: space-between; align-items: center; font-size: 0.85rem; color: #718096; margin-top: 0.3rem;">
+                            <span>${AVAILABILITY_LABELS[entry.availability]}</span>
+                            ${button('Remove', `removeFromReadingList(${list.listId}, ${entry.book_id})`, '#e53e3e')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load reading lists:', error);
+        container.innerHTML = '<p style="text-align: center; color: #e53e3e;">Failed to load reading lists</p>';
+    }
+}
+
+async function addToWishlist(bookId) {
+    try {
+        const lists = await apiCall('/lists');
+        const wishlist = lists.find(list => list.kind === 'wishlist');
+        const data = await apiCall(`/lists/${wishlist.listId}/items`, {
+            method: 'POST',
+            body: JSON.stringify({ bookId })
+        });
+        alert('✅ ' + data.message);
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function createReadingList() {
+    const name = prompt('Name for the new list:');
+    if (!name) return;
+
+    try {
+        await apiCall('/lists', { method: 'POST', body: JSON.stringify({ name }) });
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function deleteReadingList(listId) {
+    if (!confirm('Delete this list?')) return;
+
+    try {
+        await apiCall(`/lists/${listId}`, { method: 'DELETE' });
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function removeFromReadingList(listId, bookId) {
+    try {
+        await apiCall(`/lists/${listId}/items/${bookId}`, { method: 'DELETE' });
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function shareReadingList(listId) {
+    try {
+        const data = await apiCall(`/lists/${listId}/share`, { method: 'POST' });
+        prompt('Anyone with this link can view the list:', data.shareUrl);
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function unshareReadingList(listId) {
+    try {
+        await apiCall(`/lists/${listId}/share`, { method: 'DELETE' });
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function togglePublishReadingList(listId, publish) {
+    try {
+        const data = await apiCall(`/lists/${listId}/publish`, { method: publish ? 'POST' : 'DELETE' });
+        alert('✅ ' + data.message);
+        loadReadingLists();
+        loadPublishedLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+// Place holds on every book on the list with all copies out
+async function reserveUnavailable(listId) {
+    try {
+        const { message, skipped } = await apiCall(`/lists/${listId}/reserve-unavailable`, { method: 'POST' });
+        alert('✅ ' + message + (skipped.length > 0
+            ? '\n\nSkipped:\n' + skipped.map(book => `${book.title}: ${book.reason}`).join('\n')
+            : ''));
+        loadReadingLists();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+// Load the latest notifications and the unread count
+async function loadNotifications() {
+    if (!currentUser) return;
+
+    const container = document.getElementById('notificationsContainer');
+    if (!container) return;
+
+    try {
+        const { rows } = await apiPage('/notifications?limit=10');
+        const { unread } = await apiCall('/notifications/unread-count');
+
+        const unreadCount = document.getElementById('unreadCount');
+        if (unreadCount) unreadCount.textContent = unread > 0 ? `(${unread} unread)` : '';
+
+        if (rows.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #666;">No notifications yet</p>';
+            return;
+        }
+
+        container.innerHTML = rows.map(notification => `
+            <div class="book-item" style="${notification.read_at ? 'opacity: 0.6;' : 'border-left: 4px solid #667eea;'}">
+                <div class="book-item-title">${escapeHtml(notification.title)}</div>
+                <p style="margin: 0.3rem 0; color: #4a5568;">${escapeHtml(notification.body)}</p>
+                <div style="display: flex; justify-content: space-between; align-items: center; font-size: 0.85rem; color: #718096;">
+                    <span>${new Date(notification.created_at).toLocaleString()}</span>
+                    ${notification.read_at ? '' : `
+                    <button onclick="markNotificationRead(${notification.notification_id})" style="background: none; border: none; color: #667eea; cursor: pointer; font-size: 0.85rem;">
+                        Mark as read
+                    </button>`}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load notifications:', error);
+        container.innerHTML = '<p style="text-align: center; color: #e53e3e;">Failed to load notifications</p>';
+    }
+}
+
+async function markNotificationRead(notificationId) {
+    try {
+        await apiCall(`/notifications/${notificationId}/read`, { method: 'POST' });
+        await loadNotifications();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await apiCall('/notifications/read-all', { method: 'POST' });
+        await loadNotifications();
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+// Show or hide the per-type in-app/email switches
+async function toggleNotificationPreferences() {
+    const container = document.getElementById('notificationPreferencesContainer');
+    if (!container) return;
+
+    if (container.style.display === 'block') {
+        container.style.display = 'none';
+        return;
+    }
+
+    try {
+        const preferences = await apiCall('/notifications/preferences');
+        container.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                <tr style="text-align: left; color: #4a5568;"><th>Notify me about</th><th>In app</th><th>Email</th></tr>
+                ${preferences.map(pref => `
+                <tr>
+                    <td style="padding: 0.3rem 0;">${pref.label}</td>
+                    <td><input type="checkbox" ${pref.inApp ? 'checked' : ''} onchange="updateNotificationPreference('${pref.type}', 'inApp', this.checked)"></td>
+                    <td><input type="checkbox" ${pref.email ? 'checked' : ''} onchange="updateNotificationPreference('${pref.type}', 'email', this.checked)"></td>
+                </tr>`).join('')}
+            </table>
+        `;
+        container.style.display = 'block';
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+async function updateNotificationPreference(type, channel, enabled) {
+    try {
+        await apiCall('/notifications/preferences', {
+            method: 'PUT',
+            body: JSON.stringify({ preferences: [{ type, [channel]: enabled }] })
+        });
+    } catch (error) {
+        alert('❌ Failed to save preference: ' + error.message);
+    }
+}
+
 // Load current borrowed books
 async function loadCurrentBooks() {
     if (!currentUser) return;
@@ -477,11 +1098,24 @@ function displayCurrentBooks(books) {
                         <strong>${dueDate}</strong>
                         ${isOverdue ? ' (OVERDUE!)' : ''}
                     </div>
+                    ${book.barcode ? `
+                    <div class="date-info">
+                        <span>🏷️ Copy:</span>
+                        <strong>${book.barcode}</strong>
+                    </div>
+                    ` : ''}
+                    <div class="date-info">
+                        <span>🔁 Renewals left:</span>
+                        <strong>${book.renewals_remaining}</strong>
+                    </div>
                 </div>
                 <span class="status-badge-item ${isOverdue ? 'status-overdue' : 'status-borrowed'}">
                     ${isOverdue ? '⚠️ Overdue' : '📖 Borrowed'}
                 </span>
                 <button class="return-btn" onclick="returnBook(${book.book_id})">Return Book</button>
+                ${book.renewals_remaining > 0 ? `
+                <button class="return-btn" onclick="renewBook(${book.record_id})" style="background: #667eea; margin-left: 0.5rem;">Renew</button>
+                ` : ''}
             </div>
         `;
     });
@@ -500,9 +1134,9 @@ async function loadBorrowingHistory() {
 
     try {
         console.log('📖 Loading borrowing history for user:', currentUser.userId);
-        const history = await apiCall('/borrowing/history');
+        const { rows: history, total } = await apiPage('/borrowing/history?limit=5');
         console.log('✅ History received:', history);
-        displayBorrowingHistory(history);
+        displayBorrowingHistory(history, total);
     } catch (error) {
         console.error('❌ Failed to load borrowing history:', error);
         if (container) {
@@ -520,7 +1154,7 @@ async function loadBorrowingHistory() {
 }
 
 // Display borrowing history
-function displayBorrowingHistory(history) {
+function displayBorrowingHistory(history, total = null) {
     const container = document.getElementById('historyContainer');
     if (!container) return;
 
@@ -534,10 +1168,8 @@ function displayBorrowingHistory(history) {
         return;
     }
 
-    const recentHistory = history.slice(0, 5);
-    
     let html = '';
-    recentHistory.forEach(record => {
+    history.forEach(record => {
         const borrowDate = new Date(record.borrow_date).toLocaleDateString();
         const dueDate = new Date(record.due_date).toLocaleDateString();
         const returnDate = record.return_date ? new Date(record.return_date).toLocaleDateString() : null;
@@ -588,13 +1220,67 @@ function displayBorrowingHistory(history) {
         `;
     });
 
-    if (history.length > 5) {
-        html += `<p style="text-align: center; color: #666; margin-top: 1rem;">Showing 5 of ${history.length} records</p>`;
+    if (total > history.length) {
+        html += `<p style="text-align: center; color: #666; margin-top: 1rem;">Showing ${history.length} of ${total} records</p>`;
     }
 
     container.innerHTML = html;
 }
 
+// Forgot password: ask for the account email and request a reset link
+async function forgotPassword() {
+    const email = prompt('Enter the email address of your account:');
+    if (!email) return;
+
+    try {
+        const result = await apiCall('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        alert('📧 ' + result.message);
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
+// Finish a reset when the page is opened from the emailed link (?resetToken=...)
+async function completePasswordReset(token) {
+    const newPassword = prompt('Choose a new password (at least 8 characters):');
+    if (!newPassword) return;
+
+    try {
+        const result = await apiCall('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, newPassword })
+        });
+        clearSession();
+        alert('✅ ' + result.message);
+        showSection('login');
+    } catch (error) {
+        alert('❌ Password reset failed: ' + error.message);
+    } finally {
+        history.replaceState(null, '', window.location.pathname);
+    }
+}
+
+// Change password from the dashboard
+async function changePassword() {
+    const currentPassword = prompt('Current password:');
+    if (!currentPassword) return;
+    const newPassword = prompt('New password (at least 8 characters):');
+    if (!newPassword) return;
+
+    try {
+        const result = await apiCall('/auth/change-password', {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        alert('✅ ' + result.message);
+    } catch (error) {
+        alert('❌ ' + error.message);
+    }
+}
+
 // Handle contact form
 function handleContactSubmit(event) {
     event.preventDefault();
@@ -628,6 +1314,17 @@ window.onload = function() {
     console.log('📡 API URL:', API_BASE_URL);
     
     checkAuth();
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('resetToken')) {
+        completePasswordReset(params.get('resetToken'));
+    } else if (params.get('verifyToken')) {
+        completeEmailVerification(params.get('verifyToken'));
+    } else if (params.get('list')) {
+        loadSharedList(params.get('list'));
+    }
+
+    loadPublishedLists();
     
     const booksSection = document.getElementById('books');
     if (booksSection && booksSection.classList.contains('active')) {